@@ -13,17 +13,17 @@ const editorMachine = createMachine({
       on: {
         TYPE: {
           actions: [
-            assign((ctx, event) => ({
-              content: ctx.content + event.text,
+            assign(({ context, event }) => ({
+              content: context.content + event.text,
               saved: false
             }))
           ]
         },
         DELETE_LAST: {
-          cond: ctx => ctx.content.length > 0,
+          cond: ({ context }) => context.content.length > 0,
           actions: [
-            assign(ctx => ({
-              content: ctx.content.slice(0, -1),
+            assign(({ context }) => ({
+              content: context.content.slice(0, -1),
               saved: false
             }))
           ]
@@ -40,8 +40,8 @@ const editorMachine = createMachine({
         TYPE: {
           target: 'editing',
           actions: [
-            assign((ctx, event) => ({
-              content: ctx.content + event.text,
+            assign(({ context, event }) => ({
+              content: context.content + event.text,
               saved: false
             }))
           ]
@@ -54,6 +54,9 @@ const editorMachine = createMachine({
 const runExample = async () => {
   console.log('=== Text Editor with History Example ===\n');
 
+  // Entering the initial state records the first history entry
+  await editorMachine.start();
+
   // Initial state
   console.log('Initial state:', editorMachine.state);
   console.log('Content:', JSON.stringify(editorMachine.context.content));
@@ -105,9 +108,14 @@ const runExample = async () => {
   });
   console.log('');
 
+  // Pick the snapshots up front: each restore is recorded in history too
+  const entries = editorMachine.history;
+  const previousSnapshot = entries[entries.length - 2];
+  const evenEarlierSnapshot = entries[entries.length - 3];
+  const initialSnapshot = entries[0];
+
   // Restore to previous state
   console.log('Restoring to previous state...');
-  const previousSnapshot = editorMachine.history[editorMachine.history.length - 2];
   const result1 = await editorMachine.restore(previousSnapshot);
   console.log('After 1st restore:');
   console.log('  State:', result1.state);
@@ -117,7 +125,6 @@ const runExample = async () => {
 
   // Restore to state before that
   console.log('Restoring to state before that...');
-  const evenEarlierSnapshot = editorMachine.history[editorMachine.history.length - 3];
   const result2 = await editorMachine.restore(evenEarlierSnapshot);
   console.log('After 2nd restore:');
   console.log('  State:', result2.state);
@@ -127,7 +134,6 @@ const runExample = async () => {
 
   // Restore to initial state
   console.log('Restoring to initial state...');
-  const initialSnapshot = editorMachine.history[0];
   const result3 = await editorMachine.restore(initialSnapshot);
   console.log('After restoring to initial:');
   console.log('  State:', result3.state);
@@ -185,8 +191,8 @@ const runExample = async () => {
 };
 
 // Subscribe to state changes
-const unsubscribe = editorMachine.subscribe((snapshot) => {
-  console.log('[Subscription] State changed to:', snapshot.state);
+const unsubscribe = editorMachine.subscribe(({ nextState }) => {
+  console.log('[Subscription] State changed to:', nextState.state);
 });
 
 // Run the example
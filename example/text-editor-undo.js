@@ -6,57 +6,26 @@ const runExample = async () => {
     initial: 'ready',
     context: {
       content: '',
-      cursor: 0,
-      undoStack: 0 // Track undo depth
+      cursor: 0
     },
     states: {
       ready: {
         on: {
           TYPE: {
             actions: [
-              assign({
-                content: (ctx, event) => {
-                  const before = ctx.content.slice(0, ctx.cursor);
-                  const after = ctx.content.slice(ctx.cursor);
-                  return before + event.char + after;
-                },
-                cursor: ctx => ctx.cursor + 1,
-                undoStack: 0 // Reset undo stack on new action
-              })
+              assign(({ context, event }) => ({
+                content: context.content.slice(0, context.cursor) + event.char + context.content.slice(context.cursor),
+                cursor: context.cursor + 1
+              }))
             ]
           },
           DELETE: {
-            cond: ctx => ctx.cursor > 0,
+            cond: ({ context }) => context.cursor > 0,
             actions: [
-              assign({
-                content: ctx => {
-                  const before = ctx.content.slice(0, ctx.cursor - 1);
-                  const after = ctx.content.slice(ctx.cursor);
-                  return before + after;
-                },
-                cursor: ctx => ctx.cursor - 1,
-                undoStack: 0
-              })
-            ]
-          },
-          UNDO: {
-            cond: () => textEditorMachine.history.length > 1,
-            actions: [
-              async () => {
-                // Find the previous state in history (skip current state)
-                const currentIndex = textEditorMachine.history.length - 1;
-                if (currentIndex > 0) {
-                  const previousSnapshot = textEditorMachine.history[currentIndex - 1];
-                  await textEditorMachine.restore(previousSnapshot);
-                }
-              },
-              assign({ undoStack: ctx => ctx.undoStack + 1 })
-            ]
-          },
-          REDO: {
-            cond: ctx => ctx.undoStack > 0,
-            actions: [
-              () => console.log('Redo not implemented - would need separate redo stack')
+              assign(({ context }) => ({
+                content: context.content.slice(0, context.cursor - 1) + context.content.slice(context.cursor),
+                cursor: context.cursor - 1
+              }))
             ]
           }
         }
@@ -64,6 +33,21 @@ const runExample = async () => {
     }
   }, { historySize: 100 }); // Keep more history for editing
 
+  // Undo restores the snapshot recorded before each edit. It runs outside
+  // the machine: restoring from an action would abandon its own transition.
+  const edits = [];
+  textEditorMachine.subscribe(({ previousState }) => edits.push(previousState));
+  const undo = async () => {
+    const previousSnapshot = edits.pop();
+    if (previousSnapshot) {
+      await textEditorMachine.restore(previousSnapshot);
+      // The restore itself is not an edit
+      edits.pop();
+    }
+  };
+
+  await textEditorMachine.start();
+
   // Usage demonstration
   console.log('Text Editor with Character-by-Character Undo Example:');
   console.log('Initial state:', textEditorMachine.state);
@@ -84,28 +68,25 @@ const runExample = async () => {
 
   // Undo one character
   console.log('\nUndoing one character...');
-  await textEditorMachine.send('UNDO');
+  await undo();
   console.log('After undo:', `"${textEditorMachine.context.content}"`, 'cursor:', textEditorMachine.context.cursor);
-  console.log('Undo stack depth:', textEditorMachine.context.undoStack);
 
   // Undo another character
   console.log('\nUndoing another character...');
-  await textEditorMachine.send('UNDO');
+  await undo();
   console.log('After second undo:', `"${textEditorMachine.context.content}"`, 'cursor:', textEditorMachine.context.cursor);
-  console.log('Undo stack depth:', textEditorMachine.context.undoStack);
 
-  // Type again (resets undo stack)
+  // Type again
   console.log('\nTyping new character...');
   await textEditorMachine.send('TYPE', { char: 'e' });
   console.log('After new char:', `"${textEditorMachine.context.content}"`, 'cursor:', textEditorMachine.context.cursor);
-  console.log('Undo stack depth (should be 0):', textEditorMachine.context.undoStack);
 
   // Test delete
   console.log('\nTesting delete...');
   await textEditorMachine.send('DELETE');
   console.log('After delete:', `"${textEditorMachine.context.content}"`, 'cursor:', textEditorMachine.context.cursor);
 
-  await textEditorMachine.send('UNDO');
+  await undo();
   console.log('After undo delete:', `"${textEditorMachine.context.content}"`, 'cursor:', textEditorMachine.context.cursor);
 };
 
@@ -0,0 +1,101 @@
+import { isParameterized } from '../utils/ParamsResolver.js';
+
+/**
+ * @param {*} action
+ * @returns {boolean} Whether the action is a registry reference with a timeout or retry policy
+ */
+export const hasActionPolicy = (action) => {
+  return isParameterized(action) && (action.timeout > 0 || !!action.retry);
+};
+
+/**
+ * @param {Object} retry - Retry policy
+ * @param {number} attempt - Number of the attempt that failed, from 1
+ * @returns {number} Milliseconds to wait before the next attempt
+ */
+const getRetryDelay = ({ delay = 0, backoff = 'fixed' }, attempt) => {
+  return backoff === 'exponential' ? delay * 2 ** (attempt - 1) : delay;
+};
+
+/**
+ * Wait before a retry, stopping early when the signal is aborted
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+const waitForRetry = (ms, signal) => new Promise(resolve => {
+  const done = () => {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', done);
+    resolve();
+  };
+  const timer = setTimeout(done, ms);
+  signal?.addEventListener('abort', done);
+});
+
+/**
+ * Run a single attempt with its own signal, aborted with the transition's
+ * signal or when the attempt times out
+ * @param {Function} attempt - Receives the attempt's signal
+ * @param {Object} action - Action reference with optional timeout
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<*>}
+ */
+const runAttempt = async (attempt, action, signal) => {
+  const controller = new AbortController();
+  const abort = () => controller.abort();
+  if (signal?.aborted) {
+    abort();
+  }
+  signal?.addEventListener('abort', abort);
+
+  let timer;
+  try {
+    const result = Promise.resolve().then(() => attempt(controller.signal));
+    if (!action.timeout) {
+      return await result;
+    }
+
+    const timedOut = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        abort();
+        reject(new Error(`Action '${action.type}' timed out after ${action.timeout}ms`));
+      }, action.timeout);
+    });
+    return await Promise.race([result, timedOut]);
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', abort);
+  }
+};
+
+/**
+ * Run an action under its timeout and retry policy. Attempts that throw,
+ * reject or time out are retried until `retry.attempts` attempts were made
+ * or the signal is aborted.
+ * @param {Function} attempt - Runs the action once; receives the attempt's signal
+ * @param {Object} action - `{ type, timeout?, retry?: { attempts, delay, backoff } }` reference
+ * @param {AbortSignal} [signal] - Signal of the transition
+ * @returns {Promise<{result?: *, error?: *, errors?: Array<*>, attempts: number}>} - The result of the successful attempt,
+ * or the error of the last one with the errors of every attempt in order
+ */
+export const executeWithPolicy = async (attempt, action, signal) => {
+  const retry = action.retry || {};
+  const maxAttempts = Math.max(1, retry.attempts || 1);
+  const errors = [];
+
+  for (let attempts = 1; ; attempts++) {
+    try {
+      return { result: await runAttempt(attempt, action, signal), attempts };
+    } catch (error) {
+      errors.push(error);
+      if (attempts >= maxAttempts || signal?.aborted) {
+        return { error, errors, attempts };
+      }
+      await waitForRetry(getRetryDelay(retry, attempts), signal);
+      if (signal?.aborted) {
+        return { error, errors, attempts };
+      }
+    }
+  }
+};
\ No newline at end of file
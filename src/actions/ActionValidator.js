@@ -1,4 +1,6 @@
 import { isAssignAction } from './assign.js';
+import { isRaiseAction } from './raise.js';
+import { isParameterized } from '../utils/ParamsResolver.js';
 import { isAsyncFunction, detectPromiseInFunction } from '../utils/AsyncDetector.js';
 
 /**
@@ -12,6 +14,8 @@ export const isValidAction = (action, actionRegistry = {}) => {
   if (typeof action === 'function') return true;
   if (typeof action === 'string') return true;
   if (isAssignAction(action)) return true;
+  if (isRaiseAction(action)) return true;
+  if (isParameterized(action)) return true;
 
   return false;
 };
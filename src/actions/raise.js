@@ -0,0 +1,25 @@
+/**
+ * @param {string|Object|Function} event - Event type, event object or function computing it from `{ context, event }`
+ * @returns {Object}
+ */
+export const raise = (event) => ({
+  _isRaise: true,
+  event
+});
+
+/**
+ * @param {Object} action
+ * @returns {boolean}
+ */
+export const isRaiseAction = (action) => action?._isRaise === true;
+
+/**
+ * @param {Object} action - Raise action
+ * @param {Object} context
+ * @param {Object} event - Event being processed
+ * @returns {Object} Raised event object
+ */
+export const resolveRaisedEvent = (action, context, event) => {
+  const raised = typeof action.event === 'function' ? action.event({ context, event }) : action.event;
+  return typeof raised === 'string' ? { type: raised } : { ...raised };
+};
\ No newline at end of file
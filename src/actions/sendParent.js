@@ -0,0 +1,18 @@
+/**
+ * Create an action that sends an event to the parent of an invoked machine
+ * @param {string} eventType
+ * @param {Object|Function} [payload] - Payload or function computing it from `{ context, event }`
+ * @returns {Function}
+ */
+export const sendParent = (eventType, payload = {}) => ({ context, event, machine }) => {
+  const parent = machine && machine.parent;
+  if (!parent) {
+    console.warn(`sendParent('${eventType}') called on machine without a parent`);
+    return;
+  }
+
+  const resolvedPayload = typeof payload === 'function' ? payload({ context, event }) : payload;
+  parent.send(eventType, resolvedPayload).catch(error => {
+    console.error(`Sending '${eventType}' to parent failed:`, error);
+  });
+};
@@ -1,11 +1,16 @@
 import { isAssignAction } from '../actions/assign.js';
+import { isRaiseAction, resolveRaisedEvent } from '../actions/raise.js';
 import { updateContext } from './ContextUpdater.js';
 import { hasAsyncActions } from '../utils/AsyncDetector.js';
+import { isParameterized, resolveParams } from '../utils/ParamsResolver.js';
+import { hasActionPolicy, executeWithPolicy } from '../actions/ActionPolicy.js';
 
 /**
  * @typedef {Object} ActionResult
  * @param {string} [name] - Action name if it's a string action
  * @param {any} [value] - Action result value
+ * @param {number} [attempts] - Attempts made for an action with a timeout or retry policy
+ * @param {any} [error] - Error of the last attempt when such an action failed
  */
 
 /**
@@ -25,15 +30,28 @@ const processObjectAssigner = (assigner) => {
 
   // Cache entries to optimize performance
   const entries = Object.entries(assigner);
-  return ({ context, event, machine }) => {
+  return (args) => {
     const result = {};
     for (const [key, value] of entries) {
-      result[key] = typeof value === 'function' ? value({ context, event, machine }) : value;
+      result[key] = typeof value === 'function' ? value(args) : value;
     }
     return result;
   };
 };
 
+/**
+ * Pass the params of a parameterized action on to a registry assigner
+ * @param {Function|Object} assigner
+ * @param {*} params
+ * @returns {Function|Object}
+ */
+const withParams = (assigner, params) => {
+  if (params === undefined || typeof assigner !== 'function') {
+    return assigner;
+  }
+  return (args) => assigner({ ...args, params });
+};
+
 /**
  * @param {Function|string|Object} action
  * @param {Object} context
@@ -47,6 +65,15 @@ export const executeSyncAction = (action, context, event, actions = {}, machine,
   let hasAsync = false;
   let actionResult = { value: undefined };
 
+  if (isRaiseAction(action)) {
+    return {
+      hasAsync: false,
+      contextUpdate: null,
+      actionResult,
+      raisedEvent: resolveRaisedEvent(action, context, event)
+    };
+  }
+
   if (isAssignAction(action)) {
     const assigner = typeof action.assigner === 'function' ? action.assigner : () => action.assigner;
     const value = assigner({ context, event, machine });
@@ -57,26 +84,37 @@ export const executeSyncAction = (action, context, event, actions = {}, machine,
     };
   }
 
-  if (typeof action === 'string') {
-    const resolvedAction = actions[action];
+  if (typeof action === 'string' || isParameterized(action)) {
+    const name = typeof action === 'string' ? action : action.type;
+    const params = typeof action === 'string' ? undefined : resolveParams(action, context, event);
+    const resolvedAction = actions[name];
     if (!resolvedAction) {
-      console.warn(`Action '${action}' not found in registry`);
-      return { hasAsync: false, contextUpdate: null, actionResult: { name: action, value: undefined } };
+      console.warn(`Action '${name}' not found in registry`);
+      return { hasAsync: false, contextUpdate: null, actionResult: { name, value: undefined } };
+    }
+
+    if (isRaiseAction(resolvedAction)) {
+      return {
+        hasAsync: false,
+        contextUpdate: null,
+        actionResult: { name, value: undefined },
+        raisedEvent: resolveRaisedEvent(resolvedAction, context, event)
+      };
     }
 
     if (isAssignAction(resolvedAction)) {
       const assigner = processObjectAssigner(resolvedAction.assigner);
 
-      const value = typeof assigner === 'function' ? assigner({ context, event, machine }) : assigner;
+      const value = typeof assigner === 'function' ? assigner({ context, event, machine, params }) : assigner;
       return {
         hasAsync: value && typeof value.then === 'function',
         contextUpdate: value && typeof value.then !== 'function' ? value : null,
-        actionResult: { name: action, value: undefined }
+        actionResult: { name, value: undefined }
       };
     }
 
-    const value = resolvedAction({ context, event, machine });
-    return { hasAsync: false, contextUpdate: null, actionResult: { name: action, value } };
+    const value = resolvedAction({ context, event, machine, params });
+    return { hasAsync: false, contextUpdate: null, actionResult: { name, value } };
   }
 
   if (typeof action === 'function') {
@@ -106,12 +144,13 @@ export const executeSyncAction = (action, context, event, actions = {}, machine,
  */
 export const executeActionsSync = (actionsList, context, event, actions = {}, machine) => {
   if (!actionsList || actionsList.length === 0) {
-    return { hasAsync: false, context, results: [] };
+    return { hasAsync: false, context, results: [], raisedEvents: [] };
   }
 
   let updatedContext = context;
   let hasAsync = false;
   const results = [];
+  const raisedEvents = [];
 
   for (const action of actionsList) {
     const result = executeSyncAction(action, updatedContext, event, actions, machine);
@@ -121,10 +160,13 @@ export const executeActionsSync = (actionsList, context, event, actions = {}, ma
     if (result.hasAsync) {
       hasAsync = true;
     }
+    if (result.raisedEvent) {
+      raisedEvents.push(result.raisedEvent);
+    }
     results.push(result.actionResult);
   }
 
-  return { hasAsync, context: updatedContext, results };
+  return { hasAsync, context: updatedContext, results, raisedEvents };
 };
 
 /**
@@ -138,6 +180,7 @@ export const executeActionsSync = (actionsList, context, event, actions = {}, ma
  */
 const executeActionsSyncForAsync = (actionArray, context, event, actionRegistry, machine) => {
   const results = [];
+  const raisedEvents = [];
   let currentContext = context;
 
   for (const action of actionArray) {
@@ -145,10 +188,13 @@ const executeActionsSyncForAsync = (actionArray, context, event, actionRegistry,
     if (result.contextUpdate) {
       currentContext = result.contextUpdate;
     }
+    if (result.raisedEvent) {
+      raisedEvents.push(result.raisedEvent);
+    }
     results.push(result.actionResult);
   }
 
-  return { context: currentContext, results };
+  return { context: currentContext, results, raisedEvents };
 };
 
 /**
@@ -158,21 +204,31 @@ const executeActionsSyncForAsync = (actionArray, context, event, actionRegistry,
  * @param {Object} event - Event object
  * @param {Object} actionRegistry - Action registry
  * @param {Object} machine - Machine reference
- * @returns {Promise<Object>} - Promise resolving to execution result with context and results properties
+ * @param {AbortSignal} [signal] - Aborted when the transition is cancelled
+ * @returns {Promise<Object>} - Promise resolving to execution result with context and results properties,
+ * and the failure of an action with a timeout or retry policy, which stops execution
  */
-const executeActionsAsync = async (actionArray, context, event, actionRegistry, machine) => {
+const executeActionsAsync = async (actionArray, context, event, actionRegistry, machine, signal) => {
   const results = [];
+  const raisedEvents = [];
   let currentContext = context;
 
   for (const action of actionArray) {
-    const result = await executeActionAsync(action, currentContext, event, actionRegistry, machine);
+    const result = await executeActionAsync(action, currentContext, event, actionRegistry, machine, signal);
+    if (result.failure) {
+      results.push(result.actionResult);
+      return { context: currentContext, results, raisedEvents, failure: result.failure };
+    }
     if (result.contextUpdate) {
       currentContext = result.contextUpdate;
     }
+    if (result.raisedEvent) {
+      raisedEvents.push(result.raisedEvent);
+    }
     results.push(result.actionResult);
   }
 
-  return { context: currentContext, results };
+  return { context: currentContext, results, raisedEvents };
 };
 
 /**
@@ -180,20 +236,20 @@ const executeActionsAsync = async (actionArray, context, event, actionRegistry,
  * @param {Array} actions - Array of actions to execute
  * @param {Object} context - Current context
  * @param {Object} event - Event object
- * @param {Object} actionRegistry - Action registry with optional machine reference
- * @returns {Promise<Object>} - Promise resolving to execution result with context and results properties
+ * @param {Object} actionRegistry - Action registry with optional machine reference and abort signal
+ * @returns {Promise<Object>} - Promise resolving to execution result with context, results and raisedEvents properties
  */
 export const executeActions = async (actions, context, event, actionRegistry = {}) => {
   if (!actions || actions.length === 0) {
-    return { context, results: [] };
+    return { context, results: [], raisedEvents: [] };
   }
 
   const actionArray = Array.isArray(actions) ? actions : [actions];
-  const { actionRegistry: registry, machine } = actionRegistry;
+  const { actionRegistry: registry, machine, signal } = actionRegistry;
   const isAsync = hasAsyncActions(actionArray, registry || actionRegistry);
 
   return isAsync
-    ? await executeActionsAsync(actionArray, context, event, registry || actionRegistry, machine)
+    ? await executeActionsAsync(actionArray, context, event, registry || actionRegistry, machine, signal)
     : executeActionsSyncForAsync(actionArray, context, event, registry || actionRegistry, machine);
 };
 
@@ -213,6 +269,21 @@ const handleAssignActionSync = (action, context, event, machine) => {
   };
 };
 
+/**
+ * Handle raise action; the raised event is queued by the caller
+ * @param {Object} action - Raise action
+ * @param {Object} context - Current context
+ * @param {Object} event - Event object
+ * @param {string} [name] - Registry name when referenced by string
+ * @returns {{actionResult: ActionResult, raisedEvent: Object}}
+ */
+const handleRaiseAction = (action, context, event, name) => {
+  return {
+    actionResult: name ? { name, value: undefined } : { value: undefined },
+    raisedEvent: resolveRaisedEvent(action, context, event)
+  };
+};
+
 /**
  * Handle string action for sync execution
  * @param {string} action - Action name
@@ -220,17 +291,22 @@ const handleAssignActionSync = (action, context, event, machine) => {
  * @param {Object} event - Event object
  * @param {Object} actionRegistry - Action registry
  * @param {Object} machine - Machine reference
+ * @param {*} [params] - Params of a parameterized action
  * @returns {{contextUpdate?: Object, actionResult: ActionResult}}
  */
-const handleStringActionSync = (action, context, event, actionRegistry, machine) => {
+const handleStringActionSync = (action, context, event, actionRegistry, machine, params) => {
   const resolvedAction = actionRegistry[action];
   if (!resolvedAction) {
     console.warn(`Action '${action}' not found in registry`);
     return { actionResult: { name: action, value: undefined } };
   }
 
+  if (isRaiseAction(resolvedAction)) {
+    return handleRaiseAction(resolvedAction, context, event, action);
+  }
+
   if (isAssignAction(resolvedAction)) {
-    const assigner = processObjectAssigner(resolvedAction.assigner);
+    const assigner = withParams(processObjectAssigner(resolvedAction.assigner), params);
     const newContext = updateContext(context, assigner, event, machine);
 
     if (newContext && typeof newContext.then === 'function') {
@@ -243,13 +319,13 @@ const handleStringActionSync = (action, context, event, actionRegistry, machine)
     };
   }
 
-  const value = resolvedAction({ context, event, machine });
+  const value = resolvedAction({ context, event, machine, params });
   return { actionResult: { name: action, value } };
 };
 
 /**
  * Execute a single action synchronously for async context
- * @param {Function|string|Object} action - Action to execute (function, string reference, or assign action)
+ * @param {Function|string|Object} action - Action to execute (function, string or parameterized reference, or assign action)
  * @param {Object} context - Current context
  * @param {Object} event - Event object
  * @param {Object} actionRegistry - Action registry
@@ -261,10 +337,18 @@ const executeSyncActionForAsync = (action, context, event, actionRegistry, machi
     return handleAssignActionSync(action, context, event, machine);
   }
 
+  if (isRaiseAction(action)) {
+    return handleRaiseAction(action, context, event);
+  }
+
   if (typeof action === 'string') {
     return handleStringActionSync(action, context, event, actionRegistry, machine);
   }
 
+  if (isParameterized(action)) {
+    return handleStringActionSync(action.type, context, event, actionRegistry, machine, resolveParams(action, context, event));
+  }
+
   if (typeof action === 'function') {
     const value = action({ context, event, machine });
     return { actionResult: { value } };
@@ -296,17 +380,23 @@ const handleAssignActionAsync = async (action, context, event, machine) => {
  * @param {Object} event - Event object
  * @param {Object} actionRegistry - Action registry
  * @param {Object} machine - Machine reference
+ * @param {*} [params] - Params of a parameterized action
+ * @param {AbortSignal} [signal] - Aborted when the transition is cancelled
  * @returns {Promise<{contextUpdate?: Object, actionResult: ActionResult}>}
  */
-const handleStringActionAsync = async (action, context, event, actionRegistry, machine) => {
+const handleStringActionAsync = async (action, context, event, actionRegistry, machine, params, signal) => {
   const resolvedAction = actionRegistry[action];
   if (!resolvedAction) {
     console.warn(`Action '${action}' not found in registry`);
     return { actionResult: { name: action, value: undefined } };
   }
 
+  if (isRaiseAction(resolvedAction)) {
+    return handleRaiseAction(resolvedAction, context, event, action);
+  }
+
   if (isAssignAction(resolvedAction)) {
-    const assigner = processObjectAssigner(resolvedAction.assigner);
+    const assigner = withParams(processObjectAssigner(resolvedAction.assigner), params);
     const newContext = await updateContext(context, assigner, event, machine);
     return {
       contextUpdate: newContext,
@@ -314,30 +404,72 @@ const handleStringActionAsync = async (action, context, event, actionRegistry, m
     };
   }
 
-  const value = await resolvedAction({ context, event, machine });
+  const value = await resolvedAction({ context, event, machine, params, signal });
   return { actionResult: { name: action, value } };
 };
 
+/**
+ * Execute a registry action under its timeout and retry policy
+ * @param {Object} action - `{ type, params?, timeout?, retry? }` reference
+ * @param {Object} context - Current context
+ * @param {Object} event - Event object
+ * @param {Object} actionRegistry - Action registry
+ * @param {Object} machine - Machine reference
+ * @param {AbortSignal} [signal] - Aborted when the transition is cancelled
+ * @returns {Promise<{contextUpdate?: Object, actionResult: ActionResult, failure?: Object}>}
+ */
+const handlePolicyActionAsync = async (action, context, event, actionRegistry, machine, signal) => {
+  const params = resolveParams(action, context, event);
+  const outcome = await executeWithPolicy(
+    (attemptSignal) => handleStringActionAsync(action.type, context, event, actionRegistry, machine, params, attemptSignal),
+    action,
+    signal
+  );
+  const { attempts } = outcome;
+
+  if ('error' in outcome) {
+    return {
+      actionResult: { name: action.type, error: outcome.error, attempts },
+      failure: { error: outcome.error, action: action.type, attempts, errors: outcome.errors }
+    };
+  }
+
+  return { ...outcome.result, actionResult: { ...outcome.result.actionResult, attempts } };
+};
+
 /**
  * Execute a single action asynchronously
- * @param {Function|string|Object} action - Action to execute (function, string reference, or assign action)
+ * @param {Function|string|Object} action - Action to execute (function, string or parameterized reference, or assign action)
  * @param {Object} context - Current context
  * @param {Object} event - Event object
  * @param {Object} actionRegistry - Action registry
  * @param {Object} machine - Machine reference
+ * @param {AbortSignal} [signal] - Aborted when the transition is cancelled
  * @returns {Promise<{contextUpdate?: Object, actionResult: ActionResult}>} - Promise resolving to execution result with optional context update and action result
  */
-const executeActionAsync = async (action, context, event, actionRegistry, machine) => {
+const executeActionAsync = async (action, context, event, actionRegistry, machine, signal) => {
   if (isAssignAction(action)) {
     return await handleAssignActionAsync(action, context, event, machine);
   }
 
+  if (isRaiseAction(action)) {
+    return handleRaiseAction(action, context, event);
+  }
+
   if (typeof action === 'string') {
-    return await handleStringActionAsync(action, context, event, actionRegistry, machine);
+    return await handleStringActionAsync(action, context, event, actionRegistry, machine, undefined, signal);
+  }
+
+  if (hasActionPolicy(action)) {
+    return await handlePolicyActionAsync(action, context, event, actionRegistry, machine, signal);
+  }
+
+  if (isParameterized(action)) {
+    return await handleStringActionAsync(action.type, context, event, actionRegistry, machine, resolveParams(action, context, event), signal);
   }
 
   if (typeof action === 'function') {
-    const value = await action({ context, event, machine });
+    const value = await action({ context, event, machine, signal });
     return { actionResult: { value } };
   }
 
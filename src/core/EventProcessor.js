@@ -1,31 +1,65 @@
-import { resolveTransition, resolveTargetNode } from '../transitions/TransitionManager.js';
-import { getStateNode, initializeState, getStatePath } from './StateNavigator.js';
+import {
+  resolveTransition,
+  resolveTransitionAsync,
+  resolveEventlessTransition,
+  resolveEventlessTransitionAsync,
+  resolveErrorTransition,
+  resolveErrorTransitionAsync,
+  resolveTargetNode,
+  isAsyncGuardSignal,
+  clearPendingGuardResults
+} from '../transitions/TransitionManager.js';
+import {
+  getStateNode,
+  getStatePath,
+  getActiveLeafNodes,
+  getAncestors,
+  getConfiguration,
+  getChildStates,
+  getDefaultDescendants,
+  isDescendant,
+  isHistoryNode,
+  isParallelNode,
+  serializeState,
+  sortByDocumentOrder
+} from './StateNavigator.js';
+import { recordHistory, resolveHistoryTargets } from './HistoryResolver.js';
 import { hasAsyncActions } from '../utils/AsyncDetector.js';
 import { executeActions } from './ActionRunner.js';
 
+// Marks a guard error thrown by the transition search, with the state node
+// whose transition the guard belongs to
+const GUARD_FAILURE = Symbol('guardFailure');
+
 /**
- * Find a valid transition for the given event from the current state
- * @param {Object} event - Event object with type and context
- * @param {string} currentState - Current state path
- * @param {Object} rootNode - Root state node
- * @param {Object} guards - Guard registry for condition evaluation
- * @param {Object} machine - Machine reference
- * @returns {Object|null} - Transition info object or null if no valid transition found
+ * @param {*} error
+ * @returns {boolean} Whether the error is a guard that threw, rejected or timed out during the transition search
  */
-export const findTransition = (event, currentState, rootNode, guards, machine) => {
-  const currentStateNode = getStateNode(rootNode, currentState);
-  if (!currentStateNode) {
-    return null;
-  }
-
-  let transition = null;
-  let searchNode = currentStateNode;
+export const isGuardFailure = (error) => !!error && error[GUARD_FAILURE] === true;
 
-  while (!transition && searchNode.parent) {
-    transition = resolveTransition(searchNode, event.type, event.context, event, guards, machine);
-    if (!transition) searchNode = searchNode.parent;
+/**
+ * Report an error thrown while resolving the transitions of a state node as
+ * a failure of its guard
+ * @param {*} error
+ * @param {Object} sourceNode - Node whose transitions were resolved
+ * @returns {*} The error to throw
+ */
+const toGuardFailure = (error, sourceNode) => {
+  if (isAsyncGuardSignal(error) || isGuardFailure(error)) {
+    return error;
   }
+  return { [GUARD_FAILURE]: true, error, sourceNode };
+};
 
+/**
+ * Describe a selected transition: its resolved target and whether it is internal
+ * @param {Object|null} transition - Selected transition
+ * @param {Object} sourceNode - Node defining the transition
+ * @param {Object} currentStateNode - Active leaf the search started from
+ * @param {Object} rootNode - Root state node
+ * @returns {Object|null} - Transition info object or null if the target does not exist
+ */
+const createTransitionInfo = (transition, sourceNode, currentStateNode, rootNode) => {
   if (!transition) {
     return null;
   }
@@ -38,17 +72,18 @@ export const findTransition = (event, currentState, rootNode, guards, machine) =
   }
 
   // Check if this is a self-transition (target is the same as current state)
-  if (!isInternalTransition && targetNode) {
+  if (!isInternalTransition && targetNode && !transition.reenter) {
     const currentPath = getStatePath(currentStateNode);
     const targetPath = getStatePath(targetNode);
     if (currentPath === targetPath) {
-      // Treat self-transitions as internal transitions by default
+      // Treat self-transitions as internal transitions unless they opt into reentry
       isInternalTransition = true;
     }
   }
 
   return {
     currentStateNode,
+    sourceNode,
     transition,
     isInternalTransition,
     targetNode
@@ -56,50 +91,444 @@ export const findTransition = (event, currentState, rootNode, guards, machine) =
 };
 
 /**
- * Collect all actions that need to be executed for a transition
- * @param {Object} currentStateNode - Current state node
- * @param {Object} transition - Transition configuration
- * @param {Object} targetNode - Target state node
- * @param {boolean} isInternalTransition - Whether this is an internal transition
- * @returns {Array} - Array of action groups with type and actions properties
+ * Find a valid transition for the given event from the current state
+ * @param {Object} event - Event object with type and context
+ * @param {string} currentState - Current (leaf) state path
+ * @param {Object} rootNode - Root state node
+ * @param {Object} guards - Guard registry for condition evaluation
+ * @param {Object} machine - Machine reference
+ * @param {boolean} [eventless] - Select eventless (always) transitions instead of event transitions
+ * @returns {Object|null} - Transition info object or null if no valid transition found
+ * @throws When a guard is async, see isAsyncGuardSignal, or throws, see isGuardFailure
  */
-export const collectActionsToExecute = (currentStateNode, transition, targetNode, isInternalTransition) => {
-  const actionsToExecute = [];
+export const findTransition = (event, currentState, rootNode, guards, machine, eventless = false) => {
+  const currentStateNode = getStateNode(rootNode, currentState);
+  if (!currentStateNode) {
+    return null;
+  }
 
-  if (isInternalTransition) {
-    if (transition.actions.length > 0) {
-      actionsToExecute.push({ type: 'transition', actions: transition.actions });
+  let transition = null;
+  let searchNode = currentStateNode;
+
+  // Search from the leaf up to the root, whose machine-wide handlers come last
+  while (!transition && searchNode) {
+    try {
+      transition = eventless
+        ? resolveEventlessTransition(searchNode, event.context, event, guards, machine)
+        : resolveTransition(searchNode, event.type, event.context, event, guards, machine);
+    } catch (error) {
+      throw toGuardFailure(error, searchNode);
     }
-  } else {
-    if (currentStateNode.exit.length > 0) {
-      actionsToExecute.push({ type: 'exit', actions: currentStateNode.exit });
+    if (!transition) searchNode = searchNode.parent;
+  }
+
+  return createTransitionInfo(transition, searchNode, currentStateNode, rootNode);
+};
+
+/**
+ * Find a valid transition for the given event from the current state,
+ * awaiting async guards one at a time in declaration order
+ * @param {Object} event - Event object with type and context
+ * @param {string} currentState - Current (leaf) state path
+ * @param {Object} rootNode - Root state node
+ * @param {Object} guards - Guard registry for condition evaluation
+ * @param {Object} machine - Machine reference
+ * @param {boolean} [eventless] - Select eventless (always) transitions instead of event transitions
+ * @returns {Promise<Object|null>} - Transition info object or null if no valid transition found
+ * @throws When a guard throws, rejects or times out; see isGuardFailure
+ */
+export const findTransitionAsync = async (event, currentState, rootNode, guards, machine, eventless = false) => {
+  const currentStateNode = getStateNode(rootNode, currentState);
+  if (!currentStateNode) {
+    return null;
+  }
+
+  let transition = null;
+  let searchNode = currentStateNode;
+
+  while (!transition && searchNode) {
+    try {
+      transition = eventless
+        ? await resolveEventlessTransitionAsync(searchNode, event.context, event, guards, machine)
+        : await resolveTransitionAsync(searchNode, event.type, event.context, event, guards, machine);
+    } catch (error) {
+      throw toGuardFailure(error, searchNode);
     }
-    if (transition.actions.length > 0) {
-      actionsToExecute.push({ type: 'transition', actions: transition.actions });
+    if (!transition) searchNode = searchNode.parent;
+  }
+
+  return createTransitionInfo(transition, searchNode, currentStateNode, rootNode);
+};
+
+/**
+ * Get the transition domain: the node whose active descendants are exited
+ * when the transition is taken. A reentering transition exits its source
+ * even when the target is the source itself or one of its descendants.
+ * @param {Object} sourceNode - Node that defines the transition
+ * @param {Object} targetNode - Resolved target node
+ * @param {boolean} [reenter]
+ * @returns {Object}
+ */
+const getTransitionDomain = (sourceNode, targetNode, reenter = false) => {
+  if (!reenter && isDescendant(targetNode, sourceNode)) {
+    if (!isParallelNode(sourceNode)) {
+      return sourceNode;
+    }
+    // Only the region holding the target is left, sibling regions stay active
+    return [targetNode, ...getAncestors(targetNode, sourceNode)].find(node => node.parent === sourceNode);
+  }
+
+  // The root is never exited, so machine-wide transitions stay within it
+  if (!sourceNode.parent) {
+    return sourceNode;
+  }
+
+  // Nearest non-parallel ancestor containing both source and target
+  let domain = sourceNode.parent;
+  while (domain.parent && (isParallelNode(domain) || !isDescendant(targetNode, domain))) {
+    domain = domain.parent;
+  }
+  return domain;
+};
+
+/**
+ * Add a transition to the selected ones unless it conflicts with them: it
+ * shares their source or would exit states they already exit
+ * @param {Array<Object>} selected - Transitions selected so far
+ * @param {Object|null} transitionInfo
+ */
+const addNonConflicting = (selected, transitionInfo) => {
+  if (!transitionInfo) {
+    return;
+  }
+
+  const domainNode = transitionInfo.isInternalTransition
+    ? null
+    : getTransitionDomain(transitionInfo.sourceNode, transitionInfo.targetNode, transitionInfo.transition.reenter);
+
+  const conflicts = selected.some(other => {
+    if (other.sourceNode === transitionInfo.sourceNode) return true;
+    if (!domainNode || !other.domainNode) return false;
+    return other.domainNode === domainNode ||
+      isDescendant(domainNode, other.domainNode) ||
+      isDescendant(other.domainNode, domainNode);
+  });
+
+  if (!conflicts) {
+    selected.push({ ...transitionInfo, domainNode });
+  }
+};
+
+/**
+ * Find the transitions enabled by an event across every active leaf state.
+ * Leaves are searched in document order; a transition is skipped when it
+ * would exit states already exited by a previously selected transition.
+ * @param {Object} event - Event object with type and context
+ * @param {string} currentState - Current flat state
+ * @param {Object} rootNode - Root state node
+ * @param {Object} guards - Guard registry for condition evaluation
+ * @param {Object} machine - Machine reference
+ * @param {boolean} [eventless] - Select eventless (always) transitions instead of event transitions
+ * @returns {Array<Object>} - Transition info objects with their domain node
+ * @throws When a guard is async, see isAsyncGuardSignal, or throws, see isGuardFailure
+ */
+export const findTransitions = (event, currentState, rootNode, guards, machine, eventless = false) => {
+  const selected = [];
+
+  for (const leafNode of getActiveLeafNodes(rootNode, currentState)) {
+    addNonConflicting(selected, findTransition(event, getStatePath(leafNode), rootNode, guards, machine, eventless));
+  }
+
+  return selected;
+};
+
+/**
+ * Find the transitions enabled by an event across every active leaf state,
+ * awaiting async guards in document order
+ * @param {Object} event - Event object with type and context
+ * @param {string} currentState - Current flat state
+ * @param {Object} rootNode - Root state node
+ * @param {Object} guards - Guard registry for condition evaluation
+ * @param {Object} machine - Machine reference
+ * @param {boolean} [eventless] - Select eventless (always) transitions instead of event transitions
+ * @returns {Promise<Array<Object>>} - Transition info objects with their domain node
+ * @throws When a guard throws, rejects or times out; see isGuardFailure
+ */
+export const findTransitionsAsync = async (event, currentState, rootNode, guards, machine, eventless = false) => {
+  const selected = [];
+
+  for (const leafNode of getActiveLeafNodes(rootNode, currentState)) {
+    addNonConflicting(selected, await findTransitionAsync(event, getStatePath(leafNode), rootNode, guards, machine, eventless));
+  }
+
+  return selected;
+};
+
+/**
+ * Find the onError transition handling an execution error. The error bubbles
+ * up from the state whose action failed through its ancestors, and the first
+ * onError transition whose guard passes is taken. A state whose entry action
+ * failed handles the error although the failed transition did not enter it.
+ * @param {Object} event - error.execution event with context
+ * @param {string} currentState - Current flat state
+ * @param {Object} rootNode - Root state node
+ * @param {Object} guards - Guard registry for condition evaluation
+ * @param {Object} machine - Machine reference
+ * @param {Object} errorSource - State node whose action failed
+ * @returns {Array<Object>} - The handling transition info with its domain node, if any
+ * @throws When a guard is async, see isAsyncGuardSignal, or throws, see isGuardFailure
+ */
+const findErrorTransitions = (event, currentState, rootNode, guards, machine, errorSource) => {
+  let transition = null;
+  let searchNode = errorSource;
+
+  while (!transition && searchNode) {
+    try {
+      transition = resolveErrorTransition(searchNode, event.context, event, guards, machine);
+    } catch (error) {
+      throw toGuardFailure(error, searchNode);
     }
-    if (targetNode.entry.length > 0) {
-      actionsToExecute.push({ type: 'entry', actions: targetNode.entry });
+    if (!transition) searchNode = searchNode.parent;
+  }
+
+  const selected = [];
+  addNonConflicting(selected, createTransitionInfo(transition, searchNode, searchNode, rootNode));
+  return selected;
+};
+
+/**
+ * Find the onError transition handling an execution error, awaiting async guards
+ * @param {Object} event - error.execution event with context
+ * @param {string} currentState - Current flat state
+ * @param {Object} rootNode - Root state node
+ * @param {Object} guards - Guard registry for condition evaluation
+ * @param {Object} machine - Machine reference
+ * @param {Object} errorSource - State node whose action failed
+ * @returns {Promise<Array<Object>>} - The handling transition info with its domain node, if any
+ * @throws When a guard throws, rejects or times out; see isGuardFailure
+ */
+const findErrorTransitionsAsync = async (event, currentState, rootNode, guards, machine, errorSource) => {
+  let transition = null;
+  let searchNode = errorSource;
+
+  while (!transition && searchNode) {
+    try {
+      transition = await resolveErrorTransitionAsync(searchNode, event.context, event, guards, machine);
+    } catch (error) {
+      throw toGuardFailure(error, searchNode);
+    }
+    if (!transition) searchNode = searchNode.parent;
+  }
+
+  const selected = [];
+  addNonConflicting(selected, createTransitionInfo(transition, searchNode, searchNode, rootNode));
+  return selected;
+};
+
+/**
+ * Get the nodes entered when a transition lands on a target node: every
+ * ancestor below the domain, the target with its default descendants and the
+ * default regions of parallel ancestors entered along the way. History
+ * targets enter their parent and the configuration they restore.
+ * @param {Object} targetNode
+ * @param {Object} domainNode
+ * @param {Object} rootNode
+ * @param {Object} historyValue
+ * @returns {Array<Object>}
+ */
+const getEntryNodes = (targetNode, domainNode, rootNode, historyValue) => {
+  const nodes = [];
+  let entryTarget = targetNode;
+
+  if (isHistoryNode(targetNode)) {
+    entryTarget = targetNode.parent;
+    if (entryTarget !== domainNode) {
+      nodes.push(entryTarget);
     }
-    // Check for nested initial states
-    if (targetNode.initial && targetNode.states) {
-      const initialPath = initializeState(targetNode, targetNode.initial);
-      const initialPathParts = initialPath.split('.');
-      let currentNode = targetNode;
-
-      for (const part of initialPathParts) {
-        if (currentNode.states && currentNode.states[part]) {
-          currentNode = currentNode.states[part];
-          if (currentNode.entry && currentNode.entry.length > 0) {
-            actionsToExecute.push({ type: 'nested-entry', actions: currentNode.entry });
-          }
+    for (const restoredNode of resolveHistoryTargets(targetNode, historyValue, rootNode)) {
+      // Deep history restores leaf states, so enter every state on the way down
+      nodes.push(
+        ...getAncestors(restoredNode, entryTarget).reverse(),
+        restoredNode,
+        ...getDefaultDescendants(restoredNode)
+      );
+    }
+  } else {
+    nodes.push(targetNode, ...getDefaultDescendants(targetNode));
+  }
+
+  if (entryTarget === domainNode) {
+    return nodes;
+  }
+
+  let child = entryTarget;
+  for (const ancestor of getAncestors(entryTarget, domainNode)) {
+    nodes.push(ancestor);
+    if (isParallelNode(ancestor)) {
+      for (const region of getChildStates(ancestor)) {
+        if (region !== child) {
+          nodes.push(region, ...getDefaultDescendants(region));
+        }
+      }
+    }
+    child = ancestor;
+  }
+
+  return nodes;
+};
+
+/**
+ * Compute the states exited and entered by a set of transitions, the
+ * resulting flat state and the updated history of the exited states. Every
+ * active state below a transition's domain is exited, deepest first, and the
+ * states down to its target are entered from the outside in.
+ * @param {Array<Object>} transitions - Transitions from findTransitions
+ * @param {string} currentState - Current flat state
+ * @param {Object} rootNode - Root state node
+ * @param {Object} [historyValue] - Recorded history keyed by history node id
+ * @returns {{exitNodes: Array<Object>, entryNodes: Array<Object>, state: string, historyValue: Object}}
+ */
+export const resolveMicrostep = (transitions, currentState, rootNode, historyValue = {}) => {
+  const activeLeaves = getActiveLeafNodes(rootNode, currentState);
+  const exited = new Set();
+  const left = new Set();
+  const entered = new Set();
+
+  for (const { domainNode } of transitions) {
+    if (!domainNode) {
+      continue;
+    }
+    for (const leafNode of activeLeaves) {
+      if (isDescendant(leafNode, domainNode)) {
+        exited.add(leafNode);
+        for (const node of [leafNode, ...getAncestors(leafNode, domainNode)]) {
+          left.add(node);
         }
       }
     }
   }
 
+  // History is recorded on exit, before history targets are resolved
+  const nextHistoryValue = recordHistory([...left], activeLeaves, historyValue);
+
+  for (const { domainNode, targetNode } of transitions) {
+    if (!domainNode) {
+      continue;
+    }
+    for (const node of getEntryNodes(targetNode, domainNode, rootNode, nextHistoryValue)) {
+      entered.add(node);
+    }
+  }
+
+  if (exited.size === 0 && entered.size === 0) {
+    return { exitNodes: [], entryNodes: [], state: currentState, historyValue };
+  }
+
+  const enteredNodes = [...entered];
+  const enteredLeaves = enteredNodes.filter(node => !enteredNodes.some(other => other.parent === node));
+  const remainingLeaves = activeLeaves.filter(leafNode => !exited.has(leafNode));
+
+  return {
+    exitNodes: sortByDocumentOrder([...left]).reverse(),
+    entryNodes: sortByDocumentOrder(enteredNodes),
+    state: serializeState([...remainingLeaves, ...enteredLeaves]),
+    historyValue: nextHistoryValue
+  };
+};
+
+/**
+ * Collect all actions that need to be executed for a microstep
+ * @param {Array<Object>} transitions - Transitions from findTransitions
+ * @param {Object} microstep - Result of resolveMicrostep
+ * @returns {Array} - Array of action groups with type, actions and the state node they belong to
+ */
+export const collectActionsToExecute = (transitions, microstep) => {
+  const actionsToExecute = [];
+
+  for (const node of microstep.exitNodes) {
+    if (node.exit.length > 0) {
+      actionsToExecute.push({ type: 'exit', actions: node.exit, node });
+    }
+  }
+
+  for (const { transition, sourceNode } of transitions) {
+    if (transition.actions.length > 0) {
+      actionsToExecute.push({ type: 'transition', actions: transition.actions, node: sourceNode });
+    }
+  }
+
+  for (const node of microstep.entryNodes) {
+    if (node.entry.length > 0) {
+      actionsToExecute.push({ type: 'entry', actions: node.entry, node });
+    }
+  }
+
   return actionsToExecute;
 };
 
+/**
+ * @param {Object} node
+ * @param {Set<Object>} configuration
+ * @returns {boolean}
+ */
+const isInFinalState = (node, configuration) => {
+  if (isParallelNode(node)) {
+    return getChildStates(node).every(region => isInFinalState(region, configuration));
+  }
+  return getChildStates(node).some(child => configuration.has(child) && child.type === 'final');
+};
+
+/**
+ * @param {*} output - Static output or function computing it
+ * @param {Object} context
+ * @param {Object} event
+ * @returns {*}
+ */
+const resolveOutput = (output, context, event) => {
+  return typeof output === 'function' ? output({ context, event }) : output;
+};
+
+/**
+ * Collect the done events raised by entering final states. A compound state
+ * is done when its active child is final and a parallel state when every
+ * region is done. A top-level final state raises the machine's own
+ * done.state.<machineId> event.
+ * @param {Array<Object>} entryNodes - Nodes entered by the microstep
+ * @param {string} currentState - Flat state after the microstep
+ * @param {Object} rootNode - Root state node
+ * @param {Object} context - Context after the microstep
+ * @param {Object} event - Event that caused the microstep
+ * @returns {Array<Object>} - Done events in document order
+ */
+export const getDoneEvents = (entryNodes, currentState, rootNode, context, event) => {
+  const configuration = new Set(getConfiguration(rootNode, currentState));
+  const doneEvents = [];
+  const raised = new Set();
+
+  const raise = (type, output) => {
+    if (!raised.has(type)) {
+      raised.add(type);
+      doneEvents.push({ type, output });
+    }
+  };
+
+  for (const node of entryNodes) {
+    if (node.type !== 'final' || !configuration.has(node)) {
+      continue;
+    }
+
+    const parent = node.parent;
+    raise(`done.state.${parent.id}`, resolveOutput(node.output, context, event));
+
+    const grandparent = parent.parent;
+    if (grandparent && isParallelNode(grandparent) && isInFinalState(grandparent, configuration)) {
+      raise(`done.state.${grandparent.id}`, undefined);
+    }
+  }
+
+  return doneEvents;
+};
+
 /**
  * Process event synchronously with immediate action execution
  * @param {Object} event - Event object
@@ -110,117 +539,79 @@ export const collectActionsToExecute = (currentStateNode, transition, targetNode
  * @param {Object} actions - Action registry
  * @param {Function} executeActionsSync - Sync action executor function
  * @param {Object} machine - Machine reference
- * @returns {Object} - Processing result with wasAsync flag and value/state info
+ * @param {Object} [historyValue] - Recorded history keyed by history node id
+ * @param {boolean} [eventless] - Take eventless (always) transitions instead of handling the event
+ * @param {Object} [errorSource] - For error.execution events, the state node whose action failed
+ * @returns {Object} - Processing result with wasAsync flag, value/state info, raised internal events and exited/entered nodes,
+ * or the executionError of a failed guard or action, in which case nothing of the microstep is applied
  */
-export const processEventSync = (event, currentState, currentContext, rootNode, guards, actions, executeActionsSync, machine) => {
+export const processEventSync = (event, currentState, currentContext, rootNode, guards, actions, executeActionsSync, machine, historyValue = {}, eventless = false, errorSource = null) => {
   const results = [];
-  let state = currentState;
   let _context = currentContext;
 
-  // Find transition and target
-  const transitionInfo = findTransition({ ...event, context: _context }, state, rootNode, guards, machine);
-  if (!transitionInfo) {
+  // Find transitions and targets; async guards are evaluated on the async path
+  let transitions;
+  try {
+    transitions = errorSource
+      ? findErrorTransitions({ ...event, context: _context }, currentState, rootNode, guards, machine, errorSource)
+      : findTransitions({ ...event, context: _context }, currentState, rootNode, guards, machine, eventless);
+  } catch (error) {
+    if (isAsyncGuardSignal(error)) {
+      return { wasAsync: true };
+    }
+    // A failing guard raises error.execution like a failing action
+    if (isGuardFailure(error)) {
+      return { wasAsync: false, executionError: { error: error.error, sourceNode: error.sourceNode } };
+    }
+    throw error;
+  }
+  if (transitions.length === 0) {
     return {
       wasAsync: false,
-      value: { state, context: _context, results }
+      value: { state: currentState, context: _context, results },
+      historyValue,
+      transitioned: false,
+      internalEvents: [],
+      exitNodes: [],
+      entryNodes: []
     };
   }
 
-  const { currentStateNode, transition, isInternalTransition, targetNode } = transitionInfo;
+  const microstep = resolveMicrostep(transitions, currentState, rootNode, historyValue);
+  const actionGroups = collectActionsToExecute(transitions, microstep);
 
   // Check if any action is async
-  let hasAsync = false;
-
-  if (isInternalTransition) {
-    hasAsync = hasAsyncActions(transition.actions, actions);
-  } else {
-    if (targetNode.initial && targetNode.states) {
-      const initialNode = targetNode.states[targetNode.initial];
-      if (initialNode) {
-        hasAsync = hasAsyncActions([
-          ...currentStateNode.exit,
-          ...transition.actions,
-          ...targetNode.entry,
-          ...initialNode.entry
-        ], actions);
-      }
-    } else {
-      hasAsync = hasAsyncActions([
-        ...currentStateNode.exit,
-        ...transition.actions,
-        ...targetNode.entry
-      ], actions);
-    }
-  }
-
-  if (hasAsync) {
+  if (hasAsyncActions(actionGroups.flatMap(group => group.actions), actions)) {
     return {
       wasAsync: true
     };
   }
 
   // Execute actions in order (sync path)
-  if (isInternalTransition) {
-    // Internal transition - no exit/entry, just actions
-    if (transition.actions.length > 0) {
-      const actionResult = executeActionsSync(transition.actions, _context, event, actions, machine);
-      _context = actionResult.context;
-      results.push(...actionResult.results);
-    }
-  } else {
-    // Exit current state
-    if (currentStateNode.exit.length > 0) {
-      const exitResult = executeActionsSync(currentStateNode.exit, _context, event, actions, machine);
-      _context = exitResult.context;
-      results.push(...exitResult.results);
-    }
-
-    // Execute transition actions
-    if (transition.actions.length > 0) {
-      const transitionResult = executeActionsSync(transition.actions, _context, event, actions, machine);
-      _context = transitionResult.context;
-      results.push(...transitionResult.results);
-    }
-
-    // Update state
-    state = getStatePath(targetNode);
-
-    // Handle nested initial states
-    if (targetNode.initial && targetNode.states) {
-      const initialPath = initializeState(targetNode, targetNode.initial);
-      const fullPath = state + '.' + initialPath;
-      state = fullPath;
-    }
-
-    // Enter new state
-    if (targetNode.entry.length > 0) {
-      const entryResult = executeActionsSync(targetNode.entry, _context, event, actions, machine);
-      _context = entryResult.context;
-      results.push(...entryResult.results);
-    }
-
-    // Execute entry actions for nested initial states
-    if (targetNode.initial && targetNode.states) {
-      const initialPath = initializeState(targetNode, targetNode.initial);
-      const initialPathParts = initialPath.split('.');
-      let currentNode = targetNode;
-
-      for (const part of initialPathParts) {
-        if (currentNode.states && currentNode.states[part]) {
-          currentNode = currentNode.states[part];
-          if (currentNode.entry && currentNode.entry.length > 0) {
-            const nestedEntryResult = executeActionsSync(currentNode.entry, _context, event, actions, machine);
-            _context = nestedEntryResult.context;
-            results.push(...nestedEntryResult.results);
-          }
-        }
-      }
+  const raisedEvents = [];
+  for (const group of actionGroups) {
+    let actionResult;
+    try {
+      actionResult = executeActionsSync(group.actions, _context, event, actions, machine);
+    } catch (error) {
+      return { wasAsync: false, executionError: { error, sourceNode: group.node } };
     }
+    _context = actionResult.context;
+    results.push(...actionResult.results);
+    raisedEvents.push(...actionResult.raisedEvents);
   }
 
   return {
     wasAsync: false,
-    value: { state, context: _context, results }
+    value: { state: microstep.state, context: _context, results },
+    historyValue: microstep.historyValue,
+    transitioned: true,
+    internalEvents: [
+      ...raisedEvents,
+      ...getDoneEvents(microstep.entryNodes, microstep.state, rootNode, _context, event)
+    ],
+    exitNodes: microstep.exitNodes,
+    entryNodes: microstep.entryNodes
   };
 };
 
@@ -233,117 +624,76 @@ export const processEventSync = (event, currentState, currentContext, rootNode,
  * @param {Object} guards - Guard registry
  * @param {Object} actions - Action registry
  * @param {Object} machine - Machine reference
- * @returns {Promise<Object>} - Promise resolving to processing result with state, context, and results
+ * @param {Object} [historyValue] - Recorded history keyed by history node id
+ * @param {boolean} [eventless] - Take eventless (always) transitions instead of handling the event
+ * @param {Object} [errorSource] - For error.execution events, the state node whose action failed
+ * @param {AbortSignal} [signal] - Passed to async actions; an action rejecting once it is aborted cancels the microstep
+ * @returns {Promise<Object>} - Promise resolving to processing result with state, context, results, history, raised internal events and exited/entered nodes,
+ * or the executionError of a failed guard or action or aborted flag of a cancelled one, in which case nothing of the microstep is applied
  */
-export const processEventAsync = async (event, currentState, currentContext, rootNode, guards, actions, machine) => {
+export const processEventAsync = async (event, currentState, currentContext, rootNode, guards, actions, machine, historyValue = {}, eventless = false, errorSource = null, signal) => {
   const results = [];
-  let state = currentState;
   let _context = currentContext;
 
-  // Get current state node
-  const currentStateNode = getStateNode(rootNode, state);
-  if (!currentStateNode) {
-    return { state, context: _context, results };
-  }
-
-  // Find matching transition
-  let transition = null;
-  let searchNode = currentStateNode;
-
-  while (!transition && searchNode.parent) {
-    transition = resolveTransition(searchNode, event.type, _context, event, guards, machine);
-    if (!transition) searchNode = searchNode.parent;
-  }
-
-  if (!transition) {
-    return { state, context: _context, results };
+  // Find matching transitions, awaiting the guard results left pending by the sync path
+  let transitions;
+  try {
+    transitions = errorSource
+      ? await findErrorTransitionsAsync({ ...event, context: _context }, currentState, rootNode, guards, machine, errorSource)
+      : await findTransitionsAsync({ ...event, context: _context }, currentState, rootNode, guards, machine, eventless);
+  } catch (error) {
+    if (isGuardFailure(error)) {
+      return { executionError: { error: error.error, sourceNode: error.sourceNode } };
+    }
+    throw error;
+  } finally {
+    clearPendingGuardResults(machine);
   }
-
-  const isInternalTransition = !transition.target;
-  const targetNode = isInternalTransition ? null : resolveTargetNode(rootNode, currentStateNode, transition.target);
-
-  if (!isInternalTransition && !targetNode) {
-    return { state, context: _context, results };
+  if (transitions.length === 0) {
+    return { state: currentState, context: _context, results, historyValue, transitioned: false, internalEvents: [], exitNodes: [], entryNodes: [] };
   }
 
-  try {
-    // Execute actions in order (async path)
-    if (isInternalTransition) {
-      // Internal transition - no exit/entry, just actions
-      if (transition.actions.length > 0) {
-        const actionResult = await executeActions(transition.actions, _context, event, {
-          actionRegistry: actions,
-          machine
-        });
-        _context = actionResult.context;
-        results.push(...actionResult.results);
-      }
-    } else {
-      // Exit current state
-      if (currentStateNode.exit.length > 0) {
-        const exitResult = await executeActions(currentStateNode.exit, _context, event, {
-          actionRegistry: actions,
-          machine
-        });
-        _context = exitResult.context;
-        results.push(...exitResult.results);
-      }
-
-      // Execute transition actions
-      if (transition.actions.length > 0) {
-        const transitionResult = await executeActions(transition.actions, _context, event, {
-          actionRegistry: actions,
-          machine
-        });
-        _context = transitionResult.context;
-        results.push(...transitionResult.results);
-      }
-
-      // Update state
-      state = getStatePath(targetNode);
-
-      // Handle nested initial states
-      if (targetNode.initial && targetNode.states) {
-        const initialPath = initializeState(targetNode, targetNode.initial);
-        const fullPath = state + '.' + initialPath;
-        state = fullPath;
+  const microstep = resolveMicrostep(transitions, currentState, rootNode, historyValue);
+  const actionGroups = collectActionsToExecute(transitions, microstep);
+
+  // Execute actions in order (async path)
+  const raisedEvents = [];
+  for (const group of actionGroups) {
+    let actionResult;
+    try {
+      actionResult = await executeActions(group.actions, _context, event, {
+        actionRegistry: actions,
+        machine,
+        signal
+      });
+    } catch (error) {
+      if (signal && signal.aborted) {
+        return { aborted: true };
       }
-
-      // Enter new state
-      if (targetNode.entry.length > 0) {
-        const entryResult = await executeActions(targetNode.entry, _context, event, {
-          actionRegistry: actions,
-          machine
-        });
-        _context = entryResult.context;
-        results.push(...entryResult.results);
-      }
-
-      // Execute entry actions for nested initial states
-      if (targetNode.initial && targetNode.states) {
-        const initialPath = initializeState(targetNode, targetNode.initial);
-        const initialPathParts = initialPath.split('.');
-        let currentNode = targetNode;
-
-        for (const part of initialPathParts) {
-          if (currentNode.states && currentNode.states[part]) {
-            currentNode = currentNode.states[part];
-            if (currentNode.entry && currentNode.entry.length > 0) {
-              const nestedEntryResult = await executeActions(currentNode.entry, _context, event, {
-                actionRegistry: actions,
-                machine
-              });
-              _context = nestedEntryResult.context;
-              results.push(...nestedEntryResult.results);
-            }
-          }
-        }
+      return { executionError: { error, sourceNode: group.node } };
+    }
+    if (actionResult.failure) {
+      if (signal && signal.aborted) {
+        return { aborted: true };
       }
+      return { executionError: { ...actionResult.failure, sourceNode: group.node } };
     }
-
-    return { state, context: _context, results };
-  } catch (error) {
-    // Re-throw the error for the caller to handle
-    throw error;
+    _context = actionResult.context;
+    results.push(...actionResult.results);
+    raisedEvents.push(...actionResult.raisedEvents);
   }
-};
\ No newline at end of file
+
+  return {
+    state: microstep.state,
+    context: _context,
+    results,
+    historyValue: microstep.historyValue,
+    transitioned: true,
+    internalEvents: [
+      ...raisedEvents,
+      ...getDoneEvents(microstep.entryNodes, microstep.state, rootNode, _context, event)
+    ],
+    exitNodes: microstep.exitNodes,
+    entryNodes: microstep.entryNodes
+  };
+};
@@ -0,0 +1,74 @@
+import { resolveTargetNode } from '../transitions/TransitionManager.js';
+import {
+  getStateNode,
+  getStatePath,
+  getAncestors,
+  getChildStates,
+  isDescendant,
+  isHistoryNode,
+  isParallelNode
+} from './StateNavigator.js';
+
+/**
+ * Record the history of every node being left by a microstep.
+ * Shallow history keeps the active children of the node, deep history keeps
+ * its active leaf states.
+ * @param {Array<Object>} leftNodes - Nodes being exited
+ * @param {Array<Object>} activeLeaves - Leaf nodes active before the microstep
+ * @param {Object} historyValue - Recorded paths keyed by history node id
+ * @returns {Object} - Updated history value
+ */
+export const recordHistory = (leftNodes, activeLeaves, historyValue) => {
+  const updated = { ...historyValue };
+
+  for (const node of leftNodes) {
+    const historyNodes = Object.values(node.states || {}).filter(isHistoryNode);
+    if (historyNodes.length === 0) {
+      continue;
+    }
+
+    const leaves = activeLeaves.filter(leafNode => isDescendant(leafNode, node));
+    const children = new Set(
+      leaves.map(leafNode => [leafNode, ...getAncestors(leafNode, node)].find(n => n.parent === node))
+    );
+
+    for (const historyNode of historyNodes) {
+      updated[historyNode.id] = historyNode.history === 'deep'
+        ? leaves.map(getStatePath)
+        : [...children].map(getStatePath);
+    }
+  }
+
+  return updated;
+};
+
+/**
+ * Resolve the states a history pseudo-state restores: the recorded
+ * configuration, else its default target, else the parent's initial state
+ * @param {Object} historyNode - History pseudo-state node
+ * @param {Object} historyValue - Recorded paths keyed by history node id
+ * @param {Object} rootNode - Root state node
+ * @returns {Array<Object>} - Nodes to enter below the history node's parent
+ */
+export const resolveHistoryTargets = (historyNode, historyValue, rootNode) => {
+  const recorded = (historyValue[historyNode.id] || [])
+    .map(path => getStateNode(rootNode, path))
+    .filter(Boolean);
+  if (recorded.length > 0) {
+    return recorded;
+  }
+
+  const parent = historyNode.parent;
+  if (historyNode.target) {
+    const target = resolveTargetNode(rootNode, historyNode, historyNode.target);
+    if (target && !isHistoryNode(target)) {
+      return [target];
+    }
+  }
+
+  if (isParallelNode(parent)) {
+    return getChildStates(parent);
+  }
+
+  return [parent.states[parent.initial]].filter(Boolean);
+};
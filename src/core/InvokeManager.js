@@ -0,0 +1,317 @@
+/**
+ * @param {*} src
+ * @returns {boolean} Whether the service source is a machine config
+ */
+export const isMachineConfig = (src) => !!src && typeof src === 'object' && typeof src.states === 'object';
+
+/**
+ * @param {*} src
+ * @returns {boolean} Whether the value is an observable or async iterable
+ */
+export const isEventSource = (src) => !!src && typeof src === 'object' &&
+  (typeof src.subscribe === 'function' || typeof src[Symbol.asyncIterator] === 'function');
+
+/**
+ * @param {string|Object} event - Event type or event object
+ * @returns {Array} - Event type and payload
+ */
+const toEventArgs = (event) => {
+  if (typeof event === 'string') {
+    return [event, {}];
+  }
+  const { type, ...payload } = event;
+  return [type, payload];
+};
+
+/**
+ * @param {boolean|Array<string>} [forward] - Forward config of an invocation
+ * @param {string} eventType
+ * @returns {boolean}
+ */
+const isForwarded = (forward, eventType) => forward === true || (Array.isArray(forward) && forward.includes(eventType));
+
+/**
+ * Creates an invoke manager for the services started by states (`invoke`).
+ * Invocations are keyed by the state node that owns them so they can be
+ * stopped on exit; results settling after that are ignored.
+ * @param {Object} [services] - Registry of named services
+ * @param {Function} [getParent] - Returns the machine owning the invocations
+ * @param {Function} createMachine - Creates a child machine from a config and options
+ * @returns {Object}
+ */
+export const createInvokeManager = (services = {}, getParent = () => null, createMachine) => {
+  const invocations = new Map();
+
+  /**
+   * @param {Function|Object|string} src
+   * @returns {Function|Object|null} Service implementation, machine config, event source or null when unknown
+   */
+  const resolveService = (src) => {
+    if (typeof src === 'function' || isMachineConfig(src) || isEventSource(src)) {
+      return src;
+    }
+
+    const service = services[src];
+    if (typeof service !== 'function' && !isMachineConfig(service) && !isEventSource(service)) {
+      console.warn(`Service '${src}' not found in registry`);
+      return null;
+    }
+    return service;
+  };
+
+  /**
+   * Start a child machine. Object input is merged into the child's initial
+   * context and the child's completion settles the invocation, or the
+   * failure of its initial entry actions.
+   * @param {Object} childConfig
+   * @param {Object} definition - Invoke definition
+   * @param {*} input
+   * @param {Object} invocation
+   * @returns {Promise} - Resolves with the child's output
+   */
+  const startChild = (childConfig, definition, input, invocation) => {
+    const context = input && typeof input === 'object' && !Array.isArray(input)
+      ? { ...childConfig.context, ...input }
+      : childConfig.context;
+
+    invocation.child = createMachine(
+      { ...childConfig, context },
+      { ...definition.options, parent: getParent() }
+    );
+    return invocation.child.start().then(() => invocation.child.completion);
+  };
+
+  /**
+   * Turn the values of an observable or async iterable into events. The
+   * invocation is done when the source completes and fails when it errors.
+   * @param {Object} source
+   * @param {Object} invocation
+   */
+  const listenToSource = (source, invocation) => {
+    invocation.longLived = true;
+
+    if (typeof source.subscribe === 'function') {
+      const subscription = source.subscribe({
+        next: value => invocation.sendBack(value),
+        error: error => invocation.settle(`error.platform.${invocation.id}`, { error }),
+        complete: () => invocation.settle(`done.invoke.${invocation.id}`, {})
+      });
+      invocation.cleanup = typeof subscription === 'function'
+        ? subscription
+        : () => subscription && subscription.unsubscribe && subscription.unsubscribe();
+      return;
+    }
+
+    const iterator = source[Symbol.asyncIterator]();
+    invocation.cleanup = () => iterator.return && iterator.return();
+
+    const pull = async () => {
+      while (invocation.active) {
+        const { value, done } = await iterator.next();
+        if (done) {
+          invocation.settle(`done.invoke.${invocation.id}`, { output: value });
+          return;
+        }
+        invocation.sendBack(value);
+      }
+    };
+    pull().catch(error => invocation.settle(`error.platform.${invocation.id}`, { error }));
+  };
+
+  /**
+   * Call a service function. What it returns decides how it runs: a promise
+   * settles the invocation, an event source is subscribed to, and a function
+   * (its cleanup) or nothing makes it a callback service that runs until the
+   * state is exited. Any other value settles the invocation right away.
+   * @param {Function} service
+   * @param {Object} args - Context, event and input
+   * @param {Object} invocation
+   * @returns {*} - Service result for promise services
+   */
+  const callService = (service, args, invocation) => {
+    const result = service({
+      ...args,
+      sendBack: invocation.sendBack,
+      receive: (listener) => invocation.listeners.push(listener)
+    });
+
+    if (result && typeof result.then === 'function') {
+      return result;
+    }
+
+    if (isEventSource(result)) {
+      listenToSource(result, invocation);
+      return undefined;
+    }
+
+    if (typeof result === 'function' || result === undefined) {
+      invocation.longLived = true;
+      invocation.cleanup = result || null;
+      return undefined;
+    }
+
+    return result;
+  };
+
+  /**
+   * Start the invoked services of a state node. A service is called with
+   * `{ context, event, input, sendBack, receive }`, started as a child
+   * machine or subscribed to as an event source. Promises, child machines
+   * and sources settle as a done.invoke.<id> or error.platform.<id> event.
+   * @param {Object} node - State node being entered
+   * @param {Object} context - Context at entry time
+   * @param {Object} event - Event that caused the entry
+   * @param {Function} sendEvent - Called with an event type and payload to send to the machine
+   */
+  const start = (node, context, event, sendEvent) => {
+    if (!node.invoke || node.invoke.length === 0) {
+      return;
+    }
+
+    stop(node);
+
+    const nodeInvocations = [];
+    for (const definition of node.invoke) {
+      const service = resolveService(definition.src);
+      if (!service) {
+        continue;
+      }
+
+      const invocation = {
+        id: definition.id,
+        active: true,
+        longLived: false,
+        forward: definition.forward,
+        listeners: [],
+        cleanup: null,
+        child: null
+      };
+      // Events are delivered in order, after the current transition, and only
+      // while the invocation is running. Settling ends the invocation.
+      const deliver = (eventType, payload, settles) => {
+        Promise.resolve().then(() => {
+          if (invocation.active) {
+            invocation.active = !settles;
+            sendEvent(eventType, payload);
+          }
+        });
+      };
+      invocation.settle = (eventType, payload) => deliver(eventType, payload, true);
+      invocation.sendBack = (sentEvent) => deliver(...toEventArgs(sentEvent), false);
+
+      const input = typeof definition.input === 'function'
+        ? definition.input({ context, event })
+        : definition.input;
+
+      const startInvocation = () => {
+        if (isMachineConfig(service)) {
+          return startChild(service, definition, input, invocation);
+        }
+        if (isEventSource(service)) {
+          return listenToSource(service, invocation);
+        }
+        return callService(service, { context, event, input }, invocation);
+      };
+
+      // The executor runs synchronously, so a throwing service rejects too
+      new Promise(resolve => resolve(startInvocation())).then(
+        output => {
+          if (!invocation.longLived) {
+            invocation.settle(`done.invoke.${definition.id}`, { output });
+          }
+        },
+        error => invocation.settle(`error.platform.${definition.id}`, { error })
+      );
+      nodeInvocations.push(invocation);
+    }
+
+    if (nodeInvocations.length > 0) {
+      invocations.set(node.id, nodeInvocations);
+    }
+  };
+
+  /**
+   * @param {Object} invocation
+   */
+  const stopInvocation = (invocation) => {
+    invocation.active = false;
+    if (invocation.child) {
+      invocation.child.stop();
+    }
+    if (invocation.cleanup) {
+      try {
+        invocation.cleanup();
+      } catch (error) {
+        console.error(`Cleanup of '${invocation.id}' failed:`, error);
+      }
+    }
+  };
+
+  /**
+   * Stop the invocations of a state node, abandoning their pending results
+   * @param {Object} node
+   */
+  const stop = (node) => {
+    const nodeInvocations = invocations.get(node.id);
+    if (!nodeInvocations) {
+      return;
+    }
+    nodeInvocations.forEach(stopInvocation);
+    invocations.delete(node.id);
+  };
+
+  /**
+   * Stop every invocation
+   */
+  const stopAll = () => {
+    for (const nodeInvocations of invocations.values()) {
+      nodeInvocations.forEach(stopInvocation);
+    }
+    invocations.clear();
+  };
+
+  /**
+   * @returns {Object} Child machines of the running invocations keyed by invocation id
+   */
+  const getChildren = () => {
+    const children = {};
+    for (const nodeInvocations of invocations.values()) {
+      for (const invocation of nodeInvocations) {
+        if (invocation.child) {
+          children[invocation.id] = invocation.child;
+        }
+      }
+    }
+    return children;
+  };
+
+  /**
+   * Forward an event to the running child machines and callback services
+   * that opted in through `forward: true` or a list of event types
+   * @param {Object} event
+   */
+  const forward = (event) => {
+    for (const nodeInvocations of invocations.values()) {
+      for (const invocation of nodeInvocations) {
+        if (!invocation.active || !isForwarded(invocation.forward, event.type)) {
+          continue;
+        }
+
+        if (invocation.child) {
+          invocation.child.send(...toEventArgs(event)).catch(error => {
+            console.error(`Forwarding '${event.type}' to '${invocation.id}' failed:`, error);
+          });
+        }
+        invocation.listeners.forEach(listener => listener(event));
+      }
+    }
+  };
+
+  return {
+    start,
+    stop,
+    stopAll,
+    getChildren,
+    forward
+  };
+};
@@ -1,10 +1,35 @@
 import { createStateNode, findStateNode } from './State.js';
 import { cloneContext } from './ContextCloner.js';
-import { getStateNode, initializeState, getStatePath } from './StateNavigator.js';
+import {
+  STATE_DELIMITER,
+  getStateNode,
+  getAncestors,
+  getChildStates,
+  getConfiguration,
+  getActiveLeafNodes,
+  getInitialLeafNodes,
+  getStatePath,
+  matchesStateValue,
+  getStateTags,
+  getStateMeta,
+  isHistoryNode,
+  sortByDocumentOrder,
+  resolveStateValue,
+  serializeState,
+  toStateValue
+} from './StateNavigator.js';
 import { createEventEmitter } from '../utils/EventEmitter.js';
 import { createQueueManager } from './QueueManager.js';
-import { processEventSync, processEventAsync } from './EventProcessor.js';
-import { executeActionsSync } from './ActionRunner.js';
+import { createTimerManager, isNumericDelay } from './TimerManager.js';
+import { createInvokeManager } from './InvokeManager.js';
+import { processEventSync, processEventAsync, getDoneEvents, findTransitions, isGuardFailure } from './EventProcessor.js';
+import { resolveTargetNode, matchesEventDescriptor, isValidEventDescriptor, isAsyncGuardSignal, clearPendingGuardResults } from '../transitions/TransitionManager.js';
+import { executeActions, executeActionsSync } from './ActionRunner.js';
+import { planTransition } from './TransitionPlanner.js';
+import { hashDefinition, getDefinitionVersion, migrateSnapshot } from './SnapshotPersistence.js';
+import { isGuardAsync, hasAsyncActions } from '../utils/AsyncDetector.js';
+import { isParameterized } from '../utils/ParamsResolver.js';
+import { createTransitionAbortedError } from '../utils/ErrorHandler.js';
 import { generateMermaid } from '../visualizers/mermaid.js';
 import { generatePlantUML } from '../visualizers/plantuml.js';
 
@@ -12,32 +37,53 @@ import { generatePlantUML } from '../visualizers/plantuml.js';
  * Creates a machine instance
  * @param {Object} config
  * @param {Object} [options]
+ * @param {Function} [createChildMachine] - Creates the child machines of invocations from a config and options
  * @returns {Object}
  */
-export const Machine = (config, options = {}) => {
+export const Machine = (config, options = {}, createChildMachine = Machine) => {
   // Private state
   const rootNode = createStateNode(config.id, {
+    type: config.type,
     initial: config.initial,
-    states: config.states
+    states: config.states,
+    on: config.on,
+    onError: config.onError,
+    tags: config.tags,
+    meta: config.meta,
+    description: config.description
   });
   const actions = options.actions || {};
   const guards = options.guards || {};
   const historySize = options.historySize || 50;
+  const maxAlwaysIterations = options.maxAlwaysIterations || 100;
+
+  // Snapshot from getPersistedSnapshot() the machine resumes from when started
+  const persistedSnapshot = options.snapshot ? migrateSnapshot(options.snapshot, config, options.migrations) : null;
 
   // Runtime state (previously in MachineService)
-  let _context = cloneContext(config.context || {});
+  let _context = cloneContext((persistedSnapshot || config).context || {});
   const eventEmitter = createEventEmitter();
   const queueManager = createQueueManager();
+  const timerManager = createTimerManager(options.delays);
+  const invokeManager = createInvokeManager(options.services, () => machineRef, createChildMachine);
   const _stateHistory = [];
 
   // Only track last event for notifications
   let lastEvent = null;
 
+  // Configurations recorded by history pseudo-states, keyed by history node id
+  let _historyValue = persistedSnapshot ? { ...persistedSnapshot.historyValue } : {};
+
+  // Snapshot of a state, the current one by default, with the merged tags and meta of its active states
+  const createSnapshot = (snapshotState = state, snapshotContext = _context) => ({
+    state: snapshotState,
+    context: cloneContext(snapshotContext),
+    tags: getStateTags(rootNode, snapshotState),
+    meta: getStateMeta(rootNode, snapshotState)
+  });
+
   const pushToHistory = () => {
-    _stateHistory.push({
-      state,
-      context: cloneContext(_context)
-    });
+    _stateHistory.push(createSnapshot());
     // Keep only the last historySize entries
     if (_stateHistory.length > historySize) {
       _stateHistory.splice(0, _stateHistory.length - historySize);
@@ -48,7 +94,10 @@ export const Machine = (config, options = {}) => {
     state = newState;
     _context = newContext;
     pushToHistory();
-    notifySubscribers();
+    // Entering the initial state on start() is not a transition
+    if (lastEvent) {
+      notifySubscribers();
+    }
   };
 
   const scheduleNextEvent = (isAsync) => {
@@ -58,33 +107,405 @@ export const Machine = (config, options = {}) => {
   // Machine reference that will be passed to actions and guards
   let machineRef = null;
 
-  // Create event processing functions that update our local state
+  // Controller of the async macrostep in progress, if any, and the macrostep
+  let abortController = null;
+  let asyncMacrostep = null;
+
+  // Incremented by restore(); an async start or macrostep begun before a
+  // restore is abandoned without writing over the restored state
+  let generation = 0;
+
+  // Abort the signal of the async macrostep in progress. A cancelled
+  // macrostep is rolled back even when its actions ignore the signal;
+  // otherwise only actions rejecting in response cancel it.
+  const abortTransition = (cancel = false) => {
+    if (!abortController) {
+      return false;
+    }
+    if (cancel) {
+      asyncMacrostep.cancelled = true;
+    }
+    abortController.abort();
+    return true;
+  };
+
+  // Lifecycle of the machine: it is active once started and done once a
+  // top-level final state is reached
+  let status = 'not-started';
+  let startPromise = null;
+  let _output;
+  let resolveCompletion;
+  const completion = new Promise(resolve => {
+    resolveCompletion = resolve;
+  });
+  const machineDoneEvent = `done.state.${rootNode.id}`;
+
+  const completeMachine = (output) => {
+    status = 'done';
+    timerManager.cancelAll();
+    invokeManager.stopAll();
+    _output = output;
+    resolveCompletion(output);
+  };
+
+  // Complete the machine when a top-level final state is active
+  const checkMachineDone = (event) => {
+    const doneEvent = getDoneEvents(getActiveLeafNodes(rootNode, state), state, rootNode, _context, event)
+      .find(internalEvent => internalEvent.type === machineDoneEvent);
+    if (doneEvent) {
+      completeMachine(doneEvent.output);
+    }
+    return !!doneEvent;
+  };
+
+  const assertAcceptsEvents = (event) => {
+    if (status !== 'active') {
+      throw new Error(`Machine "${config.id}" is ${status} and cannot accept event "${event.type}"`);
+    }
+  };
+
+  // An event is deferred while an active state lists it in `defer` and no
+  // transition handles it
+  const isDeferredEvent = (event) => {
+    if (status !== 'active') {
+      return false;
+    }
+    const deferringNode = getConfiguration(rootNode, state)
+      .find(node => node.defer.some(descriptor => matchesEventDescriptor(descriptor, event.type)));
+    if (!deferringNode) {
+      return false;
+    }
+    try {
+      return findTransitions({ ...event, context: _context }, state, rootNode, guards, machineRef).length === 0;
+    } catch (error) {
+      // Async and failing guards are left to the transition itself
+      if (isAsyncGuardSignal(error) || isGuardFailure(error)) {
+        clearPendingGuardResults(machineRef);
+        return false;
+      }
+      throw error;
+    }
+  };
+
+  // Event types the machine raises for onDone, after and invoke transitions
+  const getGeneratedEventTypes = (node) => new Set([
+    `done.state.${node.id}`,
+    ...node.after.map(({ event }) => event),
+    ...node.invoke.flatMap(({ id }) => [`done.invoke.${id}`, `error.platform.${id}`])
+  ]);
+
+  // Event descriptors handled by the active states, innermost first, and the
+  // root, without the events the machine raises itself
+  const getNextEvents = () => {
+    if (status === 'stopped' || status === 'done') {
+      return [];
+    }
+    const eventTypes = new Set();
+    for (const node of [...getConfiguration(rootNode, state).reverse(), rootNode]) {
+      const generated = getGeneratedEventTypes(node);
+      Object.keys(node.on)
+        .filter(eventType => !generated.has(eventType))
+        .forEach(eventType => eventTypes.add(eventType));
+    }
+    return [...eventTypes];
+  };
+
+  // Delayed transitions are delivered as regular events once their timer fires
+  const sendDelayedEvent = (eventType) => {
+    machineRef.send(eventType).catch(error => {
+      console.error(`Delayed event '${eventType}' failed:`, error);
+    });
+  };
+
+  // Invoked service results are delivered as regular events once they settle
+  const sendInvokeEvent = (eventType, payload) => {
+    machineRef.send(eventType, payload).catch(error => {
+      console.error(`Invoke event '${eventType}' failed:`, error);
+    });
+  };
+
+  /**
+   * Start the activities (delayed transitions, invoked services) of entered
+   * states and stop those of exited states. States that became active or inactive without
+   * being entered or exited explicitly are included as well.
+   * @param {string} previousState - Flat state before the microstep
+   * @param {Object} result - Microstep result
+   * @param {Object} event - Event that caused the microstep
+   */
+  const updateActivities = (previousState, result, event) => {
+    const previousConfiguration = getConfiguration(rootNode, previousState);
+    const nextConfiguration = getConfiguration(rootNode, result.state);
+
+    const exited = new Set([
+      ...result.exitNodes,
+      ...previousConfiguration.filter(node => !nextConfiguration.includes(node))
+    ]);
+    const entered = new Set([
+      ...result.entryNodes,
+      ...nextConfiguration.filter(node => !previousConfiguration.includes(node))
+    ]);
+
+    for (const node of sortByDocumentOrder([...exited]).reverse()) {
+      timerManager.cancel(node);
+      invokeManager.stop(node);
+    }
+    for (const node of sortByDocumentOrder([...entered])) {
+      timerManager.schedule(node, result.context, event, sendDelayedEvent);
+      invokeManager.start(node, result.context, event, sendInvokeEvent);
+    }
+  };
+
+  // Resume the activities of a rehydrated configuration: persisted delayed
+  // events fire after their remaining time and invoked services restart
+  const resumeActivities = (delayedEvents, event) => {
+    for (const node of getConfiguration(rootNode, state)) {
+      timerManager.resume(node, delayedEvents, sendDelayedEvent);
+      invokeManager.start(node, _context, event, sendInvokeEvent);
+    }
+  };
+
+  // Start the activities of every active state (initialization and restore)
+  const startActivities = (event) => {
+    for (const node of getConfiguration(rootNode, state)) {
+      timerManager.schedule(node, _context, event, sendDelayedEvent);
+      invokeManager.start(node, _context, event, sendInvokeEvent);
+    }
+  };
+
+  // A macrostep records the committed state it started from and the
+  // microsteps it applied; their activities start and the machine completes
+  // only once the whole macrostep succeeds
+  const beginMacrostep = () => ({
+    state,
+    context: _context,
+    historyValue: _historyValue,
+    microsteps: [],
+    done: false,
+    output: undefined,
+    cancelled: false
+  });
+
+  /**
+   * Apply a single microstep and queue the internal events it raised
+   * @param {Object} result - Microstep result with state, context, history, internal events and exited/entered nodes
+   * @param {Array} internalQueue
+   * @param {Object} event - Event that caused the microstep
+   * @param {Object} macrostep - Macrostep the microstep belongs to
+   */
+  const applyMicrostep = (result, internalQueue, event, macrostep) => {
+    macrostep.microsteps.push({ previousState: state, result, event });
+    state = result.state;
+    _context = result.context;
+    _historyValue = result.historyValue;
+
+    for (const internalEvent of result.internalEvents) {
+      if (internalEvent.type === machineDoneEvent) {
+        macrostep.done = true;
+        macrostep.output = internalEvent.output;
+      } else {
+        internalQueue.push(internalEvent);
+      }
+    }
+  };
+
+  // Start and stop the activities of every microstep, store the state in
+  // history and notify subscribers
+  const commitMacrostep = (macrostep) => {
+    for (const { previousState, result, event } of macrostep.microsteps) {
+      updateActivities(previousState, result, event);
+    }
+    if (macrostep.done) {
+      completeMachine(macrostep.output);
+    }
+    applyStateUpdate(state, _context);
+    queueManager.releaseDeferred(isDeferredEvent);
+  };
+
+  // Return to the state the macrostep started from when it fails or is aborted
+  const rollbackMacrostep = (macrostep) => {
+    state = macrostep.state;
+    _context = macrostep.context;
+    _historyValue = macrostep.historyValue;
+  };
+
+  /**
+   * Get the step that follows a microstep. Eventless transitions are checked
+   * after every transition until the configuration is stable, then the next
+   * internal event is processed.
+   * @param {Object} step - Step that was just processed
+   * @param {Object} result - Microstep result
+   * @param {Array} internalQueue
+   * @param {Object} macrostep
+   * @returns {Object|null} - Next step or null when the macrostep is complete
+   */
+  const getNextStep = (step, result, internalQueue, macrostep) => {
+    if (macrostep.done) {
+      return null;
+    }
+
+    if (result.transitioned) {
+      const taken = step.eventless ? step.taken + 1 : 0;
+      if (taken > maxAlwaysIterations) {
+        throw new Error(`Eventless transitions did not settle after ${maxAlwaysIterations} iterations in state "${state}"`);
+      }
+      return { event: step.event, eventless: true, taken };
+    }
+
+    const internalEvent = internalQueue.shift();
+    return internalEvent ? { event: internalEvent, eventless: false, taken: 0 } : null;
+  };
+
+  // The error of an action with a timeout or retry policy rejects the event
+  // carrying the attempts made and the error of each
+  const toRejection = ({ error, attempts, errors }) => {
+    if (attempts && error !== null && typeof error === 'object') {
+      Object.assign(error, { attempts, errors });
+    }
+    return error;
+  };
+
+  /**
+   * Get the step raising an error.execution event for a failed guard or
+   * action. The event is handled by the onError transitions of the state the
+   * guard or action belongs to or of its ancestors. Errors raised while handling an
+   * error are not caught again.
+   * @param {Object} step - Step whose microstep failed
+   * @param {{error: *, sourceNode: Object, action?: string, attempts?: number, errors?: Array<*>}} executionError - Actions with
+   * a timeout or retry policy report their name, the attempts made and the error of each
+   * @returns {Object}
+   */
+  const getErrorStep = (step, executionError) => {
+    if (step.errorSource) {
+      throw toRejection(executionError);
+    }
+    const { error, sourceNode, action, attempts, errors } = executionError;
+    const errorEvent = {
+      type: 'error.execution',
+      error,
+      state: sourceNode.parent ? getStatePath(sourceNode) : '',
+      ...(attempts ? { action, attempts, errors } : {})
+    };
+    return { event: errorEvent, eventless: false, taken: 0, errorSource: sourceNode };
+  };
+
+  // Uncaught execution errors reject the event that caused them
+  const assertErrorHandled = (step, result) => {
+    if (step.errorSource && !result.transitioned) {
+      throw toRejection(step.event);
+    }
+  };
+
+  // Continue a macrostep asynchronously until it is complete. Its async
+  // actions share an abort signal; when one of them rejects after the signal
+  // was aborted, or the macrostep was cancelled with abort(), the macrostep
+  // is rolled back and the event is rejected.
+  const processMacrostepAsync = async (step, internalQueue, results, macrostep = beginMacrostep()) => {
+    const controller = new AbortController();
+    const startedIn = generation;
+    abortController = controller;
+    asyncMacrostep = macrostep;
+    let current = step;
+
+    try {
+      while (current) {
+        const result = await processEventAsync(current.event, state, _context, rootNode, guards, actions, machineRef, _historyValue, current.eventless, current.errorSource, controller.signal);
+        // A machine stopped or restored in the meantime is left as if the transition was aborted
+        if (result.aborted || macrostep.cancelled || status === 'stopped' || generation !== startedIn) {
+          throw createTransitionAbortedError();
+        }
+        if (result.executionError) {
+          const { action, error, attempts } = result.executionError;
+          if (attempts) {
+            results.push({ name: action, error, attempts });
+          }
+          current = getErrorStep(current, result.executionError);
+          continue;
+        }
+        assertErrorHandled(current, result);
+        results.push(...result.results);
+        applyMicrostep(result, internalQueue, current.event, macrostep);
+        current = getNextStep(current, result, internalQueue, macrostep);
+      }
+    } catch (error) {
+      if (generation === startedIn) {
+        rollbackMacrostep(macrostep);
+      }
+      throw error;
+    } finally {
+      if (abortController === controller) {
+        abortController = null;
+        asyncMacrostep = null;
+      }
+    }
+
+    commitMacrostep(macrostep);
+    return { state, context: _context, results };
+  };
+
+  // Process a macrostep synchronously, switching to the async path when a
+  // microstep has async actions. Nothing of that microstep has run yet, so
+  // the async path resumes from it.
+  const processMacrostep = (step, internalQueue = []) => {
+    const results = [];
+    const macrostep = beginMacrostep();
+    let current = step;
+
+    try {
+      while (current) {
+        const result = processEventSync(current.event, state, _context, rootNode, guards, actions, executeActionsSync, machineRef, _historyValue, current.eventless, current.errorSource);
+        if (result.wasAsync) {
+          return { wasAsync: true, promise: processMacrostepAsync(current, internalQueue, results, macrostep) };
+        }
+        if (status === 'stopped') {
+          throw createTransitionAbortedError();
+        }
+        if (result.executionError) {
+          current = getErrorStep(current, result.executionError);
+          continue;
+        }
+        assertErrorHandled(current, result);
+
+        results.push(...result.value.results);
+        applyMicrostep({ ...result, ...result.value }, internalQueue, current.event, macrostep);
+        current = getNextStep(current, result, internalQueue, macrostep);
+      }
+    } catch (error) {
+      rollbackMacrostep(macrostep);
+      throw error;
+    }
+
+    commitMacrostep(macrostep);
+    return { wasAsync: false, value: { state, context: _context, results } };
+  };
+
+  // Create event processing functions that update our local state.
+  // An event, the eventless transitions it enables and the internal events
+  // it raises are processed to completion before the state is committed and
+  // subscribers are notified.
   const processEvent = (event) => {
+    assertAcceptsEvents(event);
     lastEvent = event;
+    invokeManager.forward(event);
 
-    const result = processEventSync(event, state, _context, rootNode, guards, actions, executeActionsSync, machineRef);
-    if (!result.wasAsync) {
-      applyStateUpdate(result.value.state, result.value.context);
-    }
-    return result;
+    return processMacrostep({ event, eventless: false, taken: 0 });
   };
 
   const processEventAsyncHandler = async (event) => {
+    assertAcceptsEvents(event);
     lastEvent = event;
+    invokeManager.forward(event);
 
-    const result = await processEventAsync(event, state, _context, rootNode, guards, actions, machineRef);
-    applyStateUpdate(result.state, result.context);
-    return result;
+    return processMacrostepAsync({ event, eventless: false, taken: 0 }, [], []);
   };
 
   // Initialize queue event processors
-  const { processNextQueuedEventSync, processNextQueuedEvent } = queueManager.createEventProcessor(processEvent, processEventAsyncHandler);
+  const { processNextQueuedEventSync, processNextQueuedEvent } = queueManager.createEventProcessor(processEvent, processEventAsyncHandler, isDeferredEvent);
 
   const notifySubscribers = () => {
     // Get previous state from history
     const previousSnapshot = _stateHistory.length > 1
       ? _stateHistory[_stateHistory.length - 2]
-      : { state: config.initial, context: cloneContext(config.context || {}) };
+      : createSnapshot(serializeState(getInitialLeafNodes(rootNode)), config.context || {});
     const currentSnapshot = _stateHistory[_stateHistory.length - 1];
 
     const transition = {
@@ -95,8 +516,162 @@ export const Machine = (config, options = {}) => {
     eventEmitter.notify(transition);
   };
 
-  // Initialize with initial state, handling nested initial states
-  let state = initializeState(rootNode, config.initial);
+  // Settle the eventless transitions enabled by the initial configuration and
+  // the events raised on entry, which also stores the initial state in history
+  const settleInitialState = (initialQueue) => {
+    startActivities({});
+    checkMachineDone({});
+    if (status === 'done') {
+      pushToHistory();
+      return { wasAsync: false };
+    }
+    return processMacrostep({ event: {}, eventless: true, taken: 0 }, initialQueue);
+  };
+
+  // An initial entry action that fails is handled like a failed transition
+  // action: the context updates of the initial entry are abandoned and the
+  // error.execution event is raised from the state the action belongs to
+  const settleInitialError = (initialContext, executionError) => {
+    _context = initialContext;
+    startActivities({});
+    return processMacrostep(getErrorStep({ event: {} }, executionError));
+  };
+
+  // Execute the initial entry actions, from the outermost state down
+  const enterInitialStateSync = () => {
+    const initialContext = _context;
+    const initialQueue = [];
+    for (const initialNode of getConfiguration(rootNode, state)) {
+      if (initialNode.entry.length > 0) {
+        let result;
+        try {
+          result = executeActionsSync(initialNode.entry, _context, {}, actions, machineRef);
+        } catch (error) {
+          return settleInitialError(initialContext, { error, sourceNode: initialNode });
+        }
+        _context = result.context;
+        initialQueue.push(...result.raisedEvents);
+      }
+    }
+    return settleInitialState(initialQueue);
+  };
+
+  // Await the initial entry actions before settling the initial state
+  const enterInitialStateAsync = async () => {
+    const startedIn = generation;
+    const initialContext = _context;
+    const initialQueue = [];
+    let executionError = null;
+    for (const initialNode of getConfiguration(rootNode, state)) {
+      let result;
+      try {
+        result = await executeActions(initialNode.entry, _context, {}, {
+          actionRegistry: actions,
+          machine: machineRef
+        });
+      } catch (error) {
+        executionError = { error, sourceNode: initialNode };
+        break;
+      }
+      if (status === 'stopped' || generation !== startedIn) {
+        throw createTransitionAbortedError();
+      }
+      if (result.failure) {
+        executionError = { ...result.failure, sourceNode: initialNode };
+        break;
+      }
+      _context = result.context;
+      initialQueue.push(...result.raisedEvents);
+    }
+    const result = executionError
+      ? settleInitialError(initialContext, executionError)
+      : settleInitialState(initialQueue);
+    if (result.wasAsync) {
+      await result.promise;
+    }
+  };
+
+  /**
+   * Enter the initial state. Events sent while async entry actions or
+   * eventless transitions are pending are queued until the machine settles.
+   * @returns {Promise<{state: string, context: Object}>}
+   */
+  const startMachine = () => {
+    status = 'active';
+    const startedIn = generation;
+    const entryActions = getConfiguration(rootNode, state).flatMap(node => node.entry);
+    const getSnapshot = () => ({ state, context: cloneContext(_context) });
+
+    // A machine whose initial state cannot be entered is stopped and the
+    // events queued meanwhile are rejected with the error. A start
+    // abandoned for restore() settles with the restored state instead.
+    const failStart = (error) => {
+      if (generation !== startedIn) {
+        return getSnapshot();
+      }
+      status = 'stopped';
+      timerManager.cancelAll();
+      invokeManager.stopAll();
+      queueManager.clearQueue(error);
+      throw error;
+    };
+
+    // A rehydrated machine is already in its state; entry actions do not run again
+    if (persistedSnapshot) {
+      resumeActivities(persistedSnapshot.delayedEvents || [], {});
+      checkMachineDone({});
+      pushToHistory();
+      return Promise.resolve(getSnapshot());
+    }
+
+    if (!hasAsyncActions(entryActions, actions)) {
+      let result;
+      try {
+        result = enterInitialStateSync();
+      } catch (error) {
+        failStart(error);
+      }
+      if (!result.wasAsync) {
+        return Promise.resolve(getSnapshot());
+      }
+      pushToHistory();
+      queueManager.setIsTransitioning(true);
+      return result.promise.then(getSnapshot, failStart).finally(() => {
+        queueManager.setIsTransitioning(false);
+        scheduleNextEvent(true);
+      });
+    }
+
+    queueManager.setIsTransitioning(true);
+    return enterInitialStateAsync().then(getSnapshot, failStart).finally(() => {
+      queueManager.setIsTransitioning(false);
+      scheduleNextEvent(true);
+    });
+  };
+
+  // Run the exit actions of the active states, innermost first, when the
+  // machine is stopped
+  const exitAllStates = () => {
+    const configuration = sortByDocumentOrder(getConfiguration(rootNode, state)).reverse();
+    for (const node of configuration) {
+      if (node.exit.length > 0) {
+        _context = executeActionsSync(node.exit, _context, {}, actions, machineRef).context;
+      }
+    }
+  };
+
+  // Resolve the state of a persisted snapshot
+  const getPersistedState = () => {
+    const persistedState = resolveStateValue(rootNode, persistedSnapshot.state);
+    if (!persistedState) {
+      const stateLabel = typeof persistedSnapshot.state === 'string' ? persistedSnapshot.state : JSON.stringify(persistedSnapshot.state);
+      throw new Error(`Invalid state in snapshot: ${stateLabel}`);
+    }
+    return persistedState;
+  };
+
+  // Initialize with initial state, handling nested initial states and parallel regions
+  let state = persistedSnapshot ? getPersistedState() : serializeState(getInitialLeafNodes(rootNode));
 
   // Public API
   const machine = {
@@ -108,14 +683,21 @@ export const Machine = (config, options = {}) => {
     get actions() { return actions; },
     get guards() { return guards; },
     get state() { return state; },
+    get status() { return status; },
+    get output() { return _output; },
+    get completion() { return completion; },
+    get parent() { return options.parent || null; },
+    get children() { return invokeManager.getChildren(); },
+    get value() { return toStateValue(rootNode, state); },
     get context() { return cloneContext(_context); },
     get isTransitioning() { return queueManager.getIsTransitioning(); },
     get eventQueue() { return queueManager.eventQueue; },
     get historySize() { return _stateHistory.length; },
     get history() { return [..._stateHistory]; },
+    get nextEvents() { return getNextEvents(); },
     get snapshot() {
       // Return the last history entry as the current snapshot
-      return _stateHistory[_stateHistory.length - 1] || { state, context: cloneContext(_context) };
+      return _stateHistory[_stateHistory.length - 1] || createSnapshot();
     },
 
     /**
@@ -126,6 +708,17 @@ export const Machine = (config, options = {}) => {
     send(eventType, payload = {}) {
       const event = { type: eventType, ...payload };
 
+      // A machine that was not started yet is started by its first event,
+      // which is queued behind async initial entry actions and rejects when
+      // the machine fails to start
+      if (status === 'not-started') {
+        const starting = this.start();
+        if (status === 'stopped') {
+          return starting;
+        }
+        starting.catch(() => {});
+      }
+
       // Queue event if currently transitioning
       if (queueManager.getIsTransitioning()) {
         return new Promise((resolve, reject) => {
@@ -133,6 +726,13 @@ export const Machine = (config, options = {}) => {
         });
       }
 
+      // Hold deferred events until the states deferring them are left
+      if (isDeferredEvent(event)) {
+        return new Promise((resolve, reject) => {
+          queueManager.defer(event, resolve, reject);
+        });
+      }
+
       queueManager.setIsTransitioning(true);
 
       try {
@@ -141,7 +741,7 @@ export const Machine = (config, options = {}) => {
 
         if (result.wasAsync) {
           // Switch to async processing
-          return processEventAsyncHandler(event).finally(() => {
+          return result.promise.finally(() => {
             queueManager.setIsTransitioning(false);
             scheduleNextEvent(true);
           });
@@ -162,9 +762,65 @@ export const Machine = (config, options = {}) => {
      * @returns {number} Number of events cleared
      */
     clearQueue() {
+      abortTransition();
       return queueManager.clearQueue();
     },
 
+    /**
+     * Abort the signal passed to the async actions of the transition in
+     * progress and cancel it. Once the actions in progress settle, whether or
+     * not they honour the signal, state and context are left unchanged and
+     * its event rejects with TransitionAbortedError.
+     * @returns {boolean} Whether a transition was in progress
+     */
+    abort() {
+      return abortTransition(true);
+    },
+
+    /**
+     * Start the machine by entering its initial state. Calling start() again
+     * returns the same promise.
+     * @returns {Promise<{state: string, context: Object}>} - Settles once async initial entry actions complete
+     */
+    start() {
+      if (status === 'not-started') {
+        try {
+          startPromise = startMachine();
+        } catch (error) {
+          startPromise = Promise.reject(error);
+        }
+      }
+      return startPromise || Promise.resolve({ state, context: cloneContext(_context) });
+    },
+
+    /**
+     * Stop the machine: the exit actions of the active states run, delayed
+     * transitions are cancelled, invoked services and child machines are
+     * stopped and queued events are rejected. A stopped machine no longer
+     * accepts events.
+     */
+    stop() {
+      if (status === 'stopped' || status === 'done') {
+        return;
+      }
+      const wasActive = status === 'active';
+      status = 'stopped';
+      abortTransition();
+      // The states of an async transition in progress were never committed
+      if (asyncMacrostep) {
+        rollbackMacrostep(asyncMacrostep);
+      }
+      try {
+        if (wasActive) {
+          exitAllStates();
+        }
+      } finally {
+        timerManager.cancelAll();
+        invokeManager.stopAll();
+        queueManager.clearQueue();
+      }
+    },
+
     /**
      * Send event with priority (clears queue and processes immediately)
      * @param {string} eventType
@@ -180,49 +836,44 @@ export const Machine = (config, options = {}) => {
     },
 
     /**
+     * Check whether the given state (path or state value object) is active.
+     * Every path described by a state value object must be active.
      * @param {string|Object} stateValue
      * @returns {boolean}
      */
     matches(stateValue) {
-      if (typeof stateValue === 'string') {
-        // Check exact match
-        if (state === stateValue) {
-          return true;
-        }
-        // Check if current state is a descendant
-        if (state.startsWith(stateValue + '.')) {
-          return true;
-        }
-        return false;
-      }
-
-      // Handle nested object notation
-      if (typeof stateValue === 'object' && stateValue !== null) {
-        const currentParts = state.split('.');
-
-        const checkNested = (obj, level = 0) => {
-          if (level >= currentParts.length) return false;
+      return matchesStateValue(rootNode, state, stateValue);
+    },
 
-          for (const key in obj) {
-            if (currentParts[level] !== key) {
-              continue;
-            }
-            if (typeof obj[key] === 'object' && obj[key] !== null) {
-              return checkNested(obj[key], level + 1);
-            }
-            if (typeof obj[key] === 'string') {
-              return currentParts.slice(level + 1).join('.') === obj[key] ||
-                     currentParts.slice(level + 1).join('.').startsWith(obj[key] + '.');
-            }
-            return level === currentParts.length - 1;
-          }
-          return false;
-        };
+    /**
+     * @param {string} tag
+     * @returns {boolean} Whether an active state has the tag
+     */
+    hasTag(tag) {
+      return getStateTags(rootNode, state).includes(tag);
+    },
 
-        return checkNested(stateValue);
+    /**
+     * Check whether an event would be handled in the current state. Guards
+     * are evaluated from the active states up through their ancestors, as
+     * send() does, but no action runs.
+     * @param {string} eventType
+     * @param {Object} [payload]
+     * @returns {boolean}
+     */
+    can(eventType, payload = {}) {
+      if (status === 'stopped' || status === 'done') {
+        return false;
+      }
+      try {
+        return findTransitions({ type: eventType, ...payload, context: _context }, state, rootNode, guards, machineRef).length > 0;
+      } catch (error) {
+        if (isAsyncGuardSignal(error)) {
+          clearPendingGuardResults(machineRef);
+          throw new Error(`can() cannot evaluate async guards (event "${eventType}")`);
+        }
+        throw isGuardFailure(error) ? error.error : error;
       }
-
-      return false;
     },
 
     /**
@@ -236,7 +887,12 @@ export const Machine = (config, options = {}) => {
     /**
      * Restore machine to a specific snapshot state.
      * Note: This does NOT execute entry/exit actions.
-     * @param {Object} snapshot - Object with state and context properties
+     * A machine that was not started becomes active; an async start or
+     * transition in progress is abandoned. A stopped machine cannot be
+     * restored. Snapshots from getPersistedSnapshot() are migrated first and
+     * also restore the memory of history states and the delayed events that
+     * had not fired.
+     * @param {Object} snapshot - Object with state (flat form or state value) and context properties
      * @returns {Promise<{state: string, context: Object}>}
      */
     restore(snapshot) {
@@ -244,25 +900,55 @@ export const Machine = (config, options = {}) => {
       if (!snapshot || typeof snapshot !== 'object') {
         return Promise.reject(new Error('Snapshot must be an object'));
       }
+      if (snapshot.hasOwnProperty('definitionHash')) {
+        try {
+          snapshot = migrateSnapshot(snapshot, config, options.migrations);
+        } catch (error) {
+          return Promise.reject(error);
+        }
+      }
       if (!snapshot.hasOwnProperty('state') || !snapshot.hasOwnProperty('context')) {
         return Promise.reject(new Error('Snapshot must have state and context properties'));
       }
+      if (status === 'stopped') {
+        return Promise.reject(new Error(`Machine "${config.id}" is stopped and cannot be restored`));
+      }
 
       // Validate that the state exists in the machine definition
-      const stateNode = getStateNode(rootNode, snapshot.state);
-      if (!stateNode) {
-        return Promise.reject(new Error(`Invalid state in snapshot: ${snapshot.state}`));
+      const restoredState = resolveStateValue(rootNode, snapshot.state);
+      if (!restoredState) {
+        const stateLabel = typeof snapshot.state === 'string' ? snapshot.state : JSON.stringify(snapshot.state);
+        return Promise.reject(new Error(`Invalid state in snapshot: ${stateLabel}`));
       }
 
       lastEvent = { type: 'RESTORE' };
 
+      // Abandon an async start or transition in progress
+      generation++;
+      abortTransition();
+
       // Restore state and context from snapshot
-      state = snapshot.state;
+      state = restoredState;
       _context = cloneContext(snapshot.context);
 
+      // Restart the delayed transitions and services of the restored configuration
+      timerManager.cancelAll();
+      invokeManager.stopAll();
+      if (snapshot.hasOwnProperty('definitionHash')) {
+        _historyValue = { ...snapshot.historyValue };
+        resumeActivities(snapshot.delayedEvents || [], lastEvent);
+      } else {
+        startActivities(lastEvent);
+      }
+
       // Clear any queued events
       queueManager.clearQueue();
 
+      // A restored top-level final state leaves the machine done
+      if (!checkMachineDone(lastEvent)) {
+        status = 'active';
+      }
+
       // Push to history
       pushToHistory();
 
@@ -272,6 +958,37 @@ export const Machine = (config, options = {}) => {
       return Promise.resolve({ state, context: cloneContext(_context) });
     },
 
+    /**
+     * Get a JSON-safe snapshot that createMachine(config, { snapshot }) resumes
+     * from, with the history states' memory and the delayed events that have
+     * not fired yet
+     * @returns {{id: string, version: number, definitionHash: string, state: string, context: Object, historyValue: Object, delayedEvents: Array<Object>}}
+     */
+    getPersistedSnapshot() {
+      return {
+        id: config.id,
+        version: getDefinitionVersion(config),
+        definitionHash: hashDefinition(config),
+        state,
+        context: cloneContext(_context),
+        historyValue: cloneContext(_historyValue),
+        delayedEvents: timerManager.getPending()
+      };
+    },
+
+    /**
+     * Compute the snapshot an event leads to from the given snapshot without
+     * executing side effects or changing this machine. Assign and raise
+     * actions are applied; the other actions are returned in the order they
+     * would run.
+     * @param {Object} snapshot - Object with state (flat form or state value) and context properties
+     * @param {string|Object} event - Event type or event object
+     * @returns {{snapshot: Object, actions: Array<Object>, changed: boolean}}
+     */
+    transition(snapshot, event) {
+      return planTransition(snapshot, event, rootNode, guards, actions, machineRef, maxAlwaysIterations);
+    },
+
     /**
      * Validates the machine configuration and structure.
      * Checks for invalid transitions, missing guards/actions, unreachable states, etc.
@@ -292,12 +1009,30 @@ export const Machine = (config, options = {}) => {
       const actionErrors = validateActionReferences();
       errors.push(...actionErrors);
 
+      const delayErrors = validateDelayReferences();
+      errors.push(...delayErrors);
+
+      const serviceErrors = validateServiceReferences();
+      errors.push(...serviceErrors);
+
+      const descriptorErrors = validateEventDescriptors();
+      errors.push(...descriptorErrors);
+
       const nestedErrors = validateNestedStates();
       errors.push(...nestedErrors);
 
       const reachabilityWarnings = validateStateReachability();
       warnings.push(...reachabilityWarnings);
 
+      const finalStateWarnings = validateFinalStates();
+      warnings.push(...finalStateWarnings);
+
+      const asyncGuardWarnings = validateAsyncGuards();
+      warnings.push(...asyncGuardWarnings);
+
+      const alwaysCycleErrors = validateAlwaysCycles();
+      errors.push(...alwaysCycleErrors);
+
       return {
         valid: errors.length === 0,
         errors: errors,
@@ -324,21 +1059,48 @@ export const Machine = (config, options = {}) => {
   // Set the machine reference now that we have the machine object
   machineRef = machine;
 
-  // Execute initial entry actions
-  const initialNode = getStateNode(rootNode, state);
-  if (initialNode && initialNode.entry.length > 0) {
-    const result = executeActionsSync(initialNode.entry, _context, {}, actions, machineRef);
-    _context = result.context;
-  }
-
-  // Store initial state in history
-  pushToHistory();
-
   // Helper functions for validation
   const normalizeTransitions = (transition) => {
     return Array.isArray(transition) ? transition : [transition];
   };
 
+  // Event transitions of a node, with its eventless transitions listed as 'always'
+  const getTransitionEntries = (node) => {
+    const entries = Object.entries(node.on || {});
+    if (node.always && node.always.length > 0) {
+      entries.push(['always', node.always]);
+    }
+    if (node.onError && node.onError.length > 0) {
+      entries.push(['onError', node.onError]);
+    }
+    return entries;
+  };
+
+  // Names of the registry guards referenced by a guard
+  const getGuardReferences = (guard) => {
+    if (typeof guard === 'string') {
+      return [guard.startsWith('!') ? guard.slice(1) : guard];
+    }
+    if (!guard || typeof guard !== 'object') {
+      return [];
+    }
+    if (Array.isArray(guard.guards)) {
+      return guard.guards.flatMap(getGuardReferences);
+    }
+    if (guard.guard) {
+      return getGuardReferences(guard.guard);
+    }
+    return isParameterized(guard) && guard.type !== 'stateIn' ? [guard.type] : [];
+  };
+
+  // Registry name of a string or parameterized action
+  const getActionReference = (action) => {
+    if (typeof action === 'string') {
+      return action;
+    }
+    return isParameterized(action) ? action.type : undefined;
+  };
+
   const forEachChildState = (node, statePath, callback) => {
     if (node.states) {
       for (const [childKey, childNode] of Object.entries(node.states)) {
@@ -359,7 +1121,7 @@ export const Machine = (config, options = {}) => {
     const checkTransitions = (node, statePath) => {
       // Check all transitions for this state
       if (node.on) {
-        for (const [event, transition] of Object.entries(node.on)) {
+        for (const [event, transition] of getTransitionEntries(node)) {
           const transitions = normalizeTransitions(transition);
 
           for (const trans of transitions) {
@@ -407,6 +1169,205 @@ export const Machine = (config, options = {}) => {
     return { errors, warnings };
   };
 
+  /**
+   * @returns {Array}
+   */
+  const validateDelayReferences = () => {
+    const errors = [];
+    const delays = options.delays || {};
+
+    const checkDelays = (node, statePath) => {
+      for (const { delay } of node.after) {
+        if (!isNumericDelay(delay) && delays[delay] === undefined) {
+          errors.push({
+            type: 'MISSING_DELAY',
+            delay,
+            state: statePath
+          });
+        }
+      }
+
+      forEachChildState(node, statePath, checkDelays);
+    };
+
+    checkDelays(rootNode, '');
+    return errors;
+  };
+
+  /**
+   * @returns {Array}
+   */
+  const validateServiceReferences = () => {
+    const errors = [];
+    const services = options.services || {};
+
+    const checkServices = (node, statePath) => {
+      for (const { src } of node.invoke) {
+        if (typeof src === 'string' && !services[src]) {
+          errors.push({
+            type: 'MISSING_SERVICE',
+            service: src,
+            state: statePath
+          });
+        }
+      }
+
+      forEachChildState(node, statePath, checkServices);
+    };
+
+    checkServices(rootNode, '');
+    return errors;
+  };
+
+  /**
+   * Event descriptors in `on` and `defer` must be an event type, '*' or a
+   * 'prefix.*' namespace
+   * @returns {Array}
+   */
+  const validateEventDescriptors = () => {
+    const errors = [];
+
+    const checkDescriptors = (node, statePath) => {
+      for (const descriptor of [...Object.keys(node.on), ...node.defer]) {
+        if (!isValidEventDescriptor(descriptor)) {
+          errors.push({
+            type: 'INVALID_EVENT_DESCRIPTOR',
+            descriptor,
+            state: statePath
+          });
+        }
+      }
+
+      forEachChildState(node, statePath, checkDescriptors);
+    };
+
+    checkDescriptors(rootNode, '');
+    return errors;
+  };
+
+  /**
+   * Some transitions are selected synchronously or should settle at once:
+   * an async guard on an eventless transition leaves the machine in a
+   * transient state while it is awaited, and deferral of an event is decided
+   * without awaiting the guards of the transitions that could handle it
+   * @returns {Array}
+   */
+  const validateAsyncGuards = () => {
+    const warnings = [];
+
+    const hasAsyncGuard = (transition) => normalizeTransitions(transition)
+      .some(trans => trans && typeof trans === 'object' && isGuardAsync(trans.cond, guards));
+
+    const checkGuards = (node, statePath) => {
+      if (hasAsyncGuard(node.always)) {
+        warnings.push({ type: 'ASYNC_GUARD', state: statePath, event: 'always', context: 'always' });
+      }
+
+      const deferred = [node, ...getAncestors(node)].flatMap(ancestor => ancestor.defer);
+      for (const [event, transition] of Object.entries(node.on)) {
+        const isDeferred = deferred.some(descriptor => matchesEventDescriptor(descriptor, event));
+        if (isDeferred && hasAsyncGuard(transition)) {
+          warnings.push({ type: 'ASYNC_GUARD', state: statePath, event, context: 'defer' });
+        }
+      }
+
+      forEachChildState(node, statePath, checkGuards);
+    };
+
+    checkGuards(rootNode, '');
+    return warnings;
+  };
+
+  /**
+   * Final states complete their parent, so outgoing transitions never fire
+   * @returns {Array}
+   */
+  const validateFinalStates = () => {
+    const warnings = [];
+
+    // Walks the config, as the state nodes also list the transitions
+    // generated for after, invoke and onDone under `on`
+    const checkFinal = (stateConfig, statePath) => {
+      if (stateConfig.type === 'final') {
+        const events = Object.keys(stateConfig.on || {});
+        if (events.length > 0) {
+          warnings.push({
+            type: 'FINAL_STATE_TRANSITIONS',
+            state: statePath,
+            events
+          });
+        }
+      }
+
+      forEachChildState(stateConfig, statePath, checkFinal);
+    };
+
+    checkFinal(config, '');
+    return warnings;
+  };
+
+  /**
+   * Eventless transitions without a guard are always taken, so a cycle of
+   * them never settles. Follows the unguarded eventless transition enabled
+   * in each leaf state and reports every cycle found.
+   * @returns {Array}
+   */
+  const validateAlwaysCycles = () => {
+    const errors = [];
+    const reported = new Set();
+
+    // Leaf states entered by the unguarded eventless transition active in a leaf
+    const getForcedTargets = (leafNode) => {
+      const sourceNode = [leafNode, ...getAncestors(leafNode)].find(node => node.always.length > 0);
+      if (!sourceNode) {
+        return [];
+      }
+
+      const first = sourceNode.always[0];
+      const transition = typeof first === 'string' ? { target: first } : first;
+      if (!transition || transition.cond) {
+        return [];
+      }
+      if (!transition.target) {
+        return [leafNode];
+      }
+
+      const targetNode = resolveTargetNode(rootNode, leafNode, transition.target);
+      if (!targetNode) {
+        return [];
+      }
+      return getInitialLeafNodes(isHistoryNode(targetNode) ? targetNode.parent : targetNode);
+    };
+
+    const visit = (leafNode, path) => {
+      const cycleStart = path.indexOf(leafNode);
+      if (cycleStart !== -1) {
+        const states = path.slice(cycleStart).map(getStatePath);
+        const key = [...states].sort().join(STATE_DELIMITER);
+        if (!reported.has(key)) {
+          reported.add(key);
+          errors.push({ type: 'ALWAYS_CYCLE', states });
+        }
+        return;
+      }
+
+      for (const nextLeaf of getForcedTargets(leafNode)) {
+        visit(nextLeaf, [...path, leafNode]);
+      }
+    };
+
+    const visitLeaves = (node) => {
+      const children = getChildStates(node);
+      if (children.length === 0 && node.parent && !isHistoryNode(node)) {
+        visit(node, []);
+      }
+      children.forEach(visitLeaves);
+    };
+
+    visitLeaves(rootNode);
+    return errors;
+  };
+
   /**
    * @returns {Array}
    */
@@ -415,16 +1376,13 @@ export const Machine = (config, options = {}) => {
 
     const checkGuards = (node, statePath) => {
       if (node.on) {
-        for (const [event, transition] of Object.entries(node.on)) {
+        for (const [event, transition] of getTransitionEntries(node)) {
           const transitions = normalizeTransitions(transition);
 
           for (const trans of transitions) {
             if (trans && typeof trans === 'object' && trans.cond) {
-              const guard = trans.cond;
-
-              // Check string guard references
-              if (typeof guard === 'string') {
-                const guardName = guard.startsWith('!') ? guard.slice(1) : guard;
+              // Check string guard references, including those in combined guards
+              for (const guardName of getGuardReferences(trans.cond)) {
                 if (!guards[guardName]) {
                   errors.push({
                     type: 'MISSING_GUARD',
@@ -439,31 +1397,6 @@ export const Machine = (config, options = {}) => {
         }
       }
 
-      // Check wildcard event handlers
-      if (node.on && node.on['*']) {
-        const wildcardTransition = node.on['*'];
-        const transitions = normalizeTransitions(wildcardTransition);
-
-        for (const trans of transitions) {
-          if (trans && typeof trans === 'object' && trans.cond) {
-            const guard = trans.cond;
-
-            // Check string guard references
-            if (typeof guard === 'string') {
-              const guardName = guard.startsWith('!') ? guard.slice(1) : guard;
-              if (!guards[guardName]) {
-                errors.push({
-                  type: 'MISSING_GUARD',
-                  guard: guardName,
-                  state: statePath,
-                  event: '*'
-                });
-              }
-            }
-          }
-        }
-      }
-
       // Recursively check child states
       forEachChildState(node, statePath, checkGuards);
     };
@@ -482,10 +1415,11 @@ export const Machine = (config, options = {}) => {
       // Check entry and exit actions
       const checkActionList = (actionList, actionType) => {
         for (const action of actionList) {
-          if (typeof action === 'string' && !actions[action]) {
+          const actionName = getActionReference(action);
+          if (actionName && !actions[actionName]) {
             errors.push({
               type: 'MISSING_ACTION',
-              action: action,
+              action: actionName,
               state: statePath,
               actionType: actionType
             });
@@ -503,17 +1437,18 @@ export const Machine = (config, options = {}) => {
 
       // Check transition actions
       if (node.on) {
-        for (const [event, transition] of Object.entries(node.on)) {
+        for (const [event, transition] of getTransitionEntries(node)) {
           const transitions = normalizeTransitions(transition);
 
           for (const trans of transitions) {
             if (trans && typeof trans === 'object' && trans.actions) {
               const transActions = Array.isArray(trans.actions) ? trans.actions : [trans.actions];
               for (const action of transActions) {
-                if (typeof action === 'string' && !actions[action]) {
+                const actionName = getActionReference(action);
+                if (actionName && !actions[actionName]) {
                   errors.push({
                     type: 'MISSING_ACTION',
-                    action: action,
+                    action: actionName,
                     state: statePath,
                     event: event
                   });
@@ -524,28 +1459,6 @@ export const Machine = (config, options = {}) => {
         }
       }
 
-      // Check wildcard event handlers
-      if (node.on && node.on['*']) {
-        const wildcardTransition = node.on['*'];
-        const transitions = normalizeTransitions(wildcardTransition);
-
-        for (const trans of transitions) {
-          if (trans && typeof trans === 'object' && trans.actions) {
-            const transActions = Array.isArray(trans.actions) ? trans.actions : [trans.actions];
-            for (const action of transActions) {
-              if (typeof action === 'string' && !actions[action]) {
-                errors.push({
-                  type: 'MISSING_ACTION',
-                  action: action,
-                  state: statePath,
-                  event: '*'
-                });
-              }
-            }
-          }
-        }
-      }
-
       // Recursively check child states
       forEachChildState(node, statePath, checkActions);
     };
@@ -572,6 +1485,27 @@ export const Machine = (config, options = {}) => {
         }
       }
 
+      // Check history pseudo-states
+      if (isHistoryNode(node)) {
+        if (node.history !== 'shallow' && node.history !== 'deep') {
+          errors.push({
+            type: 'INVALID_HISTORY',
+            state: statePath,
+            history: node.history
+          });
+        }
+        if (node.target) {
+          const targetNode = resolveTargetNode(rootNode, node, node.target);
+          if (!targetNode || targetNode.parent !== node.parent || isHistoryNode(targetNode)) {
+            errors.push({
+              type: 'INVALID_HISTORY_TARGET',
+              state: statePath,
+              target: node.target
+            });
+          }
+        }
+      }
+
       // Recursively check child states
       forEachChildState(node, statePath, checkNestedInitial);
     };
@@ -599,19 +1533,24 @@ export const Machine = (config, options = {}) => {
       }
     };
 
-    // Start with initial state
-    markReachable(config.initial);
+    // Start with initial state, or every region of a parallel root
+    const initialStates = config.type === 'parallel' ? Object.keys(config.states) : [config.initial];
+    initialStates.forEach(initialState => markReachable(initialState));
 
     // Find all states that are targets of transitions
     const findTransitionTargets = (node) => {
       if (node.on) {
-        for (const transition of Object.values(node.on)) {
+        for (const [, transition] of getTransitionEntries(node)) {
           const transitions = normalizeTransitions(transition);
           for (const trans of transitions) {
             const target = typeof trans === 'string' ? trans : trans?.target;
             if (target) {
               // Resolve the target to get the actual state path
-              const targetNode = findStateNode(rootNode, target);
+              let targetNode = findStateNode(rootNode, target);
+              // Any child of the parent may be restored through a history state
+              if (targetNode && isHistoryNode(targetNode)) {
+                targetNode = targetNode.parent.parent ? targetNode.parent : null;
+              }
               if (targetNode) {
                 // Extract state path from node id
                 const statePath = targetNode.id.replace(/^[^.]*\./, '');
@@ -634,7 +1573,7 @@ export const Machine = (config, options = {}) => {
 
     // Check for unreachable states
     const checkUnreachable = (node, statePath) => {
-      if (statePath && !reachableStates.has(statePath)) {
+      if (statePath && !isHistoryNode(node) && !reachableStates.has(statePath)) {
         warnings.push({
           type: 'UNREACHABLE_STATE',
           state: statePath
@@ -648,11 +1587,11 @@ export const Machine = (config, options = {}) => {
 
     // Check for empty states (states with no transitions, actions, or children)
     const checkEmpty = (node, statePath) => {
-      const hasTransitions = node.on && Object.keys(node.on).length > 0;
-      const hasActions = (node.entry && node.entry.length > 0) || (node.exit && node.exit.length > 0);
+      const hasTransitions = getTransitionEntries(node).length > 0;
+      const hasActions = (node.entry && node.entry.length > 0) || (node.exit && node.exit.length > 0) || node.invoke.length > 0;
       const hasChildren = node.states && Object.keys(node.states).length > 0;
 
-      if (statePath && !hasTransitions && !hasActions && !hasChildren) {
+      if (statePath && !isHistoryNode(node) && node.type !== 'final' && !hasTransitions && !hasActions && !hasChildren) {
         warnings.push({
           type: 'EMPTY_STATE',
           state: statePath
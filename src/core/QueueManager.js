@@ -29,6 +29,29 @@ export const createQueueManager = () => {
     eventQueue.push({ event, resolve, reject });
   };
 
+  /**
+   * Hold an event in the queue until it is no longer deferred
+   * @param {Object} event
+   * @param {Function} resolve
+   * @param {Function} reject
+   */
+  const defer = (event, resolve, reject) => {
+    eventQueue.push({ event, resolve, reject, deferred: true });
+  };
+
+  /**
+   * Re-check the held events. Released events keep their place in the queue,
+   * so they are processed in the order they were sent.
+   * @param {Function} isDeferred - Whether an event is still deferred
+   */
+  const releaseDeferred = (isDeferred) => {
+    for (const item of eventQueue) {
+      if (item.deferred) {
+        item.deferred = isDeferred(item.event);
+      }
+    }
+  };
+
   /**
    * @returns {Object|null}
    */
@@ -36,6 +59,26 @@ export const createQueueManager = () => {
     return eventQueue.length > 0 ? eventQueue.shift() : null;
   };
 
+  /**
+   * Take the first event that is not deferred, holding the ones that are
+   * @param {Function} isDeferred
+   * @returns {Object|null}
+   */
+  const takeNext = (isDeferred) => {
+    for (let index = 0; index < eventQueue.length; index++) {
+      const item = eventQueue[index];
+      if (item.deferred) {
+        continue;
+      }
+      if (isDeferred(item.event)) {
+        item.deferred = true;
+        continue;
+      }
+      return eventQueue.splice(index, 1)[0];
+    }
+    return null;
+  };
+
   /**
    * @returns {number}
    */
@@ -43,9 +86,10 @@ export const createQueueManager = () => {
 
   /**
    * Clear all queued events
+   * @param {Error} [error] - Error the events are rejected with instead of a QueueClearedError
    * @returns {number} Number of events cleared
    */
-  const clearQueue = () => {
+  const clearQueue = (error) => {
     // If no transitioning and no events, return early
     if (!isTransitioning && eventQueue.length === 0) {
       return 0;
@@ -57,7 +101,7 @@ export const createQueueManager = () => {
     eventQueue.forEach(item => {
       if (item.reject) {
         // Reject immediately - the tests will catch the error
-        item.reject(createQueueClearedError());
+        item.reject(error || createQueueClearedError());
       }
     });
 
@@ -72,23 +116,29 @@ export const createQueueManager = () => {
   /**
    * @param {Function} syncProcessor - Function to process single event synchronously
    * @param {Function} asyncProcessor - Function to process single event asynchronously
+   * @param {Function} [isDeferred] - Whether a queued event must be held for now
    * @returns {Function} Process next queued event
    */
-  const createEventProcessor = (syncProcessor, asyncProcessor) => {
+  const createEventProcessor = (syncProcessor, asyncProcessor, isDeferred = () => false) => {
     const processNextQueuedEventSync = () => {
       if (eventQueue.length === 0 || isTransitioning) {
         return;
       }
 
-      const { event, resolve, reject } = eventQueue.shift();
+      const next = takeNext(isDeferred);
+      if (!next) {
+        return;
+      }
+
+      const { event, resolve, reject } = next;
       isTransitioning = true;
 
       try {
         const result = syncProcessor(event);
 
         if (result.wasAsync) {
-          // Switch to async processing
-          asyncProcessor(event).then(asyncResult => {
+          // Switch to async processing, or continue the one already started
+          (result.promise || asyncProcessor(event)).then(asyncResult => {
             isTransitioning = false;
             resolve(asyncResult);
             // Process next queued event asynchronously
@@ -116,7 +166,12 @@ export const createQueueManager = () => {
         return;
       }
 
-      const { event, resolve, reject } = eventQueue.shift();
+      const next = takeNext(isDeferred);
+      if (!next) {
+        return;
+      }
+
+      const { event, resolve, reject } = next;
       isTransitioning = true;
 
       asyncProcessor(event).then(result => {
@@ -138,10 +193,15 @@ export const createQueueManager = () => {
     getIsTransitioning,
     setIsTransitioning,
     enqueue,
+    defer,
+    releaseDeferred,
     dequeue,
     size,
     clearQueue,
     createEventProcessor,
-    get eventQueue() { return eventQueue; }
+    // Read-only view of the queued events, without their promise callbacks
+    get eventQueue() {
+      return eventQueue.map(({ event, deferred }) => ({ event, deferred: !!deferred }));
+    }
   };
 };
\ No newline at end of file
@@ -0,0 +1,113 @@
+import { cloneContext } from './ContextCloner.js';
+
+// State config keys that do not affect which persisted snapshots are valid
+const NON_STRUCTURAL_KEYS = new Set(['context', 'meta', 'description', 'tags', 'version']);
+
+/**
+ * Serialize a value with sorted object keys. Functions are recorded without
+ * their source, so editing an inline action or guard keeps the hash.
+ * @param {*} value
+ * @returns {string}
+ */
+const serializeValue = (value) => {
+  if (typeof value === 'function') {
+    return '"function"';
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(serializeValue).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${serializeValue(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+/**
+ * Serialize a state config. Child states keep their order, which decides the
+ * document order of parallel regions.
+ * @param {Object} stateConfig
+ * @returns {string}
+ */
+const serializeStateConfig = (stateConfig) => {
+  const keys = Object.keys(stateConfig)
+    .filter(key => !NON_STRUCTURAL_KEYS.has(key) && stateConfig[key] !== undefined)
+    .sort();
+  const entries = keys.map(key => {
+    const value = key === 'states'
+      ? `{${Object.entries(stateConfig.states).map(([childKey, child]) => `${JSON.stringify(childKey)}:${serializeStateConfig(child)}`).join(',')}}`
+      : serializeValue(stateConfig[key]);
+    return `${JSON.stringify(key)}:${value}`;
+  });
+  return `{${entries.join(',')}}`;
+};
+
+/**
+ * Hash the structure of a machine definition (FNV-1a). Context, meta,
+ * descriptions, tags and the version are left out.
+ * @param {Object} config - Machine config
+ * @returns {string} - 8 hex digits
+ */
+export const hashDefinition = (config) => {
+  const text = serializeStateConfig(config);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash.toString(16).padStart(8, '0');
+};
+
+/**
+ * @param {Object} config - Machine config
+ * @returns {number} - `config.version`, 0 when not set
+ */
+export const getDefinitionVersion = (config) => {
+  return config.version === undefined ? 0 : config.version;
+};
+
+/**
+ * Check a persisted snapshot against the machine definition. A snapshot of an
+ * older version is migrated by the migrations keyed by a newer version, in
+ * ascending order; each receives the snapshot returned by the previous one.
+ * @param {Object} snapshot - Payload from getPersistedSnapshot()
+ * @param {Object} config - Machine config
+ * @param {Object<number, Function>} [migrations] - Migrations keyed by the version they migrate to
+ * @returns {Object} - Snapshot at the definition's version
+ */
+export const migrateSnapshot = (snapshot, config, migrations = {}) => {
+  if (!snapshot || typeof snapshot !== 'object') {
+    throw new Error('Snapshot must be an object');
+  }
+  if (snapshot.id !== config.id) {
+    throw new Error(`Persisted snapshot of machine "${snapshot.id}" cannot be restored into machine "${config.id}"`);
+  }
+
+  const version = getDefinitionVersion(config);
+  const snapshotVersion = snapshot.version === undefined ? 0 : snapshot.version;
+  if (snapshotVersion > version) {
+    throw new Error(`Persisted snapshot version ${snapshotVersion} is newer than machine "${config.id}" version ${version}`);
+  }
+
+  const definitionHash = hashDefinition(config);
+  if (snapshotVersion === version) {
+    if (snapshot.definitionHash !== definitionHash) {
+      throw new Error(`Persisted snapshot of machine "${config.id}" was created from a different definition of version ${version}; increase the version and add a migration`);
+    }
+    return cloneContext(snapshot);
+  }
+
+  const targets = Object.keys(migrations)
+    .map(Number)
+    .filter(target => target > snapshotVersion && target <= version)
+    .sort((a, b) => a - b);
+
+  let migrated = cloneContext(snapshot);
+  for (const target of targets) {
+    if (typeof migrations[target] !== 'function') {
+      throw new Error(`Migration to version ${target} must be a function`);
+    }
+    migrated = { ...migrations[target](migrated), version: target };
+  }
+  return { ...migrated, version, definitionHash };
+};
\ No newline at end of file
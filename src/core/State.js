@@ -4,11 +4,22 @@
  * @property {string} [type]
  * @property {Array<Function|string>} entry
  * @property {Array<Function|string>} exit
- * @property {Object} on
+ * @property {Object} on - Event transitions, including onDone as done.state.<id>, after as after.<delay>.<id> and invoke results as done.invoke.<id>/error.platform.<id>
+ * @property {Array<{delay: string, event: string}>} after - Delayed transitions
+ * @property {Array<{id: string, src: Function|Object|string, input: *, forward: boolean|Array<string>, options: Object}>} invoke - Invoked services and child machines
+ * @property {Array<string|Object>} always - Eventless transitions
+ * @property {Array<string|Object>} onError - Transitions taken when an action of the state or a descendant throws
+ * @property {Array<string>} defer - Event descriptors held while the state is active
  * @property {string} [initial]
  * @property {Object} [states]
  * @property {StateNode} [parent]
- * @property {Object} [history]
+ * @property {string} [history] - 'shallow' or 'deep' for history pseudo-states
+ * @property {string} [target] - Default target of a history pseudo-state
+ * @property {*} [output] - Output of a final state, static or computed from context/event
+ * @property {Array<string>} tags - Tags reported while the state is active
+ * @property {Object} [meta] - Static metadata merged into snapshots while the state is active
+ * @property {string} [description]
+ * @property {number} order - Position in document order
  */
 
 /**
@@ -18,16 +29,31 @@
  * @returns {StateNode}
  */
 export const createStateNode = (id, config, parent = null) => {
+  const invoke = normalizeActions(config.invoke).map((definition, index) => ({
+    ...definition,
+    id: getInvocationId(id, definition, index)
+  }));
+
   const node = {
     id,
     type: config.type || 'compound',
     entry: normalizeActions(config.entry),
     exit: normalizeActions(config.exit),
-    on: config.on || {},
+    on: normalizeEventTransitions(id, config, invoke),
+    always: normalizeActions(config.always),
+    onError: normalizeActions(config.onError),
+    defer: normalizeActions(config.defer),
+    after: Object.keys(config.after || {}).map(delay => ({ delay, event: `after.${delay}.${id}` })),
+    invoke: invoke.map(({ id: invocationId, src, input, forward, options }) => ({ id: invocationId, src, input, forward, options })),
     initial: config.initial,
     states: {},
     parent,
-    history: config.history
+    history: config.type === 'history' ? config.history || 'shallow' : config.history,
+    target: config.type === 'history' ? config.target : undefined,
+    output: config.output,
+    tags: normalizeActions(config.tags),
+    meta: config.meta,
+    description: config.description
   };
 
   if (config.states) {
@@ -37,11 +63,74 @@ export const createStateNode = (id, config, parent = null) => {
     }
   }
 
+  if (!parent) {
+    assignDocumentOrder(node);
+  }
+
   return node;
 };
 
 /**
- * @param {Array|Function|string|undefined} actions
+ * Number every node in depth-first document order so that active states can
+ * be sorted consistently (entry order, exit order, parallel regions)
+ * @param {StateNode} rootNode
+ */
+const assignDocumentOrder = (rootNode) => {
+  let order = 0;
+  const visit = (node) => {
+    node.order = order++;
+    for (const child of Object.values(node.states)) {
+      visit(child);
+    }
+  };
+  visit(rootNode);
+};
+
+/**
+ * Invocations without an explicit id are named after their state and
+ * position, so that states invoking the same service do not share an id
+ * @param {string} stateId
+ * @param {Object} definition
+ * @param {number} index
+ * @returns {string}
+ */
+const getInvocationId = (stateId, definition, index) => {
+  return definition.id || `${stateId}:invocation[${index}]`;
+};
+
+/**
+ * Merge onDone, after and invoke result transitions into the event map under
+ * the internal event types raised for them
+ * @param {string} id
+ * @param {Object} config
+ * @param {Array<Object>} invoke - Invocations with resolved ids
+ * @returns {Object}
+ */
+const normalizeEventTransitions = (id, config, invoke) => {
+  if (!config.onDone && !config.after && invoke.length === 0) {
+    return config.on || {};
+  }
+
+  const on = { ...config.on };
+  if (config.onDone) {
+    on[`done.state.${id}`] = config.onDone;
+  }
+  for (const [delay, transition] of Object.entries(config.after || {})) {
+    on[`after.${delay}.${id}`] = transition;
+  }
+  for (const definition of invoke) {
+    if (definition.onDone) {
+      on[`done.invoke.${definition.id}`] = definition.onDone;
+    }
+    if (definition.onError) {
+      on[`error.platform.${definition.id}`] = definition.onError;
+    }
+  }
+  return on;
+};
+
+/**
+ * @param {Array|Function|string|Object|undefined} actions - Actions or eventless transitions
  * @returns {Array}
  */
 const normalizeActions = (actions) => {
@@ -68,4 +68,277 @@ export const getStatePath = (node) => {
   }
 
   return pathParts.join('.');
-};
\ No newline at end of file
+};
+
+/**
+ * Separator between active leaf paths in the flat state form of a
+ * configuration with parallel regions
+ */
+export const STATE_DELIMITER = ',';
+
+/**
+ * @param {Object} node
+ * @returns {boolean}
+ */
+export const isHistoryNode = (node) => node.type === 'history';
+
+/**
+ * Get the child states of a node, excluding history pseudo-states
+ * @param {Object} node
+ * @returns {Array<Object>}
+ */
+export const getChildStates = (node) => {
+  return Object.values(node.states || {}).filter(child => !isHistoryNode(child));
+};
+
+/**
+ * @param {Object} node
+ * @returns {boolean}
+ */
+export const isLeafNode = (node) => getChildStates(node).length === 0;
+
+/**
+ * @param {Object} node
+ * @returns {boolean}
+ */
+export const isParallelNode = (node) => node.type === 'parallel';
+
+/**
+ * Check whether a node is a proper descendant of another node
+ * @param {Object} node
+ * @param {Object} ancestor
+ * @returns {boolean}
+ */
+export const isDescendant = (node, ancestor) => {
+  let current = node.parent;
+  while (current) {
+    if (current === ancestor) return true;
+    current = current.parent;
+  }
+  return false;
+};
+
+/**
+ * @param {Object} node
+ * @param {Object} [stopNode] - Ancestor to stop at (exclusive)
+ * @returns {Array<Object>} Ancestors from nearest to farthest
+ */
+export const getAncestors = (node, stopNode = null) => {
+  const ancestors = [];
+  let current = node.parent;
+  while (current && current !== stopNode) {
+    ancestors.push(current);
+    current = current.parent;
+  }
+  return ancestors;
+};
+
+/**
+ * @param {Array<Object>} nodes
+ * @returns {Array<Object>} New array sorted in document order
+ */
+export const sortByDocumentOrder = (nodes) => {
+  return [...nodes].sort((a, b) => a.order - b.order);
+};
+
+/**
+ * Get the nodes entered by default when entering a node: the initial child
+ * chain of compound states and every region of parallel states
+ * @param {Object} node
+ * @returns {Array<Object>} Descendants in document order (node excluded)
+ */
+export const getDefaultDescendants = (node) => {
+  if (isLeafNode(node)) {
+    return [];
+  }
+
+  const children = isParallelNode(node)
+    ? getChildStates(node)
+    : [node.states[node.initial]].filter(Boolean);
+
+  const descendants = [];
+  for (const child of children) {
+    descendants.push(child, ...getDefaultDescendants(child));
+  }
+  return descendants;
+};
+
+/**
+ * Get the leaf nodes that become active when entering a node by default
+ * @param {Object} node
+ * @returns {Array<Object>}
+ */
+export const getInitialLeafNodes = (node) => {
+  const descendants = getDefaultDescendants(node);
+  if (descendants.length === 0) {
+    return [node];
+  }
+  return descendants.filter(descendant => !descendants.some(other => other.parent === descendant));
+};
+
+/**
+ * @param {Array<Object>} leafNodes
+ * @returns {string} Flat state form
+ */
+export const serializeState = (leafNodes) => {
+  return sortByDocumentOrder(leafNodes).map(getStatePath).join(STATE_DELIMITER);
+};
+
+/**
+ * @param {string} state - Flat state form
+ * @returns {Array<string>} Active leaf paths
+ */
+export const getActivePaths = (state) => state.split(STATE_DELIMITER);
+
+/**
+ * @param {Object} rootNode
+ * @param {string} state - Flat state form
+ * @returns {Array<Object>} Active leaf nodes in document order
+ */
+export const getActiveLeafNodes = (rootNode, state) => {
+  return getActivePaths(state)
+    .map(path => getStateNode(rootNode, path))
+    .filter(Boolean);
+};
+
+/**
+ * @param {Object} rootNode
+ * @param {string} state - Flat state form
+ * @returns {Array<Object>} Every active node (root excluded) in document order
+ */
+export const getConfiguration = (rootNode, state) => {
+  const configuration = new Set();
+  for (const leafNode of getActiveLeafNodes(rootNode, state)) {
+    configuration.add(leafNode);
+    for (const ancestor of getAncestors(leafNode, rootNode)) {
+      configuration.add(ancestor);
+    }
+  }
+  return sortByDocumentOrder([...configuration]);
+};
+
+/**
+ * @param {Object} rootNode
+ * @param {string} state - Flat state form
+ * @returns {Array<string>} Tags of the root and every active node, in document order without duplicates
+ */
+export const getStateTags = (rootNode, state) => {
+  return [...new Set([rootNode, ...getConfiguration(rootNode, state)].flatMap(node => node.tags))];
+};
+
+/**
+ * Merge the meta of the root and every active node. Nested states override
+ * the keys of their ancestors and parallel regions are merged in document order.
+ * @param {Object} rootNode
+ * @param {string} state - Flat state form
+ * @returns {Object}
+ */
+export const getStateMeta = (rootNode, state) => {
+  return Object.assign({}, ...[rootNode, ...getConfiguration(rootNode, state)].map(node => node.meta));
+};
+
+/**
+ * Convert a flat state into a state value, e.g.
+ * 'player.playback.playing,player.volume.muted' becomes
+ * { player: { playback: 'playing', volume: 'muted' } }
+ * @param {Object} rootNode
+ * @param {string} state - Flat state form
+ * @returns {string|Object}
+ */
+export const toStateValue = (rootNode, state) => {
+  const configuration = new Set(getConfiguration(rootNode, state));
+
+  const getNodeValue = (node) => {
+    const activeChildren = Object.entries(node.states || {})
+      .filter(([, child]) => configuration.has(child));
+
+    if (!isParallelNode(node) && activeChildren.length === 1 && isLeafNode(activeChildren[0][1])) {
+      return activeChildren[0][0];
+    }
+
+    const value = {};
+    for (const [key, child] of activeChildren) {
+      value[key] = getNodeValue(child);
+    }
+    return value;
+  };
+
+  return getNodeValue(rootNode);
+};
+
+/**
+ * Flatten a state value (or flat state string) into state paths
+ * @param {string|Object} stateValue
+ * @param {string} [prefix]
+ * @returns {Array<string>}
+ */
+export const getStateValuePaths = (stateValue, prefix = '') => {
+  if (typeof stateValue === 'string') {
+    return getActivePaths(stateValue).map(path => prefix ? `${prefix}.${path}` : path);
+  }
+
+  const paths = [];
+  if (typeof stateValue === 'object' && stateValue !== null) {
+    for (const [key, child] of Object.entries(stateValue)) {
+      const path = prefix ? `${prefix}.${key}` : key;
+      const childPaths = getStateValuePaths(child, path);
+      paths.push(...(childPaths.length > 0 ? childPaths : [path]));
+    }
+  }
+  return paths;
+};
+
+/**
+ * Check whether the given state (path or state value object) is active in a
+ * flat state. Every path described by a state value object must be active.
+ * @param {Object} rootNode
+ * @param {string} state - Flat state form
+ * @param {string|Object} stateValue
+ * @returns {boolean}
+ */
+export const matchesStateValue = (rootNode, state, stateValue) => {
+  if (typeof stateValue !== 'string' && (typeof stateValue !== 'object' || stateValue === null)) {
+    return false;
+  }
+
+  const activePaths = getConfiguration(rootNode, state).map(getStatePath);
+  const paths = getStateValuePaths(stateValue);
+
+  return paths.length > 0 && paths.every(path => activePaths.includes(path));
+};
+
+/**
+ * Resolve a state value into the flat state form, validating that the paths
+ * exist and describe a consistent configuration
+ * @param {Object} rootNode
+ * @param {string|Object} stateValue
+ * @returns {string|null} Flat state form or null when invalid
+ */
+export const resolveStateValue = (rootNode, stateValue) => {
+  const paths = getStateValuePaths(stateValue);
+  if (paths.length === 0) {
+    return null;
+  }
+
+  const nodes = paths.map(path => getStateNode(rootNode, path));
+  if (nodes.some(node => !node || isHistoryNode(node))) {
+    return null;
+  }
+
+  // Two paths may only diverge below a parallel state
+  for (let i = 0; i < nodes.length; i++) {
+    for (let j = i + 1; j < nodes.length; j++) {
+      const a = nodes[i];
+      const b = nodes[j];
+      if (a === b || isDescendant(a, b) || isDescendant(b, a)) {
+        return null;
+      }
+      const common = getAncestors(a).find(ancestor => isDescendant(b, ancestor));
+      if (!isParallelNode(common)) {
+        return null;
+      }
+    }
+  }
+
+  return serializeState(nodes);
+};
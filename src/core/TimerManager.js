@@ -0,0 +1,147 @@
+/**
+ * @param {string} delay - Delay key from an `after` config
+ * @returns {boolean}
+ */
+export const isNumericDelay = (delay) => delay !== '' && Number.isFinite(Number(delay));
+
+/**
+ * Creates a timer manager for delayed (`after`) transitions. Timers are keyed
+ * by the state node that owns them so they can be cancelled on exit.
+ * @param {Object} [delays] - Registry of named delays (number or function)
+ * @returns {Object}
+ */
+export const createTimerManager = (delays = {}) => {
+  const timers = new Map();
+
+  /**
+   * @param {string} delay
+   * @param {Object} context
+   * @param {Object} event
+   * @returns {number|null} Delay in milliseconds or null when unknown
+   */
+  const resolveDelay = (delay, context, event) => {
+    if (isNumericDelay(delay)) {
+      return Number(delay);
+    }
+
+    const namedDelay = delays[delay];
+    if (namedDelay === undefined) {
+      console.warn(`Delay '${delay}' not found in registry`);
+      return null;
+    }
+
+    const value = typeof namedDelay === 'function' ? namedDelay({ context, event }) : namedDelay;
+    return Number(value);
+  };
+
+  /**
+   * @param {Object} node - State node owning the timer
+   * @param {string} delayedEvent - Event sent when the timer fires
+   * @param {number} delay - Resolved delay in milliseconds
+   * @param {number} ms - Milliseconds until the timer fires
+   * @param {Function} onTimeout
+   * @returns {Object}
+   */
+  const startTimer = (node, delayedEvent, delay, ms, onTimeout) => {
+    const timer = { event: delayedEvent, delay, startedAt: Date.now(), ms };
+    timer.timeoutId = setTimeout(() => {
+      const remaining = (timers.get(node.id) || []).filter(other => other !== timer);
+      if (remaining.length > 0) {
+        timers.set(node.id, remaining);
+      } else {
+        timers.delete(node.id);
+      }
+      onTimeout(delayedEvent);
+    }, ms);
+    return timer;
+  };
+
+  /**
+   * Start the delayed transition timers of a state node
+   * @param {Object} node - State node being entered
+   * @param {Object} context - Context at entry time
+   * @param {Object} event - Event that caused the entry
+   * @param {Function} onTimeout - Called with the delayed event type
+   */
+  const schedule = (node, context, event, onTimeout) => {
+    if (!node.after || node.after.length === 0) {
+      return;
+    }
+
+    cancel(node);
+
+    const nodeTimers = [];
+    for (const { delay, event: delayedEvent } of node.after) {
+      const ms = resolveDelay(delay, context, event);
+      if (ms === null) {
+        continue;
+      }
+      nodeTimers.push(startTimer(node, delayedEvent, ms, ms, onTimeout));
+    }
+
+    if (nodeTimers.length > 0) {
+      timers.set(node.id, nodeTimers);
+    }
+  };
+
+  /**
+   * Restart the persisted timers of a state node with their remaining time
+   * @param {Object} node - Active state node
+   * @param {Array<{event: string, delay: number, remaining: number}>} pending - Timers from getPending()
+   * @param {Function} onTimeout - Called with the delayed event type
+   */
+  const resume = (node, pending, onTimeout) => {
+    cancel(node);
+
+    const nodeTimers = pending
+      .filter(({ event }) => node.after.some(({ event: delayedEvent }) => delayedEvent === event))
+      .map(({ event, delay, remaining }) => startTimer(node, event, delay, Math.max(0, remaining), onTimeout));
+
+    if (nodeTimers.length > 0) {
+      timers.set(node.id, nodeTimers);
+    }
+  };
+
+  /**
+   * @returns {Array<{event: string, delay: number, remaining: number}>} Timers that have not fired, with the milliseconds left
+   */
+  const getPending = () => {
+    const now = Date.now();
+    return [...timers.values()].flat().map(({ event, delay, startedAt, ms }) => ({
+      event,
+      delay,
+      remaining: Math.max(0, ms - (now - startedAt))
+    }));
+  };
+
+  /**
+   * Cancel the pending timers of a state node
+   * @param {Object} node
+   */
+  const cancel = (node) => {
+    const nodeTimers = timers.get(node.id);
+    if (!nodeTimers) {
+      return;
+    }
+    nodeTimers.forEach(timer => clearTimeout(timer.timeoutId));
+    timers.delete(node.id);
+  };
+
+  /**
+   * Cancel every pending timer
+   */
+  const cancelAll = () => {
+    for (const nodeTimers of timers.values()) {
+      nodeTimers.forEach(timer => clearTimeout(timer.timeoutId));
+    }
+    timers.clear();
+  };
+
+  return {
+    schedule,
+    resume,
+    getPending,
+    cancel,
+    cancelAll
+  };
+};
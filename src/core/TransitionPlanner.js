@@ -0,0 +1,192 @@
+import { cloneContext } from './ContextCloner.js';
+import { findTransitions, isGuardFailure, resolveMicrostep, collectActionsToExecute, getDoneEvents } from './EventProcessor.js';
+import { executeActionsSync } from './ActionRunner.js';
+import { getStatePath, getStateTags, getStateMeta, resolveStateValue, matchesStateValue, toStateValue } from './StateNavigator.js';
+import { isAsyncGuardSignal, clearPendingGuardResults } from '../transitions/TransitionManager.js';
+import { isAssignAction } from '../actions/assign.js';
+import { isRaiseAction } from '../actions/raise.js';
+import { hasAsyncActions } from '../utils/AsyncDetector.js';
+import { isParameterized, resolveParams } from '../utils/ParamsResolver.js';
+
+/**
+ * @param {Function|string|Object} action
+ * @param {Object} actionRegistry
+ * @returns {boolean} Whether the action only computes context or raises events, and can run without side effects
+ */
+const isPureAction = (action, actionRegistry) => {
+  const resolved = typeof action === 'string' || isParameterized(action)
+    ? actionRegistry[typeof action === 'string' ? action : action.type]
+    : action;
+  return (isAssignAction(resolved) || isRaiseAction(resolved)) && !hasAsyncActions([action], actionRegistry);
+};
+
+/**
+ * Describe an action that would run
+ * @param {Function|string|Object} action
+ * @param {Object} group - Action group from collectActionsToExecute
+ * @param {Object} context - Context the action would receive
+ * @param {Object} event - Event being processed
+ * @returns {Object} - `{ type, state, event, action }` with the registry name and resolved params of references
+ */
+const describeAction = (action, group, context, event) => {
+  const description = {
+    type: group.type,
+    state: group.node.parent ? getStatePath(group.node) : '',
+    event,
+    action
+  };
+  if (typeof action === 'string') {
+    description.name = action;
+  } else if (isParameterized(action)) {
+    description.name = action.type;
+    description.params = resolveParams(action, context, event);
+  }
+  return description;
+};
+
+/**
+ * Machine facade passed to the guards and assigners of a planned transition,
+ * whose state queries answer for the planned snapshot instead of the running machine
+ * @param {Object} machine - Machine reference
+ * @param {Object} rootNode - Root state node
+ * @param {Function} getState - Returns the planned flat state
+ * @param {Function} getContext - Returns the planned context
+ * @returns {Object}
+ */
+const createPlannedMachine = (machine, rootNode, getState, getContext) => Object.create(machine, {
+  state: { get: () => getState() },
+  value: { get: () => toStateValue(rootNode, getState()) },
+  context: { get: () => cloneContext(getContext()) },
+  matches: { value: (stateValue) => matchesStateValue(rootNode, getState(), stateValue) },
+  hasTag: { value: (tag) => getStateTags(rootNode, getState()).includes(tag) }
+});
+
+/**
+ * Compute a microstep without side effects. Assign and raise actions are
+ * applied; every other action is only described.
+ * @param {Object} event - Event object
+ * @param {string} currentState - Current flat state
+ * @param {Object} currentContext - Current context
+ * @param {Object} rootNode - Root state node
+ * @param {Object} guards - Guard registry
+ * @param {Object} actions - Action registry
+ * @param {Object} machine - Machine reference passed to guards and assigners
+ * @param {Object} historyValue - Recorded history keyed by history node id
+ * @param {boolean} eventless - Take eventless (always) transitions instead of handling the event
+ * @returns {Object|null} - Microstep with state, context, history, described actions and internal events, or null when no transition is enabled
+ */
+const planMicrostep = (event, currentState, currentContext, rootNode, guards, actions, machine, historyValue, eventless) => {
+  let transitions;
+  try {
+    transitions = findTransitions({ ...event, context: currentContext }, currentState, rootNode, guards, machine, eventless);
+  } catch (error) {
+    if (isAsyncGuardSignal(error)) {
+      clearPendingGuardResults(machine);
+      throw new Error(`transition() cannot evaluate async guards (event "${event.type}")`);
+    }
+    throw isGuardFailure(error) ? error.error : error;
+  }
+  if (transitions.length === 0) {
+    return null;
+  }
+
+  const microstep = resolveMicrostep(transitions, currentState, rootNode, historyValue);
+  let context = currentContext;
+  const plannedActions = [];
+  const raisedEvents = [];
+
+  for (const group of collectActionsToExecute(transitions, microstep)) {
+    for (const action of group.actions) {
+      plannedActions.push(describeAction(action, group, context, event));
+      if (isPureAction(action, actions)) {
+        const result = executeActionsSync([action], context, event, actions, machine);
+        context = result.context;
+        raisedEvents.push(...result.raisedEvents);
+      }
+    }
+  }
+
+  return {
+    state: microstep.state,
+    context,
+    historyValue: microstep.historyValue,
+    actions: plannedActions,
+    internalEvents: [
+      ...raisedEvents,
+      ...getDoneEvents(microstep.entryNodes, microstep.state, rootNode, context, event)
+    ]
+  };
+};
+
+/**
+ * Compute the snapshot an event leads to without executing side effects or
+ * touching a running machine. The event is processed to completion like
+ * send() does: eventless transitions and raised events are followed until
+ * the configuration is stable.
+ * @param {Object} snapshot - `{ state, context, historyValue? }`, with state in flat form or as a state value
+ * @param {string|Object} event - Event type or event object
+ * @param {Object} rootNode - Root state node
+ * @param {Object} guards - Guard registry
+ * @param {Object} actions - Action registry
+ * @param {Object} machine - Machine reference; guards and assigners receive it bound to the planned snapshot
+ * @param {number} maxAlwaysIterations - Limit of consecutive eventless transitions
+ * @returns {{snapshot: Object, actions: Array<Object>, changed: boolean}} - The next snapshot, with the tags and meta of its active states, and the actions that would run, in order
+ */
+export const planTransition = (snapshot, event, rootNode, guards, actions, machine, maxAlwaysIterations) => {
+  if (!snapshot || typeof snapshot !== 'object') {
+    throw new Error('Snapshot must be an object');
+  }
+  const initialState = resolveStateValue(rootNode, snapshot.state);
+  if (!initialState) {
+    const stateLabel = typeof snapshot.state === 'string' ? snapshot.state : JSON.stringify(snapshot.state);
+    throw new Error(`Invalid state in snapshot: ${stateLabel}`);
+  }
+
+  let state = initialState;
+  let context = cloneContext(snapshot.context || {});
+  let historyValue = { ...snapshot.historyValue };
+  const plannedMachine = createPlannedMachine(machine, rootNode, () => state, () => context);
+  const plannedActions = [];
+  const internalQueue = [];
+  const machineDoneEvent = `done.state.${rootNode.id}`;
+
+  let changed = false;
+  let current = { event: typeof event === 'string' ? { type: event } : event, eventless: false, taken: 0 };
+  while (current) {
+    const microstep = planMicrostep(current.event, state, context, rootNode, guards, actions, plannedMachine, historyValue, current.eventless);
+    if (microstep) {
+      changed = true;
+      state = microstep.state;
+      context = microstep.context;
+      historyValue = microstep.historyValue;
+      plannedActions.push(...microstep.actions);
+
+      const internalEvents = microstep.internalEvents.filter(internalEvent => internalEvent.type !== machineDoneEvent);
+      internalQueue.push(...internalEvents);
+      if (internalEvents.length < microstep.internalEvents.length) {
+        break;
+      }
+
+      const taken = current.eventless ? current.taken + 1 : 0;
+      if (taken > maxAlwaysIterations) {
+        throw new Error(`Eventless transitions did not settle after ${maxAlwaysIterations} iterations in state "${state}"`);
+      }
+      current = { event: current.event, eventless: true, taken };
+      continue;
+    }
+
+    const internalEvent = internalQueue.shift();
+    current = internalEvent ? { event: internalEvent, eventless: false, taken: 0 } : null;
+  }
+
+  const nextSnapshot = {
+    state,
+    context,
+    tags: getStateTags(rootNode, state),
+    meta: getStateMeta(rootNode, state)
+  };
+  if (Object.keys(historyValue).length > 0) {
+    nextSnapshot.historyValue = historyValue;
+  }
+  return { snapshot: nextSnapshot, actions: plannedActions, changed };
+};
\ No newline at end of file
@@ -15,7 +15,9 @@ export const createMachine = (config, options) => {
     throw new Error('Machine config must have an id');
   }
 
-  if (!config.initial) {
+  // Every region of a parallel root is active, so it has no initial state
+  const isParallel = config.type === 'parallel';
+  if (!isParallel && !config.initial) {
     throw new Error('Machine config must have an initial state');
   }
 
@@ -28,10 +30,10 @@ export const createMachine = (config, options) => {
   }
 
   // Validate initial state exists
-  if (!config.states[config.initial]) {
+  if (!isParallel && !config.states[config.initial]) {
     throw new Error(`Initial state "${config.initial}" not found in states`);
   }
 
-  // Return the Machine instance directly
-  return Machine(config, options);
+  // Child machines of invocations are created and validated the same way
+  return Machine(config, options, createMachine);
 };
\ No newline at end of file
@@ -0,0 +1,10 @@
+/**
+ * Creates an error for transitions cancelled through their abort signal
+ * @param {string} [message]
+ * @returns {Error}
+ */
+export const TransitionAbortedError = (message = 'Transition was aborted') => {
+  const error = new Error(message);
+  error.name = 'TransitionAbortedError';
+  return error;
+};
\ No newline at end of file
@@ -0,0 +1,29 @@
+/**
+ * Create a guard passing when every guard passes
+ * @param {Array<Function|string|Object>} guards
+ * @returns {Object}
+ */
+export const and = (guards) => ({
+  type: 'and',
+  guards
+});
+
+/**
+ * Create a guard passing when at least one guard passes
+ * @param {Array<Function|string|Object>} guards
+ * @returns {Object}
+ */
+export const or = (guards) => ({
+  type: 'or',
+  guards
+});
+
+/**
+ * Create a guard passing when the given guard fails
+ * @param {Function|string|Object} guard
+ * @returns {Object}
+ */
+export const not = (guard) => ({
+  type: 'not',
+  guard
+});
@@ -0,0 +1,9 @@
+/**
+ * Create a guard passing while the machine is in the given state
+ * @param {string|Object} state - State path or state value object, as accepted by `machine.matches()`
+ * @returns {Object}
+ */
+export const stateIn = (state) => ({
+  type: 'stateIn',
+  state
+});
@@ -1,3 +1,10 @@
 export { createMachine } from './core/createMachine.js';
 export { assign } from './actions/assign.js';
-export { QueueClearedError } from './errors/QueueClearedError.js';
\ No newline at end of file
+export { raise } from './actions/raise.js';
+export { sendParent } from './actions/sendParent.js';
+export { and, or, not } from './guards/combinators.js';
+export { stateIn } from './guards/stateIn.js';
+export { QueueClearedError } from './errors/QueueClearedError.js';
+export { TransitionAbortedError } from './errors/TransitionAbortedError.js';
+export { persist } from './persistence/persist.js';
+export { createMemoryAdapter, createWebStorageAdapter, createFileSystemAdapter } from './persistence/adapters.js';
\ No newline at end of file
@@ -0,0 +1,90 @@
+import { cloneContext } from '../core/ContextCloner.js';
+
+/**
+ * @typedef {Object} PersistenceAdapter
+ * @property {function(string): (Object|null|Promise<Object|null>)} load - Stored value, or null when nothing is stored under the key
+ * @property {function(string, Object): (void|Promise<void>)} save
+ * @property {function(string): (void|Promise<void>)} remove
+ */
+
+/**
+ * Creates an adapter keeping values in memory, e.g. for tests or server-side rendering
+ * @param {Map} [store] - Map shared between adapters
+ * @returns {PersistenceAdapter}
+ */
+export const createMemoryAdapter = (store = new Map()) => {
+  return {
+    load: (key) => store.has(key) ? cloneContext(store.get(key)) : null,
+    save: (key, value) => {
+      store.set(key, cloneContext(value));
+    },
+    remove: (key) => {
+      store.delete(key);
+    }
+  };
+};
+
+/**
+ * Creates an adapter storing values as JSON in Web Storage
+ * @param {Storage} [storage] - localStorage by default, or sessionStorage
+ * @returns {PersistenceAdapter}
+ */
+export const createWebStorageAdapter = (storage = globalThis.localStorage) => {
+  if (!storage) {
+    throw new Error('Web Storage is not available; pass a Storage object to createWebStorageAdapter()');
+  }
+  return {
+    load: (key) => {
+      const value = storage.getItem(key);
+      return value === null ? null : JSON.parse(value);
+    },
+    save: (key, value) => {
+      storage.setItem(key, JSON.stringify(value));
+    },
+    remove: (key) => {
+      storage.removeItem(key);
+    }
+  };
+};
+
+/**
+ * Creates an adapter storing each key as a JSON file in a directory (Node.js).
+ * Files are written to a temporary file first and then renamed, so a crash
+ * while saving leaves the previous value intact.
+ * @param {string} directory - Created on the first save
+ * @returns {PersistenceAdapter}
+ */
+export const createFileSystemAdapter = (directory) => {
+  if (!directory || typeof directory !== 'string') {
+    throw new Error('createFileSystemAdapter() requires a directory');
+  }
+
+  // Loaded on first use so that browser bundles do not depend on Node.js modules
+  const loadFs = () => import('node:fs/promises');
+  const getPath = (key) => `${directory}/${encodeURIComponent(key)}.json`;
+
+  return {
+    load: async (key) => {
+      const fs = await loadFs();
+      try {
+        return JSON.parse(await fs.readFile(getPath(key), 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return null;
+        }
+        throw error;
+      }
+    },
+    save: async (key, value) => {
+      const fs = await loadFs();
+      const path = getPath(key);
+      await fs.mkdir(directory, { recursive: true });
+      await fs.writeFile(`${path}.tmp`, JSON.stringify(value), 'utf8');
+      await fs.rename(`${path}.tmp`, path);
+    },
+    remove: async (key) => {
+      const fs = await loadFs();
+      await fs.rm(getPath(key), { force: true });
+    }
+  };
+};
\ No newline at end of file
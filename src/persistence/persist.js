@@ -0,0 +1,122 @@
+/**
+ * @param {Object} context
+ * @param {Array<string>} [include] - Context keys to keep
+ * @returns {Object}
+ */
+const pickContext = (context, include) => {
+  if (!include) {
+    return context;
+  }
+  return Object.fromEntries(include.filter(key => key in context).map(key => [key, context[key]]));
+};
+
+/**
+ * Persist a machine through an adapter. A machine that was not started is
+ * restored from the stored snapshot, through the same validation and
+ * migrations as restore(), or started when nothing is stored. Afterwards
+ * every transition schedules a save of getPersistedSnapshot(). Saves are
+ * debounced and coalesced: a burst of transitions is saved once, with the
+ * latest snapshot, and saves never overlap.
+ * @param {Object} machine
+ * @param {Object} options
+ * @param {import('./adapters.js').PersistenceAdapter} options.adapter
+ * @param {string} [options.key] - Storage key, the machine id by default
+ * @param {number} [options.debounce=0] - Milliseconds without transitions before saving
+ * @param {Array<string>} [options.include] - Context keys to persist, all by default; the others keep their initial values when loaded
+ * @returns {{ready: Promise<Object>, flush: Function, clear: Function, stop: Function}}
+ */
+export const persist = (machine, options = {}) => {
+  const { adapter, key = machine.id, debounce = 0, include } = options;
+  if (!adapter || ['load', 'save', 'remove'].some(method => typeof adapter[method] !== 'function')) {
+    throw new Error('Persistence adapter must implement load(), save() and remove()');
+  }
+
+  let timeoutId = null;
+  let unsubscribe = null;
+  let stopped = false;
+
+  // The save in progress, and the save waiting for it that will store the latest snapshot
+  let lastSave = Promise.resolve();
+  let queuedSave = null;
+
+  const save = () => {
+    if (!queuedSave) {
+      queuedSave = lastSave.then(() => {
+        queuedSave = null;
+        const snapshot = machine.getPersistedSnapshot();
+        return adapter.save(key, { ...snapshot, context: pickContext(snapshot.context, include) });
+      });
+      lastSave = queuedSave.catch(() => {});
+    }
+    return queuedSave;
+  };
+
+  const cancelScheduledSave = () => {
+    clearTimeout(timeoutId);
+    timeoutId = null;
+  };
+
+  const scheduleSave = () => {
+    cancelScheduledSave();
+    timeoutId = setTimeout(() => {
+      timeoutId = null;
+      save().catch(error => {
+        console.error(`Persisting machine "${machine.id}" failed:`, error);
+      });
+    }, debounce);
+  };
+
+  const load = async () => {
+    if (machine.status !== 'not-started') {
+      return;
+    }
+    const stored = await adapter.load(key);
+    if (stored && machine.status === 'not-started') {
+      await machine.restore(include ? { ...stored, context: { ...machine.context, ...stored.context } } : stored);
+    } else {
+      await machine.start();
+    }
+  };
+
+  // Autosave starts once loading succeeded, so a snapshot that failed to load is not overwritten
+  const ready = load().then(() => {
+    if (!stopped) {
+      unsubscribe = machine.subscribe(scheduleSave);
+    }
+    return machine.snapshot;
+  });
+
+  return {
+    ready,
+
+    /**
+     * Save now instead of waiting for the debounce
+     * @returns {Promise<void>}
+     */
+    flush() {
+      cancelScheduledSave();
+      return save();
+    },
+
+    /**
+     * Remove the stored snapshot once the saves in progress complete
+     * @returns {Promise<void>}
+     */
+    clear() {
+      cancelScheduledSave();
+      return lastSave.then(() => adapter.remove(key));
+    },
+
+    /**
+     * Stop autosaving. A scheduled save is dropped; call flush() first to keep it.
+     */
+    stop() {
+      stopped = true;
+      cancelScheduledSave();
+      if (unsubscribe) {
+        unsubscribe();
+        unsubscribe = null;
+      }
+    }
+  };
+};
\ No newline at end of file
@@ -1,47 +1,134 @@
 import { findStateNode } from '../core/State.js';
+import { isGuardAsync } from '../utils/AsyncDetector.js';
+import { isParameterized, resolveParams } from '../utils/ParamsResolver.js';
+
+// Thrown when synchronous guard evaluation meets an async guard, so the
+// transition can be selected again on the async path
+const ASYNC_GUARD_SIGNAL = Object.freeze({ asyncGuard: true });
+
+/**
+ * @param {*} error
+ * @returns {boolean} Whether the error signals an async guard met during synchronous evaluation
+ */
+export const isAsyncGuardSignal = (error) => error === ASYNC_GUARD_SIGNAL;
+
+/**
+ * @param {*} guard
+ * @returns {boolean} Whether the guard is a `{ guard, timeout }` definition
+ */
+const isTimedGuard = (guard) => !!guard && typeof guard === 'object' && !guard.type && 'guard' in guard;
+
+/**
+ * @param {*} result
+ * @returns {boolean}
+ */
+const isThenable = (result) => !!result && typeof result.then === 'function';
+
+// Promises returned by guards during synchronous evaluation, per machine and
+// keyed by guard reference, so the async path awaits them instead of calling
+// the guards again
+const pendingGuardResults = new WeakMap();
+
+/**
+ * @param {Object} machine
+ * @param {*} key - Guard function, name or parameterized reference
+ * @returns {Promise|undefined} The pending result, which is removed
+ */
+const takePendingGuardResult = (machine, key) => {
+  const pending = machine && pendingGuardResults.get(machine);
+  if (!pending || !pending.has(key)) {
+    return undefined;
+  }
+  const result = pending.get(key);
+  pending.delete(key);
+  return result;
+};
+
+/**
+ * Drop the pending guard results of a synchronous evaluation that is not
+ * followed by the async path
+ * @param {Object} machine
+ */
+export const clearPendingGuardResults = (machine) => {
+  if (machine) {
+    pendingGuardResults.delete(machine);
+  }
+};
 
 /**
  * Evaluate a guard condition with object-based arguments
- * @param {Function|string} guard - Guard function or string reference
+ * @param {Function|string|Object} guard - Guard function, string or parameterized reference, `{ guard, timeout }`, combinator or stateIn guard
  * @param {Object} context - Current context
  * @param {Object} event - Event object
  * @param {Object} guardRegistry - Registry of named guards
  * @param {Object} machine - Machine reference
  * @returns {boolean} - True if guard passes, false otherwise
+ * @throws When the guard is async; see isAsyncGuardSignal. Errors thrown by the guard propagate.
  */
 export const evaluateGuard = (guard, context, event, guardRegistry = {}, machine) => {
   if (!guard) {
     return true;
   }
 
-  // Handle string guard references
-  if (typeof guard === 'string') {
-    const isNegated = guard.startsWith('!');
-    const guardName = isNegated ? guard.slice(1) : guard;
-    const guardFn = guardRegistry[guardName];
+  if (isGuardAsync(guard, guardRegistry)) {
+    throw ASYNC_GUARD_SIGNAL;
+  }
+
+  const pending = machine && pendingGuardResults.get(machine);
+
+  // A guard whose promise is already pending is not called again
+  const assertNotPending = (key) => {
+    if (pending && pending.has(key)) {
+      throw ASYNC_GUARD_SIGNAL;
+    }
+  };
+
+  // Guards returning a promise without being declared async are only found out once called
+  const assertSync = (key, result) => {
+    if (isThenable(result)) {
+      result.then(undefined, () => {});
+      if (machine) {
+        const results = pendingGuardResults.get(machine) || new Map();
+        pendingGuardResults.set(machine, results.set(key, result));
+      }
+      throw ASYNC_GUARD_SIGNAL;
+    }
+    return !!result;
+  };
+
+  // Returns null when the guard is missing
+  const callNamedGuard = (guardName, params, key = guardName) => {
+    const definition = guardRegistry[guardName];
+    const guardFn = isTimedGuard(definition) ? definition.guard : definition;
 
     if (!guardFn) {
       // Guard not found in registry
-      return false; // Missing guards should fail for safety
+      return null;
     }
 
-    try {
-      const result = !!guardFn({ context, event, machine });
-      return isNegated ? !result : result;
-    } catch (error) {
-      console.error(`Guard evaluation error for guard '${guardName}':`, error);
-      return false;
+    assertNotPending(key);
+    return assertSync(key, guardFn({ context, event, machine, params }));
+  };
+
+  // Handle string guard references
+  if (typeof guard === 'string') {
+    const isNegated = guard.startsWith('!');
+    const result = callNamedGuard(isNegated ? guard.slice(1) : guard);
+    if (result === null) {
+      return false; // Missing guards should fail for safety
     }
+    return isNegated ? !result : result;
   }
 
   // Handle function guards
   if (typeof guard === 'function') {
-    try {
-      return !!guard({ context, event, machine });
-    } catch (error) {
-      console.error('Guard function evaluation error:', error);
-      return false;
-    }
+    assertNotPending(guard);
+    return assertSync(guard, guard({ context, event, machine }));
+  }
+
+  // The timeout only matters for async guards
+  if (isTimedGuard(guard)) {
+    return evaluateGuard(guard.guard, context, event, guardRegistry, machine);
   }
 
   // Handle complex guard objects (for AND/OR combinations)
@@ -55,11 +142,131 @@ export const evaluateGuard = (guard, context, event, guardRegistry = {}, machine
     if (guard.type === 'not') {
       return !evaluateGuard(guard.guard, context, event, guardRegistry, machine);
     }
+    if (guard.type === 'stateIn') {
+      return !!machine && machine.matches(guard.state);
+    }
+    if (isParameterized(guard)) {
+      return callNamedGuard(guard.type, resolveParams(guard, context, event), guard) === true;
+    }
+  }
+
+  return true;
+};
+
+/**
+ * Call a guard that may return a promise, rejecting when it does not settle in time
+ * @param {Function} guardFn
+ * @param {Object} args - Guard arguments
+ * @param {number} [timeout] - Milliseconds to wait for the guard
+ * @param {Promise} [pendingResult] - Result of a call made during synchronous evaluation
+ * @returns {Promise<boolean>}
+ */
+const callGuardAsync = async (guardFn, args, timeout, pendingResult) => {
+  const result = pendingResult || Promise.resolve().then(() => guardFn(args));
+  if (!timeout) {
+    return !!(await result);
+  }
+
+  let timer;
+  const timedOut = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Guard timed out after ${timeout}ms`)), timeout);
+  });
+  try {
+    return !!(await Promise.race([result, timedOut]));
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+/**
+ * Evaluate a guard condition that may be asynchronous. The promise rejects
+ * when the guard throws, rejects or exceeds its timeout.
+ * @param {Function|string|Object} guard - Guard function, string or parameterized reference, `{ guard, timeout }`, combinator or stateIn guard
+ * @param {Object} context - Current context
+ * @param {Object} event - Event object
+ * @param {Object} guardRegistry - Registry of named guards
+ * @param {Object} machine - Machine reference
+ * @param {number} [timeout] - Timeout for async guards, defaults to the guardTimeout machine option
+ * @returns {Promise<boolean>} - True if guard passes, false otherwise
+ */
+export const evaluateGuardAsync = async (guard, context, event, guardRegistry = {}, machine, timeout = machine?.options?.guardTimeout) => {
+  if (!guard) {
+    return true;
+  }
+
+  // Returns null when the guard is missing
+  const callNamedGuard = async (guardName, params, key = guardName) => {
+    const definition = guardRegistry[guardName];
+    const guardFn = isTimedGuard(definition) ? definition.guard : definition;
+
+    if (!guardFn) {
+      return null;
+    }
+
+    return callGuardAsync(guardFn, { context, event, machine, params }, isTimedGuard(definition) ? definition.timeout : timeout, takePendingGuardResult(machine, key));
+  };
+
+  // Handle string guard references
+  if (typeof guard === 'string') {
+    const isNegated = guard.startsWith('!');
+    const result = await callNamedGuard(isNegated ? guard.slice(1) : guard);
+    if (result === null) {
+      return false;
+    }
+    return isNegated ? !result : result;
+  }
+
+  // Handle function guards
+  if (typeof guard === 'function') {
+    return callGuardAsync(guard, { context, event, machine }, timeout, takePendingGuardResult(machine, guard));
+  }
+
+  if (isTimedGuard(guard)) {
+    return evaluateGuardAsync(guard.guard, context, event, guardRegistry, machine, guard.timeout);
+  }
+
+  // Combined guards are evaluated in order and stop as soon as the result is known
+  if (typeof guard === 'object' && guard !== null) {
+    if (guard.type === 'and') {
+      for (const g of guard.guards) {
+        if (!await evaluateGuardAsync(g, context, event, guardRegistry, machine, timeout)) return false;
+      }
+      return true;
+    }
+    if (guard.type === 'or') {
+      for (const g of guard.guards) {
+        if (await evaluateGuardAsync(g, context, event, guardRegistry, machine, timeout)) return true;
+      }
+      return false;
+    }
+    if (guard.type === 'not') {
+      return !await evaluateGuardAsync(guard.guard, context, event, guardRegistry, machine, timeout);
+    }
+    if (guard.type === 'stateIn') {
+      return !!machine && machine.matches(guard.state);
+    }
+    if (isParameterized(guard)) {
+      return await callNamedGuard(guard.type, resolveParams(guard, context, event), guard) === true;
+    }
   }
 
   return true;
 };
 
+/**
+ * Check whether an event type matches an event descriptor: an exact type,
+ * '*' for every event or a 'prefix.*' namespace
+ * @param {string} descriptor
+ * @param {string} eventType
+ * @returns {boolean}
+ */
+export const matchesEventDescriptor = (descriptor, eventType) => {
+  if (descriptor === '*' || descriptor === eventType) {
+    return true;
+  }
+  return descriptor.endsWith('.*') && eventType.startsWith(descriptor.slice(0, -1));
+};
+
 /**
  * Select the first valid transition from available options
  * @param {Array|Object} transitions - Single transition or array of transitions
@@ -89,15 +296,67 @@ export const selectTransition = (transitions, context, event, guardRegistry = {}
   return null;
 };
 
+/**
+ * Select the first transition whose guard passes, awaiting async guards in order
+ * @param {Array|Object} transitions - Single transition or array of transitions
+ * @param {Object} context - Current context
+ * @param {Object} event - Event object
+ * @param {Object} guardRegistry - Registry of named guards
+ * @param {Object} machine - Machine reference
+ * @returns {Promise<Object|null>} - Selected transition or null if none match
+ */
+export const selectTransitionAsync = async (transitions, context, event, guardRegistry = {}, machine) => {
+  if (!transitions) return null;
+
+  for (const transition of [].concat(transitions)) {
+    if (await evaluateGuardAsync(transition.cond, context, event, guardRegistry, machine)) {
+      return transition;
+    }
+  }
+
+  return null;
+};
+
 /**
  * @typedef {Object} TransitionConfig
  * @property {string} target
  * @property {Function} [cond]
  * @property {Array} [actions]
+ * @property {boolean} [reenter] - Exit and re-enter the source state when targeting itself or a descendant
  */
 
 /**
- * Resolve a transition from a state node for the given event
+ * @param {string} descriptor
+ * @returns {boolean} Whether the descriptor is an event type, '*' or a 'prefix.*' namespace
+ */
+export const isValidEventDescriptor = (descriptor) => {
+  const wildcardIndex = descriptor.indexOf('*');
+  if (wildcardIndex === -1 || descriptor === '*') {
+    return true;
+  }
+  return wildcardIndex === descriptor.length - 1 && descriptor.endsWith('.*') && descriptor.length > 2;
+};
+
+/**
+ * Get the descriptors of an event map that match an event type, in order of
+ * precedence: the exact type, then prefixes from most to least specific,
+ * then '*'
+ * @param {Object} on - Event map of a state node
+ * @param {string} eventType
+ * @returns {Array<string>}
+ */
+export const getMatchingDescriptors = (on, eventType) => {
+  const rank = (descriptor) => descriptor === eventType ? Infinity : descriptor.length;
+
+  return Object.keys(on)
+    .filter(descriptor => isValidEventDescriptor(descriptor) && matchesEventDescriptor(descriptor, eventType))
+    .sort((a, b) => rank(b) - rank(a));
+};
+
+/**
+ * Resolve a transition from a state node for the given event. Matching
+ * descriptors are tried in order of precedence; when the guards of one reject
+ * the event, the next one is tried.
  * @param {Object} stateNode - Source state node
  * @param {string} eventType - Type of event to handle
  * @param {Object} context - Current context
@@ -107,44 +366,129 @@ export const selectTransition = (transitions, context, event, guardRegistry = {}
  * @returns {TransitionConfig|null} - Resolved transition configuration or null
  */
 export const resolveTransition = (stateNode, eventType, context, event, guardRegistry = {}, machine) => {
-  const transitions = stateNode.on[eventType];
-
-  if (!transitions) {
-    // Check for wildcard event handler
-    if (stateNode.on['*']) {
-      const wildcardTransitions = stateNode.on['*'];
-      if (typeof wildcardTransitions === 'string') {
-        return { target: wildcardTransitions, actions: [] };
-      }
-      const selected = selectTransition(wildcardTransitions, context, event, guardRegistry, machine);
-      if (selected) {
-        return normalizeTransition(selected);
-      }
+  for (const descriptor of getMatchingDescriptors(stateNode.on, eventType)) {
+    const transitions = stateNode.on[descriptor];
+
+    // Handle string target
+    if (typeof transitions === 'string') {
+      return { target: transitions, actions: [] };
+    }
+
+    // Handle transition config or array
+    const selected = selectTransition(transitions, context, event, guardRegistry, machine);
+    if (selected) {
+      return normalizeTransition(selected);
     }
-    return null;
   }
 
-  // Handle string target
-  if (typeof transitions === 'string') {
-    return { target: transitions, actions: [] };
+  return null;
+};
+
+/**
+ * Resolve an eventless (always) transition from a state node
+ * @param {Object} stateNode - Source state node
+ * @param {Object} context - Current context
+ * @param {Object} event - Event that started the current macrostep
+ * @param {Object} guardRegistry - Registry of named guards
+ * @param {Object} machine - Machine reference
+ * @returns {TransitionConfig|null} - Resolved transition configuration or null
+ */
+export const resolveEventlessTransition = (stateNode, context, event, guardRegistry = {}, machine) => {
+  if (!stateNode.always || stateNode.always.length === 0) {
+    return null;
   }
 
-  // Handle transition config or array
-  const selected = selectTransition(transitions, context, event, guardRegistry, machine);
+  const selected = selectTransition(stateNode.always, context, event, guardRegistry, machine);
+  return selected ? normalizeTransition(selected) : null;
+};
 
-  if (selected) {
-    return normalizeTransition(selected);
+/**
+ * Resolve a transition from a state node for the given event, awaiting async guards
+ * @param {Object} stateNode - Source state node
+ * @param {string} eventType - Type of event to handle
+ * @param {Object} context - Current context
+ * @param {Object} event - Event object
+ * @param {Object} guardRegistry - Registry of named guards
+ * @param {Object} machine - Machine reference
+ * @returns {Promise<TransitionConfig|null>} - Resolved transition configuration or null
+ */
+export const resolveTransitionAsync = async (stateNode, eventType, context, event, guardRegistry = {}, machine) => {
+  for (const descriptor of getMatchingDescriptors(stateNode.on, eventType)) {
+    const transitions = stateNode.on[descriptor];
+
+    if (typeof transitions === 'string') {
+      return { target: transitions, actions: [] };
+    }
+
+    const selected = await selectTransitionAsync(transitions, context, event, guardRegistry, machine);
+    if (selected) {
+      return normalizeTransition(selected);
+    }
   }
 
   return null;
 };
 
+/**
+ * Resolve an eventless (always) transition from a state node, awaiting async guards
+ * @param {Object} stateNode - Source state node
+ * @param {Object} context - Current context
+ * @param {Object} event - Event that started the current macrostep
+ * @param {Object} guardRegistry - Registry of named guards
+ * @param {Object} machine - Machine reference
+ * @returns {Promise<TransitionConfig|null>} - Resolved transition configuration or null
+ */
+export const resolveEventlessTransitionAsync = async (stateNode, context, event, guardRegistry = {}, machine) => {
+  if (!stateNode.always || stateNode.always.length === 0) {
+    return null;
+  }
+
+  const selected = await selectTransitionAsync(stateNode.always, context, event, guardRegistry, machine);
+  return selected ? normalizeTransition(selected) : null;
+};
+
+/**
+ * Resolve the onError transition of a state node for an error.execution event
+ * @param {Object} stateNode - State node handling the error
+ * @param {Object} context - Current context
+ * @param {Object} event - error.execution event
+ * @param {Object} guardRegistry - Registry of named guards
+ * @param {Object} machine - Machine reference
+ * @returns {TransitionConfig|null} - Resolved transition configuration or null
+ */
+export const resolveErrorTransition = (stateNode, context, event, guardRegistry = {}, machine) => {
+  if (!stateNode.onError || stateNode.onError.length === 0) {
+    return null;
+  }
+
+  const selected = selectTransition(stateNode.onError, context, event, guardRegistry, machine);
+  return selected ? normalizeTransition(selected) : null;
+};
+
+/**
+ * Resolve the onError transition of a state node, awaiting async guards
+ * @param {Object} stateNode - State node handling the error
+ * @param {Object} context - Current context
+ * @param {Object} event - error.execution event
+ * @param {Object} guardRegistry - Registry of named guards
+ * @param {Object} machine - Machine reference
+ * @returns {Promise<TransitionConfig|null>} - Resolved transition configuration or null
+ */
+export const resolveErrorTransitionAsync = async (stateNode, context, event, guardRegistry = {}, machine) => {
+  if (!stateNode.onError || stateNode.onError.length === 0) {
+    return null;
+  }
+
+  const selected = await selectTransitionAsync(stateNode.onError, context, event, guardRegistry, machine);
+  return selected ? normalizeTransition(selected) : null;
+};
+
 /**
  * Normalize a transition to standard configuration format
  * @param {string|TransitionConfig} transition - Transition to normalize
- * @returns {TransitionConfig} - Normalized transition with target, actions, and optional cond
+ * @returns {TransitionConfig} - Normalized transition with target, actions, and optional cond, description and meta
  */
-const normalizeTransition = (transition) => {
+export const normalizeTransition = (transition) => {
   if (typeof transition === 'string') {
     return { target: transition, actions: [] };
   }
@@ -154,7 +498,10 @@ const normalizeTransition = (transition) => {
   return {
     target: transition.target,
     actions: Array.isArray(actions) ? actions : [actions],
-    cond: transition.cond
+    cond: transition.cond,
+    reenter: transition.reenter,
+    description: transition.description,
+    meta: transition.meta
   };
 };
 
@@ -1,4 +1,6 @@
 import { isAssignAction } from '../actions/assign.js';
+import { isParameterized } from './ParamsResolver.js';
+import { hasActionPolicy } from '../actions/ActionPolicy.js';
 
 /**
  * @param {Function} fn
@@ -19,6 +21,15 @@ const detectPromiseInFunction = (fn) => {
          funcStr.includes('new Promise');
 };
 
+/**
+ * @param {Function|string|Object} action
+ * @returns {string|undefined} Registry name of a string or parameterized action
+ */
+const getActionName = (action) => {
+  if (typeof action === 'string') return action;
+  return isParameterized(action) ? action.type : undefined;
+};
+
 /**
  * @param {Array} actionsList
  * @param {Object} actionRegistry
@@ -26,6 +37,11 @@ const detectPromiseInFunction = (fn) => {
  */
 export const hasAsyncActions = (actionsList, actionRegistry = {}) => {
   for (const action of actionsList) {
+    // Timeouts and retries are enforced on the async path
+    if (hasActionPolicy(action)) {
+      return true;
+    }
+
     if (typeof action === 'function') {
       if (isAsyncFunction(action)) {
         return true;
@@ -42,8 +58,9 @@ export const hasAsyncActions = (actionsList, actionRegistry = {}) => {
       }
     }
 
-    if (typeof action === 'string' && actionRegistry[action]) {
-      const resolved = actionRegistry[action];
+    const name = getActionName(action);
+    if (name && actionRegistry[name]) {
+      const resolved = actionRegistry[name];
       if (typeof resolved === 'function' && isAsyncFunction(resolved)) {
         return true;
       }
@@ -63,6 +80,10 @@ export const hasAsyncActions = (actionsList, actionRegistry = {}) => {
  * @returns {boolean}
  */
 export const isActionAsync = (action, actionRegistry = {}) => {
+  if (hasActionPolicy(action)) {
+    return true;
+  }
+
   if (typeof action === 'function') {
     return isAsyncFunction(action) || detectPromiseInFunction(action);
   }
@@ -71,8 +92,9 @@ export const isActionAsync = (action, actionRegistry = {}) => {
     return typeof action.assigner === 'function' && isAsyncFunction(action.assigner);
   }
 
-  if (typeof action === 'string' && actionRegistry[action]) {
-    const resolved = actionRegistry[action];
+  const name = getActionName(action);
+  if (name && actionRegistry[name]) {
+    const resolved = actionRegistry[name];
     if (typeof resolved === 'function') {
       return isAsyncFunction(resolved) || detectPromiseInFunction(resolved);
     }
@@ -84,4 +106,38 @@ export const isActionAsync = (action, actionRegistry = {}) => {
   return false;
 };
 
+/**
+ * Check whether a guard is declared async: an async function, a named or
+ * parameterized reference to an async guard, a `{ guard, timeout }`
+ * definition of one, or a combination containing one
+ * @param {Function|string|Object} guard
+ * @param {Object} guardRegistry
+ * @returns {boolean}
+ */
+export const isGuardAsync = (guard, guardRegistry = {}) => {
+  if (typeof guard === 'function') {
+    return isAsyncFunction(guard);
+  }
+
+  if (typeof guard === 'string') {
+    const definition = guardRegistry[guard.startsWith('!') ? guard.slice(1) : guard];
+    return !!definition && typeof definition !== 'string' && isGuardAsync(definition, guardRegistry);
+  }
+
+  if (guard && typeof guard === 'object') {
+    if (Array.isArray(guard.guards)) {
+      return guard.guards.some(g => isGuardAsync(g, guardRegistry));
+    }
+    if (guard.guard) {
+      return isGuardAsync(guard.guard, guardRegistry);
+    }
+    if (isParameterized(guard) && guard.type !== 'stateIn') {
+      const definition = guardRegistry[guard.type];
+      return !!definition && typeof definition !== 'string' && isGuardAsync(definition, guardRegistry);
+    }
+  }
+
+  return false;
+};
+
 export { isAsyncFunction, detectPromiseInFunction };
\ No newline at end of file
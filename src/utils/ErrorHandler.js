@@ -1,4 +1,5 @@
 import { QueueClearedError } from '../errors/QueueClearedError.js';
+import { TransitionAbortedError } from '../errors/TransitionAbortedError.js';
 
 /**
  * @param {string} [message]
@@ -6,4 +7,12 @@ import { QueueClearedError } from '../errors/QueueClearedError.js';
  */
 export const createQueueClearedError = (message) => {
   return QueueClearedError(message);
+};
+
+/**
+ * @param {string} [message]
+ * @returns {Error}
+ */
+export const createTransitionAbortedError = (message) => {
+  return TransitionAbortedError(message);
 };
\ No newline at end of file
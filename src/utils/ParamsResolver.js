@@ -0,0 +1,27 @@
+/**
+ * Check whether an action or guard is a `{ type, params }` reference to a
+ * named implementation in the machine options
+ * @param {*} definition
+ * @returns {boolean}
+ */
+export const isParameterized = (definition) => {
+  return !!definition &&
+    typeof definition === 'object' &&
+    !Array.isArray(definition) &&
+    typeof definition.type === 'string' &&
+    !definition._isAssign &&
+    !definition._isRaise;
+};
+
+/**
+ * Resolve the params of a parameterized reference
+ * @param {Object} definition - `{ type, params }` reference
+ * @param {Object} context - Current context
+ * @param {Object} event - Event being processed
+ * @returns {*} Static params, or params computed from `{ context, event }`
+ */
+export const resolveParams = (definition, context, event) => {
+  return typeof definition.params === 'function'
+    ? definition.params({ context, event })
+    : definition.params;
+};
\ No newline at end of file
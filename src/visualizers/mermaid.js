@@ -4,7 +4,7 @@ const INDENT_UNIT = '    ';
 /**
  * Generates a Mermaid state diagram from a state machine configuration
  * @param {Object} config - The state machine configuration object
- * @param {string} config.initial - The initial state name
+ * @param {string} [config.initial] - The initial state name, not used by parallel roots
  * @param {Object} config.states - The states object containing state definitions
  * @param {Object} [options={}] - Visualization options
  * @param {string} [options.direction] - Diagram direction (TB, LR, BT, RL)
@@ -15,7 +15,7 @@ export const generateMermaid = (config, options = {}) => {
   if (!config || typeof config !== 'object') {
     throw new Error('Config parameter is required and must be an object');
   }
-  if (!config.initial) {
+  if (!config.initial && config.type !== 'parallel') {
     throw new Error('Config must specify an initial state');
   }
   if (!config.states || typeof config.states !== 'object') {
@@ -29,21 +29,49 @@ export const generateMermaid = (config, options = {}) => {
     output.push(`${INDENT_UNIT}direction ${options.direction}`);
   }
 
-  // Add initial state transition
-  output.push(`${INDENT_UNIT}[*] --> ${config.initial}`);
+  // Add initial state transition; the regions of a parallel root are all active
+  if (config.type !== 'parallel') {
+    output.push(`${INDENT_UNIT}[*] --> ${config.initial}`);
+  }
+
+  // Parameterized actions and guards show their static params, e.g. incrementBy(amount=5)
+  const getReferenceLabel = ({ type, params }) => {
+    if (!params || typeof params !== 'object') {
+      return type;
+    }
+    const args = Object.entries(params).map(([key, value]) => `${key}=${JSON.stringify(value)}`);
+    return `${type}(${args.join(', ')})`;
+  };
 
   const getGuardLabel = (guard) => {
     if (typeof guard === 'string') {
       return guard;
     } else if (typeof guard === 'function') {
       return guard.name || 'guard function';
+    } else if (guard && typeof guard === 'object' && (guard.type === 'and' || guard.type === 'or')) {
+      const operator = guard.type === 'and' ? ' && ' : ' || ';
+      return guard.guards.map(getOperandLabel).join(operator);
+    } else if (guard && typeof guard === 'object' && guard.type === 'not') {
+      return `!${getOperandLabel(guard.guard)}`;
+    } else if (guard && typeof guard === 'object' && guard.type === 'stateIn') {
+      const state = typeof guard.state === 'string' ? guard.state : JSON.stringify(guard.state);
+      return `stateIn(${state})`;
     } else if (guard && typeof guard === 'object' && guard.type) {
-      return guard.type;
+      return getReferenceLabel(guard);
+    } else if (guard && typeof guard === 'object' && guard.guard) {
+      return getGuardLabel(guard.guard);
     } else {
       return 'condition';
     }
   };
 
+  // Combined guards nested in a combination are parenthesized
+  const getOperandLabel = (guard) => {
+    const label = getGuardLabel(guard);
+    const isCombination = guard && typeof guard === 'object' && (guard.type === 'and' || guard.type === 'or');
+    return isCombination ? `(${label})` : label;
+  };
+
   const getActionLabel = (actions) => {
     const actionsList = Array.isArray(actions) ? actions : [actions];
 
@@ -53,9 +81,11 @@ export const generateMermaid = (config, options = {}) => {
       } else if (typeof action === 'function') {
         return action.name || 'action';
       } else if (action && typeof action === 'object' && action.type) {
-        return action.type;
+        return getReferenceLabel(action);
       } else if (action && typeof action === 'object' && action.assigner) {
         return 'assign';
+      } else if (action && typeof action === 'object' && action._isRaise) {
+        return typeof action.event === 'function' ? 'raise' : `raise ${action.event.type || action.event}`;
       } else {
         return 'action';
       }
@@ -64,6 +94,15 @@ export const generateMermaid = (config, options = {}) => {
     return actionNames.length > 0 ? actionNames.join(', ') : '';
   };
 
+  const getDelayLabel = (delay) => {
+    return Number.isFinite(Number(delay)) ? `after ${delay}ms` : `after ${delay}`;
+  };
+
+  const getInvokeName = (definition) => {
+    if (definition.id) return definition.id;
+    return typeof definition.src === 'string' ? definition.src : 'invoke';
+  };
+
   const buildTransitionLabel = (event, transition) => {
     let label = event;
 
@@ -82,18 +121,37 @@ export const generateMermaid = (config, options = {}) => {
     return label;
   };
 
+  // Notes hold a single line
+  const getNoteText = (description) => String(description).trim().replace(/\s*\n\s*/g, ' ');
+
   const processNestedStates = (stateKey, stateNode, statePath, indent, indentLevel) => {
     output.push(`${indent}state ${stateKey} {`);
 
-    if (stateNode.initial) {
-      output.push(`${indent}${INDENT_UNIT}[*] --> ${stateNode.initial}`);
-    }
+    if (stateNode.type === 'parallel') {
+      processParallelRegions(stateNode.states, statePath, indentLevel + 1);
+    } else {
+      if (stateNode.initial) {
+        output.push(`${indent}${INDENT_UNIT}[*] --> ${stateNode.initial}`);
+      }
 
-    processStates(stateNode.states, statePath, indentLevel + 1);
+      processStates(stateNode.states, statePath, indentLevel + 1);
+    }
 
     output.push(`${indent}}`);
   };
 
+  const processParallelRegions = (regions, parentPath, indentLevel) => {
+    const indent = INDENT_UNIT.repeat(indentLevel);
+
+    Object.entries(regions).forEach(([regionKey, regionNode], index) => {
+      // Concurrent regions are separated by --
+      if (index > 0) {
+        output.push(`${indent}--`);
+      }
+      processStates({ [regionKey]: regionNode }, parentPath, indentLevel);
+    });
+  };
+
   const processIdReference = (targetState, originalTarget) => {
     try {
       targetState = targetState.slice(1);
@@ -115,11 +173,30 @@ export const generateMermaid = (config, options = {}) => {
   };
 
   const processTransitions = (stateKey, stateNode, parentPath, indent) => {
-    if (!stateNode.on) return;
-
-    for (const [event, transitions] of Object.entries(stateNode.on)) {
-      if (event === '*') continue;
+    const eventTransitions = { ...stateNode.on };
+    if (stateNode.onDone) {
+      eventTransitions.onDone = stateNode.onDone;
+    }
+    if (stateNode.always) {
+      eventTransitions.always = stateNode.always;
+    }
+    if (stateNode.onError) {
+      eventTransitions.onError = stateNode.onError;
+    }
+    for (const [delay, transition] of Object.entries(stateNode.after || {})) {
+      eventTransitions[getDelayLabel(delay)] = transition;
+    }
+    for (const definition of [].concat(stateNode.invoke || [])) {
+      const name = getInvokeName(definition);
+      if (definition.onDone) {
+        eventTransitions[`onDone (${name})`] = definition.onDone;
+      }
+      if (definition.onError) {
+        eventTransitions[`onError (${name})`] = definition.onError;
+      }
+    }
 
+    for (const [event, transitions] of Object.entries(eventTransitions)) {
       const transitionList = Array.isArray(transitions) ? transitions : [transitions];
 
       for (const transition of transitionList) {
@@ -137,8 +214,10 @@ export const generateMermaid = (config, options = {}) => {
             targetState = processedState;
           }
 
+          // Transitions have no notes; their description goes on a line of its own in the label
           const label = buildTransitionLabel(event, normalizedTransition);
-          output.push(`${indent}${sourceState} --> ${targetState} : ${label}`);
+          const description = normalizedTransition.description ? `<br/>${getNoteText(normalizedTransition.description)}` : '';
+          output.push(`${indent}${sourceState} --> ${targetState} : ${label}${description}`);
         }
       }
     }
@@ -155,15 +234,40 @@ export const generateMermaid = (config, options = {}) => {
         processNestedStates(stateKey, stateNode, statePath, indent, indentLevel);
       }
 
+      // Final states complete their parent
+      if (stateNode.type === 'final') {
+        output.push(`${indent}${stateKey} --> [*]`);
+      }
+
       // Process transitions for this state
       processTransitions(stateKey, stateNode, parentPath, indent);
+
+      // State descriptions are shown as notes
+      if (stateNode.description) {
+        output.push(`${indent}note right of ${stateKey} : ${getNoteText(stateNode.description)}`);
+      }
+    }
+  };
+
+  // Machine-wide transitions can be taken from every top-level state that is not final
+  const processRootTransitions = () => {
+    for (const [stateKey, stateNode] of Object.entries(config.states)) {
+      if (stateNode.type !== 'final') {
+        processTransitions(stateKey, { on: config.on }, '', INDENT_UNIT);
+      }
     }
   };
 
   // Process all states starting from the root
-  if (config.states) {
+  if (config.states && config.type === 'parallel') {
+    processParallelRegions(config.states, '', 1);
+  } else if (config.states) {
     processStates(config.states);
   }
 
+  if (config.on) {
+    processRootTransitions();
+  }
+
   return output.join('\n');
 };
\ No newline at end of file
@@ -5,7 +5,7 @@ const INDENT_UNIT = '  ';
 /**
  * Generates a PlantUML state diagram from a state machine configuration
  * @param {Object} config - The state machine configuration object
- * @param {string} config.initial - The initial state name
+ * @param {string} [config.initial] - The initial state name, not used by parallel roots
  * @param {Object} config.states - The states object containing state definitions
  * @param {Object} [options={}] - Visualization options
  * @returns {string} The generated PlantUML diagram syntax
@@ -15,7 +15,7 @@ export const generatePlantUML = (config, options = {}) => {
   if (!config || typeof config !== 'object') {
     throw new Error('Config parameter is required and must be an object');
   }
-  if (!config.initial) {
+  if (!config.initial && config.type !== 'parallel') {
     throw new Error('Config must specify an initial state');
   }
   if (!config.states || typeof config.states !== 'object') {
@@ -24,25 +24,57 @@ export const generatePlantUML = (config, options = {}) => {
 
   const output = [PLANTUML_START];
 
-  // Add initial state transition
-  output.push(`${INDENT_UNIT}[*] --> ${config.initial}`);
+  // Add initial state transition; the regions of a parallel root are all active
+  if (config.type !== 'parallel') {
+    output.push(`${INDENT_UNIT}[*] --> ${config.initial}`);
+  }
 
   /**
    * @param {string|Function|Object} guard
    * @returns {string}
    */
+  // Parameterized actions and guards show their static params, e.g. incrementBy(amount=5)
+  const getReferenceLabel = ({ type, params }) => {
+    if (!params || typeof params !== 'object') {
+      return type;
+    }
+    const args = Object.entries(params).map(([key, value]) => `${key}=${JSON.stringify(value)}`);
+    return `${type}(${args.join(', ')})`;
+  };
+
   const getGuardLabel = (guard) => {
     if (typeof guard === 'string') {
       return guard;
     } else if (typeof guard === 'function') {
       return guard.name || 'guard function';
+    } else if (guard && typeof guard === 'object' && (guard.type === 'and' || guard.type === 'or')) {
+      const operator = guard.type === 'and' ? ' && ' : ' || ';
+      return guard.guards.map(getOperandLabel).join(operator);
+    } else if (guard && typeof guard === 'object' && guard.type === 'not') {
+      return `!${getOperandLabel(guard.guard)}`;
+    } else if (guard && typeof guard === 'object' && guard.type === 'stateIn') {
+      const state = typeof guard.state === 'string' ? guard.state : JSON.stringify(guard.state);
+      return `stateIn(${state})`;
     } else if (guard && typeof guard === 'object' && guard.type) {
-      return guard.type;
+      return getReferenceLabel(guard);
+    } else if (guard && typeof guard === 'object' && guard.guard) {
+      return getGuardLabel(guard.guard);
     } else {
       return 'condition';
     }
   };
 
+  /**
+   * Combined guards nested in a combination are parenthesized
+   * @param {Function|string|Object} guard
+   * @returns {string}
+   */
+  const getOperandLabel = (guard) => {
+    const label = getGuardLabel(guard);
+    const isCombination = guard && typeof guard === 'object' && (guard.type === 'and' || guard.type === 'or');
+    return isCombination ? `(${label})` : label;
+  };
+
   /**
    * @param {string|Function|Object|Array} actions
    * @returns {string}
@@ -56,9 +88,11 @@ export const generatePlantUML = (config, options = {}) => {
       } else if (typeof action === 'function') {
         return action.name || 'action';
       } else if (action && typeof action === 'object' && action.type) {
-        return action.type;
+        return getReferenceLabel(action);
       } else if (action && typeof action === 'object' && action.assigner) {
         return 'assign';
+      } else if (action && typeof action === 'object' && action._isRaise) {
+        return typeof action.event === 'function' ? 'raise' : `raise ${action.event.type || action.event}`;
       } else {
         return 'action';
       }
@@ -67,6 +101,23 @@ export const generatePlantUML = (config, options = {}) => {
     return actionNames.length > 0 ? actionNames.join(', ') : '';
   };
 
+  /**
+   * @param {string} delay
+   * @returns {string}
+   */
+  const getDelayLabel = (delay) => {
+    return Number.isFinite(Number(delay)) ? `after ${delay}ms` : `after ${delay}`;
+  };
+
+  /**
+   * @param {Object} definition - Invoke definition
+   * @returns {string}
+   */
+  const getInvokeName = (definition) => {
+    if (definition.id) return definition.id;
+    return typeof definition.src === 'string' ? definition.src : 'invoke';
+  };
+
   /**
    * @param {Object} stateNode
    * @returns {string}
@@ -102,6 +153,14 @@ export const generatePlantUML = (config, options = {}) => {
     return content.join('\\n');
   };
 
+  /**
+   * @param {string} description
+   * @returns {Array<string>}
+   */
+  const getNoteLines = (description) => {
+    return String(description).trim().split('\n').map(line => line.trim());
+  };
+
   /**
    * @param {string} target
    * @returns {string|null}
@@ -169,6 +228,13 @@ export const generatePlantUML = (config, options = {}) => {
     }
 
     output.push(`${indent}${sourceState} --> ${targetState} : ${label}`);
+
+    // Transition descriptions are shown as notes on the link
+    if (normalizedTransition.description) {
+      output.push(`${indent}note on link`);
+      output.push(...getNoteLines(normalizedTransition.description).map(line => `${indent}${INDENT_UNIT}${line}`));
+      output.push(`${indent}end note`);
+    }
   };
 
   /**
@@ -178,13 +244,32 @@ export const generatePlantUML = (config, options = {}) => {
    * @param {string} indent
    */
   const processTransitions = (stateKey, stateNode, parentPath, indent) => {
-    if (!stateNode.on) return;
+    const eventTransitions = { ...stateNode.on };
+    if (stateNode.onDone) {
+      eventTransitions.onDone = stateNode.onDone;
+    }
+    if (stateNode.always) {
+      eventTransitions.always = stateNode.always;
+    }
+    if (stateNode.onError) {
+      eventTransitions.onError = stateNode.onError;
+    }
+    for (const [delay, transition] of Object.entries(stateNode.after || {})) {
+      eventTransitions[getDelayLabel(delay)] = transition;
+    }
+    for (const definition of [].concat(stateNode.invoke || [])) {
+      const name = getInvokeName(definition);
+      if (definition.onDone) {
+        eventTransitions[`onDone (${name})`] = definition.onDone;
+      }
+      if (definition.onError) {
+        eventTransitions[`onError (${name})`] = definition.onError;
+      }
+    }
 
     const sourceState = parentPath ? `${parentPath}.${stateKey}` : stateKey;
 
-    for (const [event, transitions] of Object.entries(stateNode.on)) {
-      if (event === '*') continue;
-
+    for (const [event, transitions] of Object.entries(eventTransitions)) {
       const transitionList = Array.isArray(transitions) ? transitions : [transitions];
 
       for (const transition of transitionList) {
@@ -210,15 +295,36 @@ export const generatePlantUML = (config, options = {}) => {
 
     output.push(`${indent}state ${stateKey} {`);
 
-    if (stateNode.initial) {
-      output.push(`${indent}${INDENT_UNIT}[*] --> ${stateNode.initial}`);
-    }
+    if (stateNode.type === 'parallel') {
+      processParallelRegions(stateNode.states, statePath, indentLevel + 1);
+    } else {
+      if (stateNode.initial) {
+        output.push(`${indent}${INDENT_UNIT}[*] --> ${stateNode.initial}`);
+      }
 
-    processStates(stateNode.states, statePath, indentLevel + 1);
+      processStates(stateNode.states, statePath, indentLevel + 1);
+    }
 
     output.push(`${indent}}`);
   };
 
+  /**
+   * @param {Object} regions
+   * @param {string} parentPath
+   * @param {number} indentLevel
+   */
+  const processParallelRegions = (regions, parentPath, indentLevel) => {
+    const indent = INDENT_UNIT.repeat(indentLevel);
+
+    Object.entries(regions).forEach(([regionKey, regionNode], index) => {
+      // Concurrent regions are separated by --
+      if (index > 0) {
+        output.push(`${indent}--`);
+      }
+      processStates({ [regionKey]: regionNode }, parentPath, indentLevel);
+    });
+  };
+
   /**
    * @param {Object} states
    * @param {string} parentPath
@@ -241,16 +347,43 @@ export const generatePlantUML = (config, options = {}) => {
         }
       }
 
+      // Final states complete their parent
+      if (stateNode.type === 'final') {
+        output.push(`${indent}${stateKey} --> [*]`);
+      }
+
       // Process transitions for this state
       processTransitions(stateKey, stateNode, parentPath, indent);
+
+      // State descriptions are shown as notes
+      if (stateNode.description) {
+        output.push(`${indent}note right of ${stateKey} : ${getNoteLines(stateNode.description).join('\\n')}`);
+      }
+    }
+  };
+
+  /**
+   * Machine-wide transitions can be taken from every top-level state that is not final
+   */
+  const processRootTransitions = () => {
+    for (const [stateKey, stateNode] of Object.entries(config.states)) {
+      if (stateNode.type !== 'final') {
+        processTransitions(stateKey, { on: config.on }, '', INDENT_UNIT);
+      }
     }
   };
 
   // Process all states starting from the root
-  if (config.states) {
+  if (config.states && config.type === 'parallel') {
+    processParallelRegions(config.states, '', 1);
+  } else if (config.states) {
     processStates(config.states);
   }
 
+  if (config.on) {
+    processRootTransitions();
+  }
+
   output.push(PLANTUML_END);
 
   return output.join('\n');
@@ -0,0 +1,185 @@
+import { createMachine, assign, raise, TransitionAbortedError } from '../src/index.js';
+
+// Resolves after `ms` unless the signal is aborted first
+const abortableDelay = (ms, signal) => new Promise((resolve, reject) => {
+  const timer = setTimeout(resolve, ms);
+  signal.addEventListener('abort', () => {
+    clearTimeout(timer);
+    reject(new Error('Aborted'));
+  });
+});
+
+const loaderConfig = {
+  id: 'loader',
+  initial: 'idle',
+  context: { loads: 0 },
+  states: {
+    idle: {
+      on: {
+        LOAD: {
+          target: 'loaded',
+          actions: [assign(({ context }) => ({ loads: context.loads + 1 })), 'load']
+        },
+        CANCEL: 'cancelled'
+      }
+    },
+    loaded: {},
+    cancelled: {}
+  }
+};
+
+describe('Aborting Transitions', () => {
+  test('should pass an abort signal to async actions', async () => {
+    let received;
+    const machine = createMachine(loaderConfig, {
+      actions: {
+        load: async ({ signal }) => {
+          received = signal;
+        }
+      }
+    });
+
+    await machine.send('LOAD');
+
+    expect(received).toBeInstanceOf(AbortSignal);
+    expect(received.aborted).toBe(false);
+  });
+
+  test('should cancel the transition when abort() is called', async () => {
+    const machine = createMachine(loaderConfig, { actions: { load: async ({ signal }) => abortableDelay(1000, signal) } });
+
+    const loading = machine.send('LOAD');
+    await waitFor();
+
+    expect(machine.abort()).toBe(true);
+    await expect(loading).rejects.toThrow('Transition was aborted');
+    expect(machine.state).toBe('idle');
+    expect(machine.context.loads).toBe(0);
+  });
+
+  test('should reject with TransitionAbortedError', async () => {
+    const machine = createMachine(loaderConfig, { actions: { load: async ({ signal }) => abortableDelay(1000, signal) } });
+
+    const loading = machine.send('LOAD').catch(error => error);
+    await waitFor();
+    machine.abort();
+
+    const error = await loading;
+    expect(error.name).toBe('TransitionAbortedError');
+    expect(TransitionAbortedError().name).toBe('TransitionAbortedError');
+  });
+
+  test('should abort the transition in progress on sendPriority()', async () => {
+    const machine = createMachine(loaderConfig, { actions: { load: async ({ signal }) => abortableDelay(1000, signal) } });
+
+    const loading = machine.send('LOAD').catch(error => error);
+    await waitFor();
+    const result = await machine.sendPriority('CANCEL');
+
+    expect((await loading).name).toBe('TransitionAbortedError');
+    expect(result.state).toBe('cancelled');
+  });
+
+  test('should abort the transition in progress when the machine is stopped', async () => {
+    const machine = createMachine(loaderConfig, { actions: { load: async ({ signal }) => abortableDelay(1000, signal) } });
+
+    const loading = machine.send('LOAD');
+    await waitFor();
+    machine.stop();
+
+    await expect(loading).rejects.toThrow('Transition was aborted');
+    expect(machine.state).toBe('idle');
+  });
+
+  test('should roll back the whole macrostep when a later microstep is aborted', async () => {
+    const service = jest.fn(() => new Promise(() => {}));
+    const machine = createMachine({
+      id: 'test',
+      initial: 'idle',
+      context: { n: 0 },
+      states: {
+        idle: { on: { GO: 'step1' } },
+        step1: {
+          entry: [assign({ n: 1 }), raise('NEXT')],
+          invoke: { src: service },
+          after: { 1000: 'idle' },
+          on: { NEXT: { target: 'step2', actions: [async ({ signal }) => abortableDelay(1000, signal)] } }
+        },
+        step2: {}
+      }
+    });
+    await machine.start();
+
+    const going = machine.send('GO');
+    await waitFor();
+    machine.abort();
+
+    await expect(going).rejects.toThrow('Transition was aborted');
+    expect(machine.state).toBe('idle');
+    expect(machine.context.n).toBe(0);
+    expect(machine.snapshot.state).toBe('idle');
+    expect(service).not.toHaveBeenCalled();
+    expect(machine.getPersistedSnapshot().delayedEvents).toEqual([]);
+  });
+
+  test('should cancel the transition on abort() when its actions ignore the signal', async () => {
+    let completed = false;
+    const machine = createMachine(loaderConfig, {
+      actions: {
+        load: async () => {
+          await waitFor(10);
+          completed = true;
+        }
+      }
+    });
+
+    const loading = machine.send('LOAD');
+    await waitFor();
+
+    expect(machine.abort()).toBe(true);
+    await expect(loading).rejects.toThrow('Transition was aborted');
+    expect(completed).toBe(true);
+    expect(machine.state).toBe('idle');
+    expect(machine.context.loads).toBe(0);
+  });
+
+  test('should complete transitions whose actions ignore the signal when the queue is cleared', async () => {
+    const machine = createMachine(loaderConfig, { actions: { load: async () => waitFor(10) } });
+
+    const loading = machine.send('LOAD');
+    await waitFor();
+    machine.clearQueue();
+
+    expect((await loading).state).toBe('loaded');
+  });
+
+  test('should not catch aborted transitions with onError', async () => {
+    const machine = createMachine({
+      id: 'test',
+      initial: 'idle',
+      states: {
+        idle: {
+          onError: 'failed',
+          on: { LOAD: { target: 'loaded', actions: [async ({ signal }) => abortableDelay(1000, signal)] } }
+        },
+        loaded: {},
+        failed: {}
+      }
+    });
+
+    const loading = machine.send('LOAD');
+    await waitFor();
+    machine.abort();
+
+    await expect(loading).rejects.toThrow('Transition was aborted');
+    expect(machine.state).toBe('idle');
+  });
+
+  test('should return false when no transition is in progress', async () => {
+    const machine = createMachine(loaderConfig, { actions: { load: async () => {} } });
+
+    await machine.send('LOAD');
+
+    expect(machine.abort()).toBe(false);
+  });
+});
@@ -0,0 +1,211 @@
+import { createMachine, assign } from '../src/index.js';
+
+// Fails the first `failures` calls, then resolves with the user
+const createFlakyFetch = (failures) => jest.fn(async () => {
+  if (createFlakyFetch.calls++ < failures) {
+    throw new Error('Service unavailable');
+  }
+  return { name: 'Ada' };
+});
+
+describe('Action Timeouts and Retries', () => {
+  beforeEach(() => {
+    createFlakyFetch.calls = 0;
+  });
+
+  test('should retry a failing action and report the attempts in results', async () => {
+    const fetchUser = createFlakyFetch(2);
+    const machine = createMachine({
+      id: 'user',
+      initial: 'idle',
+      states: {
+        idle: { on: { FETCH: 'loading' } },
+        loading: { entry: [{ type: 'fetchUser', retry: { attempts: 3, delay: 1 } }] }
+      }
+    }, {
+      actions: { fetchUser }
+    });
+
+    const result = await machine.send('FETCH');
+
+    expect(result.state).toBe('loading');
+    expect(fetchUser).toHaveBeenCalledTimes(3);
+    expect(result.results).toContainEqual({ name: 'fetchUser', value: { name: 'Ada' }, attempts: 3 });
+  });
+
+  test('should raise error.execution with the attempts once retries are exhausted', async () => {
+    const fetchUser = createFlakyFetch(5);
+    const machine = createMachine({
+      id: 'user',
+      initial: 'idle',
+      context: { error: null, attempts: 0 },
+      states: {
+        idle: { on: { FETCH: 'loading' } },
+        loading: {
+          entry: [{ type: 'fetchUser', retry: { attempts: 3, delay: 1 } }],
+          onError: {
+            target: 'failed',
+            actions: [assign(({ event }) => ({ error: event.error.message, attempts: event.attempts }))]
+          }
+        },
+        failed: {}
+      }
+    }, {
+      actions: { fetchUser }
+    });
+
+    const result = await machine.send('FETCH');
+
+    expect(result.state).toBe('failed');
+    expect(machine.context).toEqual({ error: 'Service unavailable', attempts: 3 });
+    expect(result.results[0]).toEqual({ name: 'fetchUser', error: expect.any(Error), attempts: 3 });
+  });
+
+  test('should reject send() with the last error when no state handles it', async () => {
+    const machine = createMachine({
+      id: 'test',
+      initial: 'idle',
+      states: {
+        idle: {
+          on: { SAVE: { target: 'saved', actions: [{ type: 'save', retry: { attempts: 2 } }] } }
+        },
+        saved: {}
+      }
+    }, {
+      actions: { save: createFlakyFetch(5) }
+    });
+
+    await expect(machine.send('SAVE')).rejects.toThrow('Service unavailable');
+    expect(machine.state).toBe('idle');
+  });
+
+  test('should set the attempts and the error of each on an unhandled rejection', async () => {
+    let calls = 0;
+    const save = jest.fn(async () => {
+      throw new Error(`Attempt ${++calls} failed`);
+    });
+    const machine = createMachine({
+      id: 'test',
+      initial: 'idle',
+      states: {
+        idle: {
+          on: { SAVE: { target: 'saved', actions: [{ type: 'save', retry: { attempts: 3, delay: 1 } }] } }
+        },
+        saved: {}
+      }
+    }, {
+      actions: { save }
+    });
+
+    const error = await machine.send('SAVE').catch(rejection => rejection);
+
+    expect(error.message).toBe('Attempt 3 failed');
+    expect(error.attempts).toBe(3);
+    expect(error.errors.map(({ message }) => message)).toEqual(['Attempt 1 failed', 'Attempt 2 failed', 'Attempt 3 failed']);
+    expect(machine.state).toBe('idle');
+  });
+
+  test('should fail attempts that exceed the timeout and abort their signal', async () => {
+    const signals = [];
+    const fetchUser = jest.fn(({ signal }) => {
+      signals.push(signal);
+      return waitFor(50);
+    });
+    const machine = createMachine({
+      id: 'user',
+      initial: 'idle',
+      context: { error: null, attempts: 0 },
+      states: {
+        idle: { on: { FETCH: 'loading' } },
+        loading: {
+          entry: [{ type: 'fetchUser', timeout: 5, retry: { attempts: 2, delay: 1 } }],
+          onError: {
+            target: 'failed',
+            actions: [assign(({ event }) => ({ error: event.error.message, attempts: event.attempts }))]
+          }
+        },
+        failed: {}
+      }
+    }, {
+      actions: { fetchUser }
+    });
+
+    await machine.send('FETCH');
+
+    expect(machine.context.error).toBe("Action 'fetchUser' timed out after 5ms");
+    expect(machine.context.attempts).toBe(2);
+    expect(signals.map(signal => signal.aborted)).toEqual([true, true]);
+  });
+
+  test('should back off exponentially between attempts', async () => {
+    const calledAt = [];
+    const fetchUser = jest.fn(async () => {
+      calledAt.push(Date.now());
+      throw new Error('Service unavailable');
+    });
+    const machine = createMachine({
+      id: 'user',
+      initial: 'idle',
+      context: { error: null, attempts: 0 },
+      states: {
+        idle: { on: { FETCH: 'loading' } },
+        loading: {
+          entry: [{ type: 'fetchUser', retry: { attempts: 3, delay: 20, backoff: 'exponential' } }],
+          onError: {
+            target: 'failed',
+            actions: [assign(({ event }) => ({ error: event.error.message, attempts: event.attempts }))]
+          }
+        },
+        failed: {}
+      }
+    }, {
+      actions: { fetchUser }
+    });
+
+    await machine.send('FETCH');
+
+    expect(calledAt[1] - calledAt[0]).toBeGreaterThanOrEqual(15);
+    expect(calledAt[2] - calledAt[1]).toBeGreaterThanOrEqual(35);
+  });
+
+  test('should pass params to every attempt', async () => {
+    const fetchUser = jest.fn(async () => ({}));
+    const machine = createMachine({
+      id: 'user',
+      initial: 'idle',
+      states: {
+        idle: { on: { FETCH: 'loading' } },
+        loading: { entry: [{ type: 'fetchUser', params: { id: 7 }, timeout: 100 }] }
+      }
+    }, {
+      actions: { fetchUser }
+    });
+
+    const result = await machine.send('FETCH');
+
+    expect(fetchUser).toHaveBeenCalledWith(expect.objectContaining({ params: { id: 7 } }));
+    expect(result.results).toContainEqual({ name: 'fetchUser', value: {}, attempts: 1 });
+  });
+
+  test('should stop retrying when the transition is aborted', async () => {
+    const fetchUser = createFlakyFetch(5);
+    const machine = createMachine({
+      id: 'user',
+      initial: 'idle',
+      states: {
+        idle: { on: { FETCH: 'loading' } },
+        loading: { entry: [{ type: 'fetchUser', retry: { attempts: 5, delay: 1000 } }] }
+      }
+    }, {
+      actions: { fetchUser }
+    });
+
+    const fetching = machine.send('FETCH');
+    await waitFor(5);
+    machine.abort();
+
+    await expect(fetching).rejects.toThrow('Transition was aborted');
+    expect(fetchUser).toHaveBeenCalledTimes(1);
+    expect(machine.state).toBe('idle');
+  });
+});
@@ -157,6 +157,7 @@ describe('Actions', () => {
           myAction: actionFn
         }
       });
+      machine.start();
 
       expect(actionFn).toHaveBeenCalledTimes(1);
 
@@ -440,6 +441,7 @@ describe('Actions', () => {
           }
         }
       });
+      machine.start();
 
       expect(sideEffect).toHaveBeenCalledTimes(1); // Initial entry
 
@@ -0,0 +1,301 @@
+import { createMachine, assign } from '../src/index.js';
+
+const formConfig = {
+  id: 'form',
+  initial: 'editing',
+  context: { value: '', submitted: 0 },
+  states: {
+    editing: {
+      on: {
+        SUBMIT: {
+          target: 'validating',
+          actions: [assign(({ event }) => ({ value: event.value }))]
+        }
+      }
+    },
+    validating: {
+      always: [
+        { target: 'invalid', cond: ({ context }) => context.value === '' },
+        {
+          target: 'submitted',
+          actions: [assign(({ context }) => ({ submitted: context.submitted + 1 }))]
+        }
+      ]
+    },
+    invalid: {
+      on: { SUBMIT: 'editing' }
+    },
+    submitted: {}
+  }
+};
+
+describe('Eventless (always) Transitions', () => {
+  test('should take the first enabled eventless transition after a transition', async () => {
+    const machine = createMachine(formConfig);
+
+    const result = await machine.send('SUBMIT', { value: 'hello' });
+
+    expect(result.state).toBe('submitted');
+    expect(machine.context.submitted).toBe(1);
+  });
+
+  test('should evaluate eventless guards in order', async () => {
+    const machine = createMachine(formConfig);
+
+    await machine.send('SUBMIT', { value: '' });
+
+    expect(machine.state).toBe('invalid');
+    expect(machine.context.submitted).toBe(0);
+  });
+
+  test('should notify subscribers once the configuration is stable', async () => {
+    const machine = createMachine(formConfig);
+    const states = [];
+    machine.subscribe(({ nextState }) => states.push(nextState.state));
+
+    await machine.send('SUBMIT', { value: 'hello' });
+
+    expect(states).toEqual(['submitted']);
+    expect(machine.history.map(entry => entry.state)).toEqual(['editing', 'submitted']);
+  });
+
+  test('should chain eventless transitions until none is enabled', async () => {
+    const visited = [];
+    const machine = createMachine({
+      id: 'test',
+      initial: 'idle',
+      states: {
+        idle: { on: { GO: 'a' } },
+        a: { entry: [() => visited.push('a')], always: 'b' },
+        b: { entry: [() => visited.push('b')], always: 'c' },
+        c: { entry: [() => visited.push('c')] }
+      }
+    });
+
+    await machine.send('GO');
+
+    expect(machine.state).toBe('c');
+    expect(visited).toEqual(['a', 'b', 'c']);
+  });
+
+  test('should re-check eventless transitions after context changes', async () => {
+    const machine = createMachine({
+      id: 'counter',
+      initial: 'counting',
+      context: { count: 0 },
+      states: {
+        counting: {
+          on: {
+            INC: { actions: [assign(({ context }) => ({ count: context.count + 1 }))] }
+          },
+          always: { target: 'full', cond: ({ context }) => context.count >= 2 }
+        },
+        full: {}
+      }
+    });
+
+    await machine.send('INC');
+    expect(machine.state).toBe('counting');
+
+    await machine.send('INC');
+    expect(machine.state).toBe('full');
+  });
+
+  test('should pass the triggering event to eventless guards and actions', async () => {
+    const machine = createMachine({
+      id: 'test',
+      initial: 'idle',
+      context: { role: null },
+      states: {
+        idle: { on: { LOGIN: 'routing' } },
+        routing: {
+          always: [
+            {
+              target: 'admin',
+              cond: ({ event }) => event.role === 'admin',
+              actions: [assign(({ event }) => ({ role: event.role }))]
+            },
+            { target: 'user' }
+          ]
+        },
+        admin: {},
+        user: {}
+      }
+    });
+
+    await machine.send('LOGIN', { role: 'admin' });
+
+    expect(machine.state).toBe('admin');
+    expect(machine.context.role).toBe('admin');
+  });
+
+  test('should take eventless transitions of the initial state', () => {
+    const machine = createMachine({
+      id: 'test',
+      initial: 'boot',
+      context: { ready: true },
+      states: {
+        boot: {
+          always: [
+            { target: 'ready', cond: ({ context }) => context.ready },
+            { target: 'waiting' }
+          ]
+        },
+        ready: {},
+        waiting: {}
+      }
+    });
+    machine.start();
+
+    expect(machine.state).toBe('ready');
+    expect(machine.history).toHaveLength(1);
+  });
+
+  test('should take eventless transitions defined on ancestors', async () => {
+    const machine = createMachine({
+      id: 'test',
+      initial: 'session',
+      context: { expired: false },
+      states: {
+        session: {
+          initial: 'active',
+          always: { target: 'loggedOut', cond: ({ context }) => context.expired },
+          states: {
+            active: {
+              on: { EXPIRE: { actions: [assign({ expired: true })] } }
+            }
+          }
+        },
+        loggedOut: {}
+      }
+    });
+
+    await machine.send('EXPIRE');
+
+    expect(machine.state).toBe('loggedOut');
+  });
+
+  test('should continue eventless transitions after async actions', async () => {
+    const machine = createMachine({
+      id: 'test',
+      initial: 'idle',
+      context: { loaded: false },
+      states: {
+        idle: {
+          on: {
+            LOAD: {
+              target: 'checking',
+              actions: [async () => {
+                await new Promise(resolve => setTimeout(resolve, 5));
+                return { loaded: true };
+              }, assign({ loaded: true })]
+            }
+          }
+        },
+        checking: {
+          always: { target: 'ready', cond: ({ context }) => context.loaded }
+        },
+        ready: {}
+      }
+    });
+
+    const result = await machine.send('LOAD');
+
+    expect(result.state).toBe('ready');
+  });
+
+  test('should fail with a clear error when eventless transitions never settle', async () => {
+    const machine = createMachine({
+      id: 'test',
+      initial: 'idle',
+      states: {
+        idle: { on: { GO: 'ping' } },
+        ping: { always: 'pong' },
+        pong: { always: 'ping' }
+      }
+    }, {
+      maxAlwaysIterations: 10
+    });
+
+    await expect(machine.send('GO'))
+      .rejects.toThrow('Eventless transitions did not settle after 10 iterations');
+  });
+
+  test('should not treat eventless transitions as wildcard event handlers', async () => {
+    const machine = createMachine({
+      id: 'test',
+      initial: 'idle',
+      states: {
+        idle: { on: { GO: 'active' } },
+        active: { on: { '*': 'fallback' } },
+        fallback: {}
+      }
+    });
+
+    await machine.send('GO');
+
+    expect(machine.state).toBe('active');
+  });
+
+  describe('Validation and visualization', () => {
+    test('should report unguarded eventless cycles', () => {
+      const machine = createMachine({
+        id: 'test',
+        initial: 'idle',
+        states: {
+          idle: { on: { GO: 'ping' } },
+          ping: { always: 'pong' },
+          pong: { always: 'ping' },
+          spinning: { always: { actions: [() => {}] } }
+        }
+      });
+
+      const result = machine.validate();
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toContainEqual({ type: 'ALWAYS_CYCLE', states: ['ping', 'pong'] });
+      expect(result.errors).toContainEqual({ type: 'ALWAYS_CYCLE', states: ['spinning'] });
+      expect(result.errors.filter(error => error.type === 'ALWAYS_CYCLE')).toHaveLength(2);
+    });
+
+    test('should not report guarded eventless transitions as cycles', () => {
+      const result = createMachine(formConfig).validate();
+
+      expect(result.errors).toEqual([]);
+    });
+
+    test('should validate eventless targets, guards and actions', () => {
+      const machine = createMachine({
+        id: 'test',
+        initial: 'a',
+        states: {
+          a: {
+            always: [
+              { target: 'missing' },
+              { target: 'a', cond: 'unknownGuard', actions: ['unknownAction'] }
+            ]
+          }
+        }
+      });
+
+      const result = machine.validate();
+
+      expect(result.errors).toContainEqual({
+        type: 'INVALID_TARGET', state: 'a', event: 'always', target: 'missing'
+      });
+      expect(result.errors).toContainEqual({
+        type: 'MISSING_GUARD', guard: 'unknownGuard', state: 'a', event: 'always'
+      });
+      expect(result.errors).toContainEqual({
+        type: 'MISSING_ACTION', action: 'unknownAction', state: 'a', event: 'always'
+      });
+    });
+
+    test('should label eventless transitions in diagrams', () => {
+      const machine = createMachine(formConfig);
+
+      expect(machine.visualize()).toContain('validating --> invalid : always');
+      expect(machine.visualize({ type: 'plantuml' })).toContain('validating --> submitted : always');
+    });
+  });
+});
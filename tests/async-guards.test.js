@@ -0,0 +1,265 @@
+import { createMachine, assign } from '../src/index.js';
+
+const documentConfig = {
+  id: 'document',
+  initial: 'viewing',
+  states: {
+    viewing: {
+      on: {
+        EDIT: [
+          { target: 'editing', cond: 'canEdit' },
+          { target: 'readOnly' }
+        ]
+      }
+    },
+    editing: {},
+    readOnly: {}
+  }
+};
+
+describe('Async Guards', () => {
+  test('should await an async guard before taking the transition', async () => {
+    const machine = createMachine(documentConfig, {
+      guards: {
+        canEdit: async ({ event }) => {
+          await waitFor(5);
+          return event.role === 'editor';
+        }
+      }
+    });
+
+    const result = await machine.send('EDIT', { role: 'editor' });
+
+    expect(result.state).toBe('editing');
+  });
+
+  test('should fall through to the next candidate when an async guard fails', async () => {
+    const machine = createMachine(documentConfig, {
+      guards: {
+        canEdit: async () => false
+      }
+    });
+
+    const result = await machine.send('EDIT');
+
+    expect(result.state).toBe('readOnly');
+  });
+
+  test('should treat functions returning a promise as async guards', async () => {
+    const canEdit = jest.fn(() => Promise.resolve(false));
+    const machine = createMachine(documentConfig, { guards: { canEdit } });
+
+    const result = await machine.send('EDIT');
+
+    expect(result.state).toBe('readOnly');
+    expect(canEdit).toHaveBeenCalledTimes(1);
+  });
+
+  test('should call guards returning a promise once in combinations and parallel regions', async () => {
+    const isUnlocked = jest.fn(() => Promise.resolve(true));
+    const isDark = jest.fn(() => Promise.resolve(true));
+    const machine = createMachine({
+      id: 'test',
+      type: 'parallel',
+      states: {
+        door: {
+          initial: 'closed',
+          states: {
+            closed: { on: { OPEN: { target: 'open', cond: { type: 'and', guards: ['isAllowed', 'isUnlocked'] } } } },
+            open: {}
+          }
+        },
+        light: {
+          initial: 'off',
+          states: {
+            off: { on: { OPEN: { target: 'on', cond: { type: 'or', guards: ['!isAllowed', isDark] } } } },
+            on: {}
+          }
+        }
+      }
+    }, { guards: { isAllowed: () => true, isUnlocked } });
+
+    const result = await machine.send('OPEN');
+
+    expect(result.state).toBe('door.open,light.on');
+    expect(isUnlocked).toHaveBeenCalledTimes(1);
+    expect(isDark).toHaveBeenCalledTimes(1);
+  });
+
+  test('should evaluate guards in declaration order and stop at the first passing one', async () => {
+    const calls = [];
+    const check = (name, passes) => async () => {
+      calls.push(`start ${name}`);
+      await waitFor(name === 'first' ? 10 : 1);
+      calls.push(`end ${name}`);
+      return passes;
+    };
+    const machine = createMachine({
+      id: 'test',
+      initial: 'idle',
+      states: {
+        idle: {
+          on: {
+            GO: [
+              { target: 'first', cond: check('first', false) },
+              { target: 'second', cond: check('second', true) },
+              { target: 'third', cond: check('third', true) }
+            ]
+          }
+        },
+        first: {},
+        second: {},
+        third: {}
+      }
+    });
+
+    const result = await machine.send('GO');
+
+    expect(result.state).toBe('second');
+    expect(calls).toEqual(['start first', 'end first', 'start second', 'end second']);
+  });
+
+  test('should reject the event when a guard exceeds its timeout', async () => {
+    const machine = createMachine(documentConfig, {
+      guards: {
+        canEdit: {
+          guard: () => new Promise(resolve => setTimeout(() => resolve(true), 50)),
+          timeout: 5
+        }
+      }
+    });
+
+    await expect(machine.send('EDIT')).rejects.toThrow('Guard timed out after 5ms');
+    expect(machine.state).toBe('viewing');
+  });
+
+  test('should apply inline timeouts and the guardTimeout option', async () => {
+    const slow = () => new Promise(resolve => setTimeout(() => resolve(true), 50));
+    const machine = createMachine({
+      id: 'test',
+      initial: 'idle',
+      states: {
+        idle: {
+          on: {
+            INLINE: { target: 'done', cond: { guard: slow, timeout: 5 } },
+            DEFAULT: { target: 'done', cond: 'slow' }
+          }
+        },
+        done: {}
+      }
+    }, {
+      guards: { slow },
+      guardTimeout: 5
+    });
+
+    await expect(machine.send('INLINE')).rejects.toThrow('Guard timed out after 5ms');
+    await expect(machine.send('DEFAULT')).rejects.toThrow('Guard timed out after 5ms');
+    expect(machine.state).toBe('idle');
+  });
+
+  test('should raise error.execution when a guard rejects', async () => {
+    const machine = createMachine({
+      ...documentConfig,
+      states: {
+        ...documentConfig.states,
+        viewing: { ...documentConfig.states.viewing, onError: 'unavailable' },
+        unavailable: {}
+      }
+    }, {
+      guards: {
+        canEdit: async () => {
+          throw new Error('Policy service unavailable');
+        }
+      }
+    });
+
+    const result = await machine.send('EDIT');
+
+    expect(result.state).toBe('unavailable');
+  });
+
+  test('should support async guards in combinations and negations', async () => {
+    const machine = createMachine({
+      id: 'test',
+      initial: 'idle',
+      context: { locked: false },
+      states: {
+        idle: {
+          on: {
+            OPEN: {
+              target: 'open',
+              cond: { type: 'and', guards: ['isAllowed', '!isLocked'] }
+            }
+          }
+        },
+        open: {}
+      }
+    }, {
+      guards: {
+        isAllowed: async () => true,
+        isLocked: async ({ context }) => context.locked
+      }
+    });
+
+    const result = await machine.send('OPEN');
+
+    expect(result.state).toBe('open');
+  });
+
+  test('should queue events sent while async guards are evaluated', async () => {
+    const machine = createMachine({
+      id: 'test',
+      initial: 'idle',
+      context: { count: 0 },
+      states: {
+        idle: {
+          on: {
+            START: {
+              target: 'running',
+              cond: async () => {
+                await waitFor(5);
+                return true;
+              }
+            }
+          }
+        },
+        running: {
+          on: { TICK: { actions: [assign(({ context }) => ({ count: context.count + 1 }))] } }
+        }
+      }
+    });
+
+    const started = machine.send('START');
+    const ticked = machine.send('TICK');
+    await started;
+    await ticked;
+
+    expect(machine.state).toBe('running');
+    expect(machine.context.count).toBe(1);
+  });
+
+  test('should warn about async guards on eventless transitions and deferred events', () => {
+    const machine = createMachine({
+      id: 'test',
+      initial: 'checking',
+      states: {
+        checking: {
+          always: [{ target: 'allowed', cond: 'isAllowed' }],
+          on: { RETRY: 'checking' }
+        },
+        allowed: {
+          defer: ['SAVE'],
+          on: { SAVE: { target: 'saved', cond: 'isAllowed' } }
+        },
+        saved: { on: { RESET: 'checking' } }
+      }
+    }, {
+      guards: { isAllowed: async () => true }
+    });
+
+    const { warnings } = machine.validate();
+
+    expect(warnings).toContainEqual({ type: 'ASYNC_GUARD', state: 'checking', event: 'always', context: 'always' });
+    expect(warnings).toContainEqual({ type: 'ASYNC_GUARD', state: 'allowed', event: 'SAVE', context: 'defer' });
+  });
+});
@@ -0,0 +1,139 @@
+import { createMachine, assign } from '../src/index.js';
+
+const editorConfig = {
+  id: 'editor',
+  initial: 'editing',
+  context: { text: '', saves: 0 },
+  on: { LOGOUT: '.closed' },
+  states: {
+    editing: {
+      initial: 'idle',
+      on: { SAVE_ALL: { actions: [assign(({ context }) => ({ saves: context.saves + 1 }))] } },
+      states: {
+        idle: {
+          after: { 1000: 'idle' },
+          on: {
+            TYPE: { actions: [assign(({ event }) => ({ text: event.text }))] },
+            SAVE: { target: 'saving', cond: ({ context }) => context.text.length > 0 },
+            PUBLISH: { target: 'publishing', cond: 'isOwner' }
+          }
+        },
+        saving: {
+          invoke: { id: 'save', src: async () => {}, onDone: 'idle' }
+        },
+        publishing: {}
+      }
+    },
+    closed: { type: 'final' }
+  }
+};
+
+const editorOptions = {
+  guards: {
+    isOwner: ({ event }) => event.role === 'owner'
+  }
+};
+
+describe('Event Introspection', () => {
+  describe('can()', () => {
+    test('should evaluate guards against the current context', async () => {
+      const machine = createMachine(editorConfig, editorOptions);
+
+      expect(machine.can('SAVE')).toBe(false);
+
+      await machine.send('TYPE', { text: 'hello' });
+
+      expect(machine.can('SAVE')).toBe(true);
+    });
+
+    test('should pass the payload to guards', () => {
+      const machine = createMachine(editorConfig, editorOptions);
+
+      expect(machine.can('PUBLISH', { role: 'viewer' })).toBe(false);
+      expect(machine.can('PUBLISH', { role: 'owner' })).toBe(true);
+    });
+
+    test('should check ancestors and wildcard transitions', () => {
+      const machine = createMachine(editorConfig, editorOptions);
+      const wildcardMachine = createMachine({
+        id: 'test',
+        initial: 'idle',
+        states: {
+          idle: { on: { 'ui.*': { actions: [] } } }
+        }
+      });
+
+      expect(machine.can('SAVE_ALL')).toBe(true);
+      expect(machine.can('LOGOUT')).toBe(true);
+      expect(machine.can('UNKNOWN')).toBe(false);
+      expect(wildcardMachine.can('ui.click')).toBe(true);
+      expect(wildcardMachine.can('api.done')).toBe(false);
+      expect(wildcardMachine.nextEvents).toEqual(['ui.*']);
+    });
+
+    test('should not execute actions or change the machine', async () => {
+      const entry = jest.fn();
+      const machine = createMachine({
+        id: 'test',
+        initial: 'idle',
+        states: {
+          idle: { on: { GO: { target: 'active', actions: [entry] } } },
+          active: { entry: [entry] }
+        }
+      });
+      await machine.start();
+
+      expect(machine.can('GO')).toBe(true);
+      expect(entry).not.toHaveBeenCalled();
+      expect(machine.state).toBe('idle');
+    });
+
+    test('should return false once the machine is stopped or done', async () => {
+      const machine = createMachine(editorConfig, editorOptions);
+      await machine.send('LOGOUT');
+
+      expect(machine.status).toBe('done');
+      expect(machine.can('TYPE')).toBe(false);
+    });
+
+    test('should refuse to evaluate async guards', () => {
+      const machine = createMachine({
+        id: 'test',
+        initial: 'idle',
+        states: {
+          idle: { on: { GO: { target: 'active', cond: async () => true } } },
+          active: {}
+        }
+      });
+
+      expect(() => machine.can('GO')).toThrow('can() cannot evaluate async guards (event "GO")');
+    });
+  });
+
+  describe('nextEvents', () => {
+    test('should list the events of the active states and their ancestors', () => {
+      const machine = createMachine(editorConfig, editorOptions);
+
+      expect(machine.nextEvents).toEqual(['TYPE', 'SAVE', 'PUBLISH', 'SAVE_ALL', 'LOGOUT']);
+    });
+
+    test('should leave out the events raised by after, invoke and onDone', async () => {
+      const machine = createMachine(editorConfig, editorOptions);
+      await machine.send('TYPE', { text: 'hello' });
+      await machine.send('SAVE');
+
+      expect(machine.state).toBe('editing.saving');
+      expect(machine.nextEvents).toEqual(['SAVE_ALL', 'LOGOUT']);
+      machine.stop();
+    });
+
+    test('should be empty once the machine is stopped', () => {
+      const machine = createMachine(editorConfig, editorOptions);
+      machine.start();
+
+      machine.stop();
+
+      expect(machine.nextEvents).toEqual([]);
+    });
+  });
+});
@@ -381,6 +381,7 @@ describe('Context Management', () => {
           }
         }
       });
+      machine.start();
 
       expect(machine.context.value).toBe('child1');
 
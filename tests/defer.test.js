@@ -0,0 +1,192 @@
+import { createMachine, assign } from '../src/index.js';
+
+describe('Deferred Events', () => {
+  test('should hold deferred events while the state is active', async () => {
+    const machine = createMachine({
+      id: 'upload',
+      initial: 'idle',
+      states: {
+        idle: { on: { START: 'preparing' } },
+        preparing: {
+          defer: ['CANCEL'],
+          on: { READY: 'uploading' }
+        },
+        uploading: { on: { CANCEL: 'cancelled' } },
+        cancelled: {}
+      }
+    });
+    await machine.send('START');
+
+    machine.send('CANCEL');
+
+    expect(machine.state).toBe('preparing');
+    expect(machine.eventQueue).toEqual([{ event: { type: 'CANCEL' }, deferred: true }]);
+  });
+
+  test('should expose a copy of the queue without its promise callbacks', () => {
+    const machine = createMachine({
+      id: 'upload',
+      initial: 'preparing',
+      states: {
+        preparing: { defer: ['CANCEL'] }
+      }
+    });
+    machine.send('CANCEL');
+
+    const [queued] = machine.eventQueue;
+    queued.deferred = false;
+    machine.eventQueue.length = 0;
+
+    expect(Object.keys(queued)).toEqual(['event', 'deferred']);
+    expect(machine.eventQueue).toEqual([{ event: { type: 'CANCEL' }, deferred: true }]);
+  });
+
+  test('should replay deferred events once the state is left', async () => {
+    const machine = createMachine({
+      id: 'upload',
+      initial: 'idle',
+      states: {
+        idle: { on: { START: 'preparing' } },
+        preparing: {
+          defer: ['CANCEL'],
+          on: { READY: 'uploading' }
+        },
+        uploading: { on: { CANCEL: 'cancelled' } },
+        cancelled: {}
+      }
+    });
+    await machine.send('START');
+
+    const cancelled = machine.send('CANCEL');
+    await machine.send('READY');
+    const result = await cancelled;
+
+    expect(result.state).toBe('cancelled');
+    expect(machine.eventQueue).toHaveLength(0);
+  });
+
+  test('should replay deferred events in the order they were sent', async () => {
+    const machine = createMachine({
+      id: 'upload',
+      initial: 'idle',
+      context: { log: [] },
+      states: {
+        idle: { on: { START: 'preparing' } },
+        preparing: {
+          defer: ['PAUSE', 'progress.*'],
+          on: { READY: 'uploading' }
+        },
+        uploading: {
+          on: {
+            PAUSE: { actions: [assign(({ context }) => ({ log: [...context.log, 'PAUSE'] }))] },
+            'progress.update': { actions: [assign(({ context, event }) => ({ log: [...context.log, event.percent] }))] }
+          }
+        }
+      }
+    });
+    await machine.send('START');
+
+    const deferred = [
+      machine.send('progress.update', { percent: 10 }),
+      machine.send('PAUSE'),
+      machine.send('progress.update', { percent: 20 })
+    ];
+    await machine.send('READY');
+    await Promise.all(deferred);
+
+    expect(machine.context.log).toEqual([10, 'PAUSE', 20]);
+    expect(machine.state).toBe('uploading');
+  });
+
+  test('should not defer events the state handles', async () => {
+    const machine = createMachine({
+      id: 'test',
+      initial: 'busy',
+      states: {
+        busy: {
+          defer: ['*'],
+          on: { DONE: 'idle' }
+        },
+        idle: {}
+      }
+    });
+
+    const result = await machine.send('DONE');
+
+    expect(result.state).toBe('idle');
+  });
+
+  test('should defer events listed on an active ancestor', async () => {
+    const machine = createMachine({
+      id: 'test',
+      initial: 'saving',
+      states: {
+        saving: {
+          defer: ['EDIT'],
+          initial: 'writing',
+          states: {
+            writing: { on: { WRITTEN: 'syncing' } },
+            syncing: { on: { SYNCED: '#test.editing' } }
+          }
+        },
+        editing: {
+          on: { EDIT: 'dirty' }
+        },
+        dirty: {}
+      }
+    });
+
+    const edited = machine.send('EDIT');
+    await machine.send('WRITTEN');
+    expect(machine.state).toBe('saving.syncing');
+    expect(machine.eventQueue).toEqual([{ event: { type: 'EDIT' }, deferred: true }]);
+
+    await machine.send('SYNCED');
+    await edited;
+    expect(machine.state).toBe('dirty');
+  });
+
+  test('should keep events deferred while the next state defers them too', async () => {
+    const machine = createMachine({
+      id: 'test',
+      initial: 'a',
+      states: {
+        a: { defer: ['GO'], on: { NEXT: 'b' } },
+        b: { defer: ['GO'], on: { NEXT: 'c' } },
+        c: { on: { GO: 'done' } },
+        done: {}
+      }
+    });
+
+    const go = machine.send('GO');
+    await machine.send('NEXT');
+    expect(machine.state).toBe('b');
+    expect(machine.eventQueue).toEqual([{ event: { type: 'GO' }, deferred: true }]);
+
+    await machine.send('NEXT');
+    await go;
+    expect(machine.state).toBe('done');
+  });
+
+  test('should reject deferred events when the queue is cleared', async () => {
+    const machine = createMachine({
+      id: 'upload',
+      initial: 'idle',
+      states: {
+        idle: { on: { START: 'preparing' } },
+        preparing: {
+          defer: ['CANCEL'],
+          on: { READY: 'uploading' }
+        },
+        uploading: { on: { CANCEL: 'cancelled' } },
+        cancelled: {}
+      }
+    });
+    await machine.send('START');
+
+    const cancelled = machine.send('CANCEL');
+    expect(machine.clearQueue()).toBe(1);
+
+    await expect(cancelled).rejects.toThrow('Event was cancelled due to queue being cleared');
+  });
+});
@@ -0,0 +1,255 @@
+import { createMachine, assign } from '../src/index.js';
+
+describe('Delayed Transitions', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('should transition after a numeric delay', () => {
+    const machine = createMachine({
+      id: 'test',
+      initial: 'loading',
+      states: {
+        loading: {
+          after: { 1000: 'timedOut' }
+        },
+        timedOut: {}
+      }
+    });
+    machine.start();
+
+    jest.advanceTimersByTime(999);
+    expect(machine.state).toBe('loading');
+
+    jest.advanceTimersByTime(1);
+    expect(machine.state).toBe('timedOut');
+  });
+
+  test('should start the timer when the state is entered', async () => {
+    const machine = createMachine({
+      id: 'test',
+      initial: 'idle',
+      states: {
+        idle: {
+          on: { START: 'waiting' }
+        },
+        waiting: {
+          after: { 500: 'idle' }
+        }
+      }
+    });
+
+    jest.advanceTimersByTime(1000);
+    await machine.send('START');
+    expect(machine.state).toBe('waiting');
+
+    jest.advanceTimersByTime(500);
+    expect(machine.state).toBe('idle');
+  });
+
+  test('should cancel the timer when the state is exited', async () => {
+    const machine = createMachine({
+      id: 'test',
+      initial: 'loading',
+      states: {
+        loading: {
+          after: { 1000: 'timedOut' },
+          on: { LOADED: 'done' }
+        },
+        done: {
+          on: { RELOAD: 'loading' }
+        },
+        timedOut: {}
+      }
+    });
+
+    await machine.send('LOADED');
+    jest.advanceTimersByTime(2000);
+
+    expect(machine.state).toBe('done');
+  });
+
+  test('should restart the timer when the state is re-entered', async () => {
+    const machine = createMachine({
+      id: 'test',
+      initial: 'loading',
+      states: {
+        loading: {
+          after: { 1000: 'timedOut' },
+          on: { CANCEL: 'idle' }
+        },
+        idle: {
+          on: { LOAD: 'loading' }
+        },
+        timedOut: {}
+      }
+    });
+
+    jest.advanceTimersByTime(800);
+    await machine.send('CANCEL');
+    await machine.send('LOAD');
+
+    jest.advanceTimersByTime(800);
+    expect(machine.state).toBe('loading');
+
+    jest.advanceTimersByTime(200);
+    expect(machine.state).toBe('timedOut');
+  });
+
+  test('should cancel timers of a parent state when leaving it', async () => {
+    const machine = createMachine({
+      id: 'test',
+      initial: 'session',
+      states: {
+        session: {
+          initial: 'active',
+          after: { 1000: 'expired' },
+          states: {
+            active: {
+              on: { LOGOUT: '#test.loggedOut' }
+            }
+          }
+        },
+        loggedOut: {},
+        expired: {}
+      }
+    });
+
+    await machine.send('LOGOUT');
+    jest.advanceTimersByTime(1000);
+
+    expect(machine.state).toBe('loggedOut');
+  });
+
+  test('should resolve named delays from context', async () => {
+    const machine = createMachine({
+      id: 'test',
+      initial: 'idle',
+      context: { attempts: 2 },
+      states: {
+        idle: {
+          on: { FAIL: 'waiting' }
+        },
+        waiting: {
+          after: { RETRY_DELAY: 'retrying' }
+        },
+        retrying: {}
+      }
+    }, {
+      delays: {
+        RETRY_DELAY: ({ context }) => 100 * 2 ** context.attempts
+      }
+    });
+
+    await machine.send('FAIL');
+
+    jest.advanceTimersByTime(399);
+    expect(machine.state).toBe('waiting');
+
+    jest.advanceTimersByTime(1);
+    expect(machine.state).toBe('retrying');
+  });
+
+  test('should pass the entering event to named delays', async () => {
+    const machine = createMachine({
+      id: 'test',
+      initial: 'idle',
+      states: {
+        idle: {
+          on: { SNOOZE: 'snoozed' }
+        },
+        snoozed: {
+          after: { SNOOZE_TIME: 'idle' }
+        }
+      }
+    }, {
+      delays: {
+        SNOOZE_TIME: ({ event }) => event.minutes * 60000
+      }
+    });
+
+    await machine.send('SNOOZE', { minutes: 5 });
+
+    jest.advanceTimersByTime(299999);
+    expect(machine.state).toBe('snoozed');
+
+    jest.advanceTimersByTime(1);
+    expect(machine.state).toBe('idle');
+  });
+
+  test('should support guarded delayed transitions with actions', () => {
+    const machine = createMachine({
+      id: 'test',
+      initial: 'polling',
+      context: { polls: 0, enabled: true },
+      states: {
+        polling: {
+          after: {
+            100: [
+              {
+                target: 'polling',
+                cond: ({ context }) => context.polls < 2,
+                actions: [assign(({ context }) => ({ polls: context.polls + 1 }))]
+              },
+              { target: 'stopped' }
+            ]
+          }
+        },
+        stopped: {}
+      }
+    });
+    machine.start();
+
+    jest.advanceTimersByTime(100);
+    expect(machine.context.polls).toBe(1);
+    expect(machine.state).toBe('polling');
+  });
+
+  test('should report missing named delays in validate()', () => {
+    const machine = createMachine({
+      id: 'test',
+      initial: 'waiting',
+      states: {
+        waiting: {
+          after: { UNKNOWN_DELAY: 'done', 250: 'done' }
+        },
+        done: {}
+      }
+    });
+
+    const result = machine.validate();
+
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual([
+      { type: 'MISSING_DELAY', delay: 'UNKNOWN_DELAY', state: 'waiting' }
+    ]);
+  });
+
+  test('should label delayed transitions in diagrams', () => {
+    const machine = createMachine({
+      id: 'test',
+      initial: 'waiting',
+      states: {
+        waiting: {
+          after: { 5000: 'idle', RETRY_DELAY: 'retrying' }
+        },
+        idle: {},
+        retrying: {}
+      }
+    }, {
+      delays: { RETRY_DELAY: 100 }
+    });
+
+    const mermaid = machine.visualize();
+    expect(mermaid).toContain('waiting --> idle : after 5000ms');
+    expect(mermaid).toContain('waiting --> retrying : after RETRY_DELAY');
+
+    const plantuml = machine.visualize({ type: 'plantuml' });
+    expect(plantuml).toContain('waiting --> idle : after 5000ms');
+    expect(plantuml).toContain('waiting --> retrying : after RETRY_DELAY');
+  });
+});
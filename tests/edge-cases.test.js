@@ -547,7 +547,7 @@ describe('Edge Cases', () => {
   });
 
   describe('Error boundary cases', () => {
-    test('should handle errors in guards without breaking machine', () => {
+    test('should handle errors in guards without breaking machine', async () => {
       const errorGuard = () => {
         throw new Error('Guard error');
       };
@@ -570,8 +570,7 @@ describe('Edge Cases', () => {
         }
       });
 
-
-      expect(() => machine.send('ERROR_GUARD')).not.toThrow();
+      await expect(machine.send('ERROR_GUARD')).rejects.toThrow('Guard error');
       expect(machine.state).toBe('idle'); // Should stay in idle due to failed guard
 
       machine.send('NORMAL');
@@ -0,0 +1,241 @@
+import { createMachine, assign, raise } from '../src/index.js';
+
+const fail = (message) => () => {
+  throw new Error(message);
+};
+
+describe('Error Events', () => {
+  test('should raise error.execution for a throwing transition action', async () => {
+    const machine = createMachine({
+      id: 'editor',
+      initial: 'editing',
+      context: { saves: 0, lastError: null },
+      states: {
+        editing: {
+          initial: 'idle',
+          onError: {
+            target: 'failed',
+            actions: [assign(({ event }) => ({ lastError: `${event.state}: ${event.error.message}` }))]
+          },
+          states: {
+            idle: {
+              on: { SAVE: { target: 'saving', actions: [assign(({ context }) => ({ saves: context.saves + 1 })), fail('Network down')] } }
+            },
+            saving: {}
+          }
+        },
+        failed: {}
+      }
+    });
+
+    const result = await machine.send('SAVE');
+
+    expect(result.state).toBe('failed');
+    expect(machine.context.lastError).toBe('editing.idle: Network down');
+  });
+
+  test('should abandon the failed transition, including its context updates', async () => {
+    const machine = createMachine({
+      id: 'editor',
+      initial: 'editing',
+      context: { saves: 0, lastError: null },
+      states: {
+        editing: {
+          initial: 'idle',
+          onError: {
+            target: 'failed',
+            actions: [assign(({ event }) => ({ lastError: `${event.state}: ${event.error.message}` }))]
+          },
+          states: {
+            idle: {
+              on: { SAVE: { target: 'saving', actions: [assign(({ context }) => ({ saves: context.saves + 1 })), fail('Network down')] } }
+            },
+            saving: {}
+          }
+        },
+        failed: {}
+      }
+    });
+
+    await machine.send('SAVE');
+
+    expect(machine.context.saves).toBe(0);
+  });
+
+  test('should catch errors from entry actions and rejected async actions', async () => {
+    const machine = createMachine({
+      id: 'editor',
+      initial: 'editing',
+      context: { lastError: null },
+      states: {
+        editing: {
+          initial: 'idle',
+          onError: {
+            target: 'failed',
+            actions: [assign(({ event }) => ({ lastError: `${event.state}: ${event.error.message}` }))]
+          },
+          states: {
+            idle: { on: { PUBLISH: 'publishing' } },
+            publishing: { entry: ['publish'] }
+          }
+        },
+        failed: {}
+      }
+    }, {
+      actions: {
+        publish: async () => {
+          throw new Error('Publish rejected');
+        }
+      }
+    });
+
+    const result = await machine.send('PUBLISH');
+
+    expect(result.state).toBe('failed');
+    expect(machine.context.lastError).toBe('editing.publishing: Publish rejected');
+  });
+
+  test('should let the nearest ancestor handle the error', async () => {
+    const machine = createMachine({
+      id: 'test',
+      initial: 'outer',
+      onError: 'crashed',
+      states: {
+        outer: {
+          initial: 'inner',
+          onError: 'outer.recovering',
+          states: {
+            inner: {
+              on: {
+                FAIL: { actions: [fail('Inner failure')] }
+              }
+            },
+            recovering: {}
+          }
+        },
+        crashed: {}
+      }
+    });
+
+    await machine.send('FAIL');
+
+    expect(machine.state).toBe('outer.recovering');
+  });
+
+  test('should pass guarded onError transitions to the next ancestor', async () => {
+    const machine = createMachine({
+      id: 'test',
+      initial: 'active',
+      onError: 'crashed',
+      states: {
+        active: {
+          onError: { target: 'retrying', cond: ({ event }) => event.error.retryable },
+          on: { RUN: { actions: [fail('Fatal')] } }
+        },
+        retrying: {},
+        crashed: {}
+      }
+    });
+
+    await machine.send('RUN');
+
+    expect(machine.state).toBe('crashed');
+  });
+
+  test('should reject send() when no state handles the error', async () => {
+    const machine = createMachine({
+      id: 'test',
+      initial: 'idle',
+      states: {
+        idle: {
+          on: { RUN: { target: 'running', actions: [fail('Unhandled')] } }
+        },
+        running: {}
+      }
+    });
+
+    await expect(machine.send('RUN')).rejects.toThrow('Unhandled');
+    expect(machine.state).toBe('idle');
+  });
+
+  test('should leave the state from before the event when a later microstep fails', async () => {
+    const machine = createMachine({
+      id: 'test',
+      initial: 'idle',
+      context: { n: 0 },
+      states: {
+        idle: { on: { GO: 'step1' } },
+        step1: {
+          entry: [assign({ n: 1 }), raise('NEXT')],
+          on: { NEXT: { target: 'step2', actions: [fail('Unhandled')] } }
+        },
+        step2: {}
+      }
+    });
+    await machine.start();
+
+    await expect(machine.send('GO')).rejects.toThrow('Unhandled');
+    expect(machine.state).toBe('idle');
+    expect(machine.context.n).toBe(0);
+    expect(machine.snapshot.state).toBe('idle');
+  });
+
+  test('should catch errors from initial entry actions with onError', async () => {
+    const machine = createMachine({
+      id: 'test',
+      initial: 'booting',
+      context: { booted: false, lastError: null },
+      onError: {
+        target: '.failed',
+        actions: [assign(({ event }) => ({ lastError: `${event.state}: ${event.error.message}` }))]
+      },
+      states: {
+        booting: { entry: [assign({ booted: true }), fail('No config')] },
+        failed: {}
+      }
+    });
+
+    const snapshot = await machine.start();
+
+    expect(snapshot.state).toBe('failed');
+    expect(machine.context).toEqual({ booted: false, lastError: 'booting: No config' });
+  });
+
+  test('should not catch errors thrown while handling an error', async () => {
+    const machine = createMachine({
+      id: 'test',
+      initial: 'idle',
+      states: {
+        idle: {
+          onError: { target: 'failed', actions: [fail('Recovery failed')] },
+          on: { RUN: { actions: [fail('Original')] } }
+        },
+        failed: {}
+      }
+    });
+
+    await expect(machine.send('RUN')).rejects.toThrow('Recovery failed');
+  });
+
+  test('should validate and draw onError transitions', () => {
+    const machine = createMachine({
+      id: 'test',
+      initial: 'idle',
+      states: {
+        idle: { onError: 'missing', on: { GO: 'failed' } },
+        failed: {}
+      }
+    });
+    const recovering = createMachine({
+      id: 'editor',
+      initial: 'editing',
+      states: {
+        editing: { onError: { target: 'failed', actions: [assign({ recovered: true })] } },
+        failed: {}
+      }
+    });
+
+    expect(machine.validate().errors).toContainEqual({ type: 'INVALID_TARGET', state: 'idle', event: 'onError', target: 'missing' });
+    expect(recovering.visualize()).toContain('editing --> failed : onError / assign');
+  });
+});
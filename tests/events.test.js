@@ -192,6 +192,7 @@ describe('Events', () => {
           }
         }
       });
+      machine.start();
 
       expect(entryAction).toHaveBeenCalledTimes(1);
 
@@ -228,6 +229,7 @@ describe('Events', () => {
           }
         }
       });
+      machine.start();
 
       expect(entryAction).toHaveBeenCalledTimes(1);
 
@@ -268,6 +270,7 @@ describe('Events', () => {
           }
         }
       });
+      machine.start();
 
       expect(entryIdle).toHaveBeenCalledTimes(1);
 
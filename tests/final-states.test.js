@@ -0,0 +1,285 @@
+import { createMachine, assign } from '../src/index.js';
+
+const checkoutConfig = {
+  id: 'checkout',
+  initial: 'payment',
+  context: { receipt: null },
+  states: {
+    payment: {
+      initial: 'card',
+      states: {
+        card: {
+          on: { PAID: 'authorized' }
+        },
+        authorized: {
+          type: 'final',
+          output: ({ event }) => ({ amount: event.amount })
+        }
+      },
+      onDone: {
+        target: 'complete',
+        actions: [assign(({ event }) => ({ receipt: event.output }))]
+      }
+    },
+    complete: {
+      type: 'final',
+      output: ({ context }) => context.receipt
+    }
+  }
+};
+
+describe('Final States', () => {
+  describe('onDone transitions', () => {
+    test('should take the parent onDone transition when a final child is reached', async () => {
+      const machine = createMachine(checkoutConfig);
+
+      const result = await machine.send('PAID', { amount: 42 });
+
+      expect(result.state).toBe('complete');
+      expect(machine.context.receipt).toEqual({ amount: 42 });
+    });
+
+    test('should settle the done transition before notifying subscribers', async () => {
+      const machine = createMachine(checkoutConfig);
+      const states = [];
+      machine.subscribe(({ nextState }) => states.push(nextState.state));
+
+      await machine.send('PAID', { amount: 1 });
+
+      expect(states).toEqual(['complete']);
+    });
+
+    test('should stay in the final child when the parent has no onDone', async () => {
+      const machine = createMachine({
+        id: 'test',
+        initial: 'task',
+        states: {
+          task: {
+            initial: 'working',
+            states: {
+              working: { on: { FINISH: 'finished' } },
+              finished: { type: 'final' }
+            }
+          }
+        }
+      });
+
+      await machine.send('FINISH');
+
+      expect(machine.state).toBe('task.finished');
+      expect(machine.status).toBe('active');
+    });
+
+    test('should raise done for a parallel state once every region is final', async () => {
+      const machine = createMachine({
+        id: 'test',
+        initial: 'upload',
+        states: {
+          upload: {
+            type: 'parallel',
+            states: {
+              file: {
+                initial: 'sending',
+                states: {
+                  sending: { on: { FILE_SENT: 'sent' } },
+                  sent: { type: 'final' }
+                }
+              },
+              thumbnail: {
+                initial: 'rendering',
+                states: {
+                  rendering: { on: { THUMB_READY: 'ready' } },
+                  ready: { type: 'final' }
+                }
+              }
+            },
+            onDone: 'published'
+          },
+          published: {}
+        }
+      });
+
+      await machine.send('FILE_SENT');
+      expect(machine.matches('upload')).toBe(true);
+
+      await machine.send('THUMB_READY');
+      expect(machine.state).toBe('published');
+    });
+
+    test('should process done events raised by async actions', async () => {
+      const machine = createMachine({
+        id: 'test',
+        initial: 'job',
+        states: {
+          job: {
+            initial: 'running',
+            states: {
+              running: {
+                on: {
+                  COMPLETE: {
+                    target: 'finished',
+                    actions: [async () => {
+                      await new Promise(resolve => setTimeout(resolve, 5));
+                    }]
+                  }
+                }
+              },
+              finished: { type: 'final', output: 'ok' }
+            },
+            onDone: {
+              target: 'report',
+              actions: [assign(({ event }) => ({ result: event.output }))]
+            }
+          },
+          report: {}
+        }
+      });
+
+      const result = await machine.send('COMPLETE');
+
+      expect(result.state).toBe('report');
+      expect(result.context.result).toBe('ok');
+    });
+  });
+
+  describe('Machine completion', () => {
+    test('should mark the machine done and resolve the completion promise', async () => {
+      const machine = createMachine(checkoutConfig);
+      machine.start();
+
+      expect(machine.status).toBe('active');
+
+      await machine.send('PAID', { amount: 7 });
+
+      expect(machine.status).toBe('done');
+      expect(machine.output).toEqual({ amount: 7 });
+      await expect(machine.completion).resolves.toEqual({ amount: 7 });
+    });
+
+    test('should reject events sent after completion', async () => {
+      const machine = createMachine(checkoutConfig);
+      await machine.send('PAID', { amount: 7 });
+
+      await expect(machine.send('PAID')).rejects.toThrow('Machine "checkout" is done and cannot accept event "PAID"');
+      expect(machine.state).toBe('complete');
+    });
+
+    test('should reject queued events once the machine completes', async () => {
+      const machine = createMachine({
+        id: 'test',
+        initial: 'running',
+        states: {
+          running: {
+            on: {
+              STOP: {
+                target: 'stopped',
+                actions: [async () => {
+                  await new Promise(resolve => setTimeout(resolve, 5));
+                }]
+              }
+            }
+          },
+          stopped: { type: 'final' }
+        }
+      });
+
+      const stopPromise = machine.send('STOP');
+      const queuedPromise = machine.send('STOP');
+
+      await stopPromise;
+      await expect(queuedPromise).rejects.toThrow('is done');
+    });
+
+    test('should be done immediately when the initial state is final', async () => {
+      const machine = createMachine({
+        id: 'test',
+        initial: 'end',
+        states: {
+          end: { type: 'final', output: 'nothing to do' }
+        }
+      });
+      machine.start();
+
+      expect(machine.status).toBe('done');
+      await expect(machine.completion).resolves.toBe('nothing to do');
+    });
+
+    test('should become active again when restored to a non-final state', async () => {
+      const machine = createMachine(checkoutConfig);
+      const initialSnapshot = machine.snapshot;
+      await machine.send('PAID', { amount: 1 });
+
+      await machine.restore(initialSnapshot);
+
+      expect(machine.status).toBe('active');
+      await machine.send('PAID', { amount: 2 });
+      expect(machine.output).toEqual({ amount: 2 });
+    });
+  });
+
+  describe('Validation and visualization', () => {
+    test('should warn about final states with outgoing transitions', () => {
+      const machine = createMachine({
+        id: 'test',
+        initial: 'idle',
+        states: {
+          idle: { on: { END: 'end' } },
+          end: {
+            type: 'final',
+            on: { RESTART: 'idle' }
+          }
+        }
+      });
+
+      const result = machine.validate();
+
+      expect(result.warnings).toContainEqual({
+        type: 'FINAL_STATE_TRANSITIONS',
+        state: 'end',
+        events: ['RESTART']
+      });
+    });
+
+    test('should only report the event transitions written on final states', () => {
+      const machine = createMachine({
+        id: 'test',
+        initial: 'idle',
+        states: {
+          idle: { on: { END: 'end' } },
+          end: {
+            type: 'final',
+            after: { 1000: { actions: ['notify'] } },
+            invoke: { id: 'audit', src: 'audit', onDone: { actions: ['notify'] } },
+            on: { RESTART: 'idle' }
+          }
+        }
+      }, {
+        actions: { notify: () => {} },
+        services: { audit: async () => {} }
+      });
+
+      const warnings = machine.validate().warnings.filter(warning => warning.type === 'FINAL_STATE_TRANSITIONS');
+
+      expect(warnings).toEqual([{ type: 'FINAL_STATE_TRANSITIONS', state: 'end', events: ['RESTART'] }]);
+    });
+
+    test('should not report final states as empty', () => {
+      const result = createMachine(checkoutConfig).validate();
+
+      expect(result.warnings.filter(warning => warning.type === 'EMPTY_STATE')).toEqual([]);
+    });
+
+    test('should draw final states and onDone transitions', () => {
+      const machine = createMachine(checkoutConfig);
+
+      const mermaid = machine.visualize();
+      expect(mermaid).toContain('complete --> [*]');
+      expect(mermaid).toContain('authorized --> [*]');
+      expect(mermaid).toContain('payment --> complete : onDone');
+
+      const plantuml = machine.visualize({ type: 'plantuml' });
+      expect(plantuml).toContain('complete --> [*]');
+      expect(plantuml).toContain('payment --> complete : onDone');
+    });
+  });
+});
@@ -0,0 +1,167 @@
+import { createMachine, and, or, not, stateIn } from '../src/index.js';
+
+const doorOptions = {
+  guards: {
+    isAdmin: ({ context }) => context.isAdmin,
+    isLocked: ({ context }) => context.isLocked,
+    hasKey: ({ context }) => context.hasKey
+  }
+};
+
+describe('Guard Combinators', () => {
+  test('should build combined guard objects', () => {
+    expect(and(['a', 'b'])).toEqual({ type: 'and', guards: ['a', 'b'] });
+    expect(or(['a', 'b'])).toEqual({ type: 'or', guards: ['a', 'b'] });
+    expect(not('a')).toEqual({ type: 'not', guard: 'a' });
+    expect(stateIn('payment.authorized')).toEqual({ type: 'stateIn', state: 'payment.authorized' });
+  });
+
+  test('should pass and() only when every guard passes', async () => {
+    const passing = createMachine({
+      id: 'door',
+      initial: 'closed',
+      context: { isAdmin: true, isLocked: false, hasKey: false },
+      states: {
+        closed: {
+          on: { OPEN: { target: 'open', cond: and(['isAdmin', not('isLocked')]) } }
+        },
+        open: {}
+      }
+    }, doorOptions);
+    const failing = createMachine({
+      id: 'door',
+      initial: 'closed',
+      context: { isAdmin: true, isLocked: false, hasKey: false },
+      states: {
+        closed: {
+          on: { OPEN: { target: 'open', cond: and(['isAdmin', 'hasKey']) } }
+        },
+        open: {}
+      }
+    }, doorOptions);
+
+    expect((await passing.send('OPEN')).state).toBe('open');
+    expect((await failing.send('OPEN')).state).toBe('closed');
+  });
+
+  test('should pass or() when any guard passes', async () => {
+    const passing = createMachine({
+      id: 'door',
+      initial: 'closed',
+      context: { isAdmin: true, isLocked: false, hasKey: false },
+      states: {
+        closed: {
+          on: { OPEN: { target: 'open', cond: or(['hasKey', 'isAdmin']) } }
+        },
+        open: {}
+      }
+    }, doorOptions);
+    const failing = createMachine({
+      id: 'door',
+      initial: 'closed',
+      context: { isAdmin: true, isLocked: false, hasKey: false },
+      states: {
+        closed: {
+          on: { OPEN: { target: 'open', cond: or(['hasKey', 'isLocked']) } }
+        },
+        open: {}
+      }
+    }, doorOptions);
+
+    expect((await passing.send('OPEN')).state).toBe('open');
+    expect((await failing.send('OPEN')).state).toBe('closed');
+  });
+
+  test('should nest combinators with inline guards', async () => {
+    const machine = createMachine({
+      id: 'door',
+      initial: 'closed',
+      context: { isAdmin: true, isLocked: false, hasKey: false },
+      states: {
+        closed: {
+          on: { OPEN: { target: 'open', cond: or([and(['hasKey', not('isLocked')]), ({ context }) => context.isAdmin]) } }
+        },
+        open: {}
+      }
+    }, doorOptions);
+
+    expect((await machine.send('OPEN')).state).toBe('open');
+  });
+
+  test('should check the current configuration with stateIn()', async () => {
+    const machine = createMachine({
+      id: 'checkout',
+      initial: 'active',
+      states: {
+        active: {
+          type: 'parallel',
+          states: {
+            payment: {
+              initial: 'pending',
+              states: {
+                pending: { on: { AUTHORIZE: 'authorized' } },
+                authorized: {}
+              }
+            },
+            shipping: {
+              initial: 'waiting',
+              states: {
+                waiting: {
+                  on: {
+                    SHIP: { target: 'shipped', cond: stateIn('active.payment.authorized') },
+                    SHIP_EXPRESS: { target: 'shipped', cond: stateIn({ active: { payment: 'authorized' } }) }
+                  }
+                },
+                shipped: {}
+              }
+            }
+          }
+        }
+      }
+    });
+
+    await machine.send('SHIP');
+    expect(machine.matches('active.shipping.waiting')).toBe(true);
+
+    await machine.send('AUTHORIZE');
+    await machine.send('SHIP_EXPRESS');
+    expect(machine.matches('active.shipping.shipped')).toBe(true);
+  });
+
+  test('should report missing guards inside combinators in validate()', () => {
+    const machine = createMachine({
+      id: 'door',
+      initial: 'closed',
+      context: { isAdmin: true, isLocked: false, hasKey: false },
+      states: {
+        closed: {
+          on: { OPEN: { target: 'open', cond: and(['isAdmin', not('isBanned')]) } }
+        },
+        open: {}
+      }
+    }, doorOptions);
+
+    const result = machine.validate();
+
+    expect(result.errors).toEqual([
+      { type: 'MISSING_GUARD', guard: 'isBanned', state: 'closed', event: 'OPEN' }
+    ]);
+  });
+
+  test('should render combined guards as expressions in diagrams', () => {
+    const machine = createMachine({
+      id: 'door',
+      initial: 'closed',
+      context: { isAdmin: true, isLocked: false, hasKey: false },
+      states: {
+        closed: {
+          on: { OPEN: { target: 'open', cond: or([and(['isAdmin', not('isLocked')]), stateIn('closed')]) } }
+        },
+        open: {}
+      }
+    }, doorOptions);
+
+    expect(machine.visualize()).toContain('closed --> open : OPEN [(isAdmin && !isLocked) || stateIn(closed)]');
+    expect(machine.visualize({ type: 'plantuml' })).toContain('OPEN [(isAdmin && !isLocked) || stateIn(closed)]');
+  });
+});
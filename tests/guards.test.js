@@ -152,7 +152,7 @@ describe('Guards', () => {
   });
 
   describe('Guard error handling', () => {
-    test('should handle guard function errors gracefully', () => {
+    test('should reject the event when a guard throws', async () => {
       const errorGuard = () => {
         throw new Error('Guard error');
       };
@@ -173,13 +173,11 @@ describe('Guards', () => {
         }
       });
 
-
-      // Should not throw and should stay in current state
-      expect(() => machine.send('ERROR')).not.toThrow();
+      await expect(machine.send('ERROR')).rejects.toThrow('Guard error');
       expect(machine.state).toBe('idle');
     });
 
-    test('should continue with next guard if previous guard throws', () => {
+    test('should raise error.execution instead of trying the next guard when a guard throws', () => {
       const errorGuard = () => {
         throw new Error('Guard error');
       };
@@ -195,17 +193,23 @@ describe('Guards', () => {
                 { target: 'error', cond: errorGuard },
                 { target: 'success', cond: validGuard }
               ]
+            },
+            onError: {
+              target: 'failed',
+              actions: assign(({ event }) => ({ message: event.error.message }))
             }
           },
           error: {},
-          success: {}
+          success: {},
+          failed: {}
         }
       });
 
       machine.send('EVENT');
 
-      expect(validGuard).toHaveBeenCalled();
-      expect(machine.state).toBe('success');
+      expect(validGuard).not.toHaveBeenCalled();
+      expect(machine.state).toBe('failed');
+      expect(machine.context.message).toBe('Guard error');
     });
   });
 
@@ -0,0 +1,249 @@
+import { createMachine } from '../src/index.js';
+
+const wizardConfig = {
+  id: 'wizard',
+  initial: 'settings',
+  states: {
+    settings: {
+      initial: 'general',
+      states: {
+        general: {
+          on: { NEXT: 'privacy' }
+        },
+        privacy: {
+          initial: 'basic',
+          states: {
+            basic: { on: { ADVANCED: 'advanced' } },
+            advanced: {}
+          },
+          on: { NEXT: 'account' }
+        },
+        account: {},
+        last: { type: 'history' },
+        lastDeep: { type: 'history', history: 'deep' }
+      },
+      on: { CLOSE: 'closed' }
+    },
+    closed: {
+      on: {
+        OPEN: 'settings',
+        RESUME: 'settings.last',
+        RESUME_DEEP: 'settings.lastDeep'
+      }
+    }
+  }
+};
+
+describe('History States', () => {
+  describe('Shallow history', () => {
+    test('should enter the initial state when nothing was recorded', async () => {
+      const machine = createMachine({
+        id: 'test',
+        initial: 'off',
+        states: {
+          off: { on: { ON: 'on.hist' } },
+          on: {
+            initial: 'first',
+            states: {
+              first: {},
+              second: {},
+              hist: { type: 'history' }
+            }
+          }
+        }
+      });
+
+      await machine.send('ON');
+      expect(machine.state).toBe('on.first');
+    });
+
+    test('should resume the last active child', async () => {
+      const machine = createMachine(wizardConfig);
+
+      await machine.send('NEXT');
+      expect(machine.state).toBe('settings.privacy.basic');
+
+      await machine.send('CLOSE');
+      await machine.send('RESUME');
+
+      expect(machine.state).toBe('settings.privacy.basic');
+    });
+
+    test('should enter the restored child by default', async () => {
+      const machine = createMachine(wizardConfig);
+
+      await machine.send('NEXT');
+      await machine.send('ADVANCED');
+      await machine.send('CLOSE');
+      await machine.send('RESUME');
+
+      expect(machine.state).toBe('settings.privacy.basic');
+    });
+
+    test('should not affect transitions targeting the parent directly', async () => {
+      const machine = createMachine(wizardConfig);
+
+      await machine.send('NEXT');
+      await machine.send('CLOSE');
+      await machine.send('OPEN');
+
+      expect(machine.state).toBe('settings.general');
+    });
+
+    test('should use the default target when nothing was recorded', async () => {
+      const machine = createMachine({
+        id: 'test',
+        initial: 'off',
+        states: {
+          off: { on: { ON: 'on.hist' } },
+          on: {
+            initial: 'first',
+            states: {
+              first: {},
+              second: {},
+              hist: { type: 'history', target: 'second' }
+            }
+          }
+        }
+      });
+
+      await machine.send('ON');
+      expect(machine.state).toBe('on.second');
+    });
+
+    test('should run entry actions of the parent and restored child', async () => {
+      const entered = [];
+      const machine = createMachine({
+        id: 'test',
+        initial: 'panel',
+        states: {
+          panel: {
+            initial: 'a',
+            entry: [() => entered.push('panel')],
+            states: {
+              a: { on: { NEXT: 'b' } },
+              b: { entry: [() => entered.push('b')] },
+              hist: { type: 'history' }
+            },
+            on: { HIDE: 'hidden' }
+          },
+          hidden: {
+            on: { SHOW: 'panel.hist' }
+          }
+        }
+      });
+
+      await machine.send('NEXT');
+      await machine.send('HIDE');
+      entered.length = 0;
+
+      await machine.send('SHOW');
+
+      expect(machine.state).toBe('panel.b');
+      expect(entered).toEqual(['panel', 'b']);
+    });
+  });
+
+  describe('Deep history', () => {
+    test('should resume the full descendant configuration', async () => {
+      const machine = createMachine(wizardConfig);
+
+      await machine.send('NEXT');
+      await machine.send('ADVANCED');
+      await machine.send('CLOSE');
+      await machine.send('RESUME_DEEP');
+
+      expect(machine.state).toBe('settings.privacy.advanced');
+    });
+
+    test('should resume every region of a parallel descendant', async () => {
+      const machine = createMachine({
+        id: 'test',
+        initial: 'editor',
+        states: {
+          editor: {
+            initial: 'panes',
+            states: {
+              panes: {
+                type: 'parallel',
+                states: {
+                  left: {
+                    initial: 'files',
+                    states: { files: { on: { SEARCH: 'search' } }, search: {} }
+                  },
+                  right: {
+                    initial: 'code',
+                    states: { code: { on: { PREVIEW: 'preview' } }, preview: {} }
+                  }
+                }
+              },
+              hist: { type: 'history', history: 'deep' }
+            },
+            on: { MINIMIZE: 'minimized' }
+          },
+          minimized: {
+            on: { RESTORE: 'editor.hist' }
+          }
+        }
+      });
+
+      await machine.send('SEARCH');
+      await machine.send('PREVIEW');
+      await machine.send('MINIMIZE');
+      await machine.send('RESTORE');
+
+      expect(machine.value).toEqual({
+        editor: { panes: { left: 'search', right: 'preview' } }
+      });
+    });
+  });
+
+  describe('Validation', () => {
+    test('should not report history states as unreachable or empty', () => {
+      const result = createMachine(wizardConfig).validate();
+
+      const historyWarnings = result.warnings.filter(warning =>
+        warning.state === 'settings.last' || warning.state === 'settings.lastDeep'
+      );
+      expect(historyWarnings).toEqual([]);
+    });
+
+    test('should report invalid history configuration', () => {
+      const machine = createMachine({
+        id: 'test',
+        initial: 'a',
+        states: {
+          a: {
+            initial: 'x',
+            states: {
+              x: {},
+              badDepth: { type: 'history', history: 'deeper' },
+              badTarget: { type: 'history', target: 'missing' }
+            }
+          }
+        }
+      });
+
+      const result = machine.validate();
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toContainEqual({
+        type: 'INVALID_HISTORY',
+        state: 'a.badDepth',
+        history: 'deeper'
+      });
+      expect(result.errors).toContainEqual({
+        type: 'INVALID_HISTORY_TARGET',
+        state: 'a.badTarget',
+        target: 'missing'
+      });
+    });
+  });
+
+  test('should reject restoring into a history state', async () => {
+    const machine = createMachine(wizardConfig);
+
+    await expect(machine.restore({ state: 'settings.last', context: {} }))
+      .rejects.toThrow('Invalid state in snapshot');
+  });
+});
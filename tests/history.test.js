@@ -10,6 +10,7 @@ describe('History and Rollback', () => {
           idle: {}
         }
       });
+      machine.start();
 
       expect(machine.historySize).toBe(1);
     });
@@ -27,6 +28,7 @@ describe('History and Rollback', () => {
           }
         }
       });
+      machine.start();
 
       expect(machine.historySize).toBe(1);
 
@@ -52,6 +54,7 @@ describe('History and Rollback', () => {
           }
         }
       });
+      machine.start();
 
       expect(machine.historySize).toBe(1);
       expect(machine.context.count).toBe(0);
@@ -78,6 +81,7 @@ describe('History and Rollback', () => {
           }
         }
       }, { historySize: 3 });
+      machine.start();
 
       // Initial state
       expect(machine.historySize).toBe(1);
@@ -113,18 +117,19 @@ describe('History and Rollback', () => {
           done: {}
         }
       });
+      machine.start();
 
       // Initial state should be in history
       expect(machine.history).toHaveLength(1);
-      expect(machine.history[0]).toEqual({ state: 'idle', context: { count: 0 } });
+      expect(machine.history[0]).toEqual({ state: 'idle', context: { count: 0 }, tags: [], meta: {} });
 
       await machine.send('START');
       expect(machine.history).toHaveLength(2);
-      expect(machine.history[1]).toEqual({ state: 'active', context: { count: 1 } });
+      expect(machine.history[1]).toEqual({ state: 'active', context: { count: 1 }, tags: [], meta: {} });
 
       await machine.send('FINISH');
       expect(machine.history).toHaveLength(3);
-      expect(machine.history[2]).toEqual({ state: 'done', context: { count: 1 } });
+      expect(machine.history[2]).toEqual({ state: 'done', context: { count: 1 }, tags: [], meta: {} });
     });
 
     test('machine.snapshot returns current state/context', async () => {
@@ -143,10 +148,10 @@ describe('History and Rollback', () => {
         }
       });
 
-      expect(machine.snapshot).toEqual({ state: 'idle', context: { value: 'test' } });
+      expect(machine.snapshot).toEqual({ state: 'idle', context: { value: 'test' }, tags: [], meta: {} });
 
       await machine.send('UPDATE');
-      expect(machine.snapshot).toEqual({ state: 'idle', context: { value: 'updated' } });
+      expect(machine.snapshot).toEqual({ state: 'idle', context: { value: 'updated' }, tags: [], meta: {} });
     });
 
     test('restore() with valid snapshot works', async () => {
@@ -241,11 +246,15 @@ describe('History and Rollback', () => {
       const machine = createMachine({
         id: 'test',
         initial: 'idle',
+        context: { v: 'initial' },
         states: {
           idle: {
-            entry: [async () => {
-              await new Promise(resolve => setTimeout(resolve, 50));
-            }],
+            entry: [
+              async () => {
+                await new Promise(resolve => setTimeout(resolve, 50));
+              },
+              assign({ v: 'entered' })
+            ],
             on: { START: 'active' }
           },
           active: {
@@ -254,20 +263,42 @@ describe('History and Rollback', () => {
         }
       });
 
-      // Send async transition
-      machine.send('START');
+      // Send an event while the async initial entry action is pending
+      const start = machine.send('START');
 
       // Queue another event while transitioning
-      machine.send('STOP');
+      const stop = machine.send('STOP');
 
       // Restore should clear the queue
-      const snapshot = { state: 'idle', context: {} };
+      const snapshot = { state: 'idle', context: { v: 'restored' } };
       await machine.restore(snapshot);
+      await expect(start).rejects.toThrow('Event was cancelled due to queue being cleared');
+      await expect(stop).rejects.toThrow('Event was cancelled due to queue being cleared');
 
       // Wait a bit to ensure no queued events execute
       await new Promise(resolve => setTimeout(resolve, 100));
 
-      // Should still be in idle state
+      // Should still be in the restored state, without the initial entry applied
+      expect(machine.state).toBe('idle');
+      expect(machine.context).toEqual({ v: 'restored' });
+      expect(machine.status).toBe('active');
+    });
+
+    test('restore() rejects once the machine is stopped', async () => {
+      const machine = createMachine({
+        id: 'test',
+        initial: 'idle',
+        states: {
+          idle: { on: { START: 'active' } },
+          active: {}
+        }
+      });
+      await machine.start();
+      machine.stop();
+
+      await expect(machine.restore({ state: 'active', context: {} }))
+        .rejects.toThrow('Machine "test" is stopped and cannot be restored');
+      expect(machine.status).toBe('stopped');
       expect(machine.state).toBe('idle');
     });
 
@@ -361,6 +392,7 @@ describe('History and Rollback', () => {
           loading: {}
         }
       });
+      machine.start();
 
       expect(machine.historySize).toBe(1);
 
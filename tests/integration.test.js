@@ -706,7 +706,7 @@ describe('Integration Tests', () => {
       expect(machine.state).toBe('stable'); // Should remain stable
 
       // Test guard error
-      machine.send('TRIGGER_GUARD_ERROR');
+      await expect(machine.send('TRIGGER_GUARD_ERROR')).rejects.toThrow('Guard error');
       expect(machine.state).toBe('stable'); // Should stay in stable due to guard failure
 
       // Test normal operation still works
@@ -0,0 +1,370 @@
+import { createMachine, assign } from '../src/index.js';
+
+const createObservable = () => {
+  const observers = new Set();
+  return {
+    observers,
+    subscribe(observer) {
+      observers.add(observer);
+      return { unsubscribe: () => observers.delete(observer) };
+    },
+    emit(value) {
+      observers.forEach(observer => observer.next(value));
+    },
+    complete() {
+      observers.forEach(observer => observer.complete());
+    },
+    fail(error) {
+      observers.forEach(observer => observer.error(error));
+    }
+  };
+};
+
+describe('Callback and Event Source Invocations', () => {
+  describe('Callback services', () => {
+    test('should deliver events sent back by the callback', async () => {
+      let sendMessage;
+      const machine = createMachine({
+        id: 'socket',
+        initial: 'connected',
+        context: { messages: [] },
+        states: {
+          connected: {
+            invoke: {
+              src: ({ sendBack }) => {
+                sendMessage = (text) => sendBack({ type: 'MESSAGE', text });
+              }
+            },
+            on: {
+              MESSAGE: { actions: [assign(({ context, event }) => ({ messages: [...context.messages, event.text] }))] }
+            }
+          }
+        }
+      });
+      machine.start();
+
+      sendMessage('hello');
+      sendMessage('world');
+      await waitFor();
+
+      expect(machine.context.messages).toEqual(['hello', 'world']);
+    });
+
+    test('should pass input and forwarded events to the callback', async () => {
+      const received = [];
+      let connectedTo;
+      const machine = createMachine({
+        id: 'socket',
+        initial: 'connected',
+        states: {
+          connected: {
+            invoke: {
+              id: 'socket',
+              src: ({ receive, input }) => {
+                connectedTo = input.url;
+                receive(event => received.push(event));
+              },
+              input: { url: 'ws://test' },
+              forward: ['SEND']
+            },
+            on: { SEND: {}, MESSAGE: {} }
+          }
+        }
+      });
+
+      await machine.send('SEND', { text: 'ping' });
+      await machine.send('MESSAGE', { text: 'not forwarded' });
+
+      expect(connectedTo).toBe('ws://test');
+      expect(received).toEqual([{ type: 'SEND', text: 'ping' }]);
+    });
+
+    test('should run the cleanup and ignore events after the state is exited', async () => {
+      const cleanup = jest.fn();
+      let sendMessage;
+      const machine = createMachine({
+        id: 'socket',
+        initial: 'connected',
+        context: { messages: [] },
+        states: {
+          connected: {
+            invoke: {
+              src: ({ sendBack }) => {
+                sendMessage = (text) => sendBack({ type: 'MESSAGE', text });
+                return cleanup;
+              }
+            },
+            on: { DISCONNECT: 'disconnected' }
+          },
+          disconnected: {
+            on: {
+              MESSAGE: { actions: [assign(({ context, event }) => ({ messages: [...context.messages, event.text] }))] }
+            }
+          }
+        }
+      });
+
+      await machine.send('DISCONNECT');
+      sendMessage('too late');
+      await waitFor();
+
+      expect(cleanup).toHaveBeenCalledTimes(1);
+      expect(machine.state).toBe('disconnected');
+      expect(machine.context.messages).toEqual([]);
+    });
+
+    test('should not send a done event for callback services', async () => {
+      const events = [];
+      createMachine({
+        id: 'test',
+        initial: 'active',
+        states: {
+          active: {
+            invoke: { id: 'ticker', src: ({ sendBack }) => sendBack('TICK') },
+            on: { '*': { actions: [({ event }) => events.push(event.type)] } }
+          }
+        }
+      }).start();
+
+      await waitFor();
+
+      expect(events).toEqual(['TICK']);
+    });
+
+    test('should treat services returning a promise as promise services whatever they read', async () => {
+      const machine = createMachine({
+        id: 'test',
+        initial: 'loading',
+        states: {
+          loading: {
+            invoke: {
+              src: ({ context, ...rest }) => Promise.resolve(Object.keys(rest).length),
+              onDone: 'loaded'
+            }
+          },
+          loaded: {}
+        }
+      });
+      machine.start();
+
+      await waitFor();
+
+      expect(machine.state).toBe('loaded');
+    });
+
+    test('should take onError when the callback throws', async () => {
+      const machine = createMachine({
+        id: 'test',
+        initial: 'active',
+        states: {
+          active: {
+            invoke: {
+              src: ({ sendBack }) => {
+                sendBack('READY');
+                throw new Error('Cannot connect');
+              },
+              onError: 'failed'
+            }
+          },
+          failed: {}
+        }
+      });
+      machine.start();
+
+      await waitFor();
+
+      expect(machine.state).toBe('failed');
+    });
+
+    test('should restart the callback when the state is re-entered', async () => {
+      const starts = [];
+      const cleanups = [];
+      const machine = createMachine({
+        id: 'test',
+        initial: 'polling',
+        states: {
+          polling: {
+            invoke: {
+              src: ({ sendBack }) => {
+                const index = starts.push(sendBack);
+                return () => cleanups.push(index);
+              }
+            },
+            on: { PAUSE: 'paused' }
+          },
+          paused: {
+            on: { RESUME: 'polling' }
+          }
+        }
+      });
+
+      await machine.send('PAUSE');
+      await machine.send('RESUME');
+
+      expect(starts).toHaveLength(2);
+      expect(cleanups).toEqual([1]);
+    });
+  });
+
+  describe('Observable sources', () => {
+    const feedConfig = {
+      id: 'feed',
+      initial: 'listening',
+      context: { prices: [] },
+      states: {
+        listening: {
+          invoke: {
+            id: 'prices',
+            src: 'prices',
+            onDone: 'closed',
+            onError: 'failed'
+          },
+          on: {
+            PRICE: { actions: [assign(({ context, event }) => ({ prices: [...context.prices, event.value] }))] },
+            STOP: 'stopped'
+          }
+        },
+        closed: {},
+        failed: {},
+        stopped: {}
+      }
+    };
+
+    test('should send emitted values as events', async () => {
+      const source = createObservable();
+      const machine = createMachine(feedConfig, { services: { prices: () => source } });
+      machine.start();
+
+      source.emit({ type: 'PRICE', value: 10 });
+      source.emit({ type: 'PRICE', value: 12 });
+      await waitFor();
+
+      expect(machine.context.prices).toEqual([10, 12]);
+    });
+
+    test('should take onDone when the source completes after its values', async () => {
+      const source = createObservable();
+      const machine = createMachine(feedConfig, { services: { prices: () => source } });
+      machine.start();
+
+      source.emit({ type: 'PRICE', value: 10 });
+      source.complete();
+      await waitFor();
+
+      expect(machine.context.prices).toEqual([10]);
+      expect(machine.state).toBe('closed');
+    });
+
+    test('should take onError when the source errors', async () => {
+      const source = createObservable();
+      const machine = createMachine(feedConfig, { services: { prices: () => source } });
+      machine.start();
+
+      source.fail(new Error('feed down'));
+      await waitFor();
+
+      expect(machine.state).toBe('failed');
+    });
+
+    test('should unsubscribe when the state is exited', async () => {
+      const source = createObservable();
+      const machine = createMachine(feedConfig, { services: { prices: () => source } });
+      machine.start();
+
+      expect(source.observers.size).toBe(1);
+      await machine.send('STOP');
+
+      expect(source.observers.size).toBe(0);
+    });
+
+    test('should accept an observable directly as src', async () => {
+      const source = createObservable();
+      const machine = createMachine({
+        id: 'test',
+        initial: 'active',
+        states: {
+          active: {
+            invoke: { src: source },
+            on: { TICK: 'ticked' }
+          },
+          ticked: {}
+        }
+      });
+      machine.start();
+
+      source.emit('TICK');
+      await waitFor();
+
+      expect(machine.state).toBe('ticked');
+    });
+  });
+
+  describe('Async iterable sources', () => {
+    test('should send yielded values and finish with the return value', async () => {
+      const machine = createMachine({
+        id: 'test',
+        initial: 'counting',
+        context: { ticks: 0, output: null },
+        states: {
+          counting: {
+            invoke: {
+              src: async function* () {
+                yield 'TICK';
+                yield { type: 'TICK' };
+                return 'finished';
+              },
+              onDone: {
+                target: 'done',
+                actions: [assign(({ event }) => ({ output: event.output }))]
+              }
+            },
+            on: {
+              TICK: { actions: [assign(({ context }) => ({ ticks: context.ticks + 1 }))] }
+            }
+          },
+          done: {}
+        }
+      });
+      machine.start();
+
+      await waitFor(5);
+
+      expect(machine.context.ticks).toBe(2);
+      expect(machine.state).toBe('done');
+      expect(machine.context.output).toBe('finished');
+    });
+
+    test('should stop iterating when the state is exited', async () => {
+      let finalized = false;
+      const machine = createMachine({
+        id: 'test',
+        initial: 'polling',
+        states: {
+          polling: {
+            invoke: {
+              src: async function* () {
+                try {
+                  while (true) {
+                    await waitFor(1);
+                    yield 'POLL';
+                  }
+                } finally {
+                  finalized = true;
+                }
+              }
+            },
+            on: { POLL: {}, STOP: 'idle' }
+          },
+          idle: {}
+        }
+      });
+
+      await waitFor(5);
+      await machine.send('STOP');
+      await waitFor(5);
+
+      expect(finalized).toBe(true);
+      expect(machine.state).toBe('idle');
+    });
+  });
+});
@@ -0,0 +1,232 @@
+import { createMachine, assign, sendParent } from '../src/index.js';
+
+const paymentConfig = {
+  id: 'payment',
+  initial: 'pending',
+  context: { amount: 0 },
+  states: {
+    pending: {
+      entry: [sendParent('PAYMENT_STARTED', ({ context }) => ({ amount: context.amount }))],
+      on: {
+        AUTHORIZE: 'authorized',
+        DECLINE: 'declined'
+      }
+    },
+    authorized: {
+      type: 'final',
+      output: ({ context }) => ({ paid: context.amount })
+    },
+    declined: {
+      entry: [sendParent('PAYMENT_DECLINED')]
+    }
+  }
+};
+
+const checkoutConfig = {
+  id: 'checkout',
+  initial: 'cart',
+  context: { total: 25, receipt: null, started: null, declined: false },
+  states: {
+    cart: {
+      on: { CHECKOUT: 'paying' }
+    },
+    paying: {
+      invoke: {
+        id: 'payment',
+        src: paymentConfig,
+        input: ({ context }) => ({ amount: context.total }),
+        forward: ['AUTHORIZE', 'DECLINE'],
+        onDone: {
+          target: 'complete',
+          actions: [assign(({ event }) => ({ receipt: event.output }))]
+        }
+      },
+      on: {
+        PAYMENT_STARTED: { actions: [assign(({ event }) => ({ started: event.amount }))] },
+        PAYMENT_DECLINED: { actions: [assign({ declined: true })] },
+        BACK: 'cart'
+      }
+    },
+    complete: {}
+  }
+};
+
+describe('Invoked Child Machines', () => {
+  test('should start the child machine on entry with input merged into its context', async () => {
+    const machine = createMachine(checkoutConfig);
+
+    await machine.send('CHECKOUT');
+
+    const child = machine.children.payment;
+    expect(child).toBeDefined();
+    expect(child.state).toBe('pending');
+    expect(child.context.amount).toBe(25);
+    expect(child.parent).toBe(machine);
+  });
+
+  test('should receive events sent by the child through sendParent', async () => {
+    const machine = createMachine(checkoutConfig);
+
+    await machine.send('CHECKOUT');
+    await waitFor();
+
+    expect(machine.context.started).toBe(25);
+  });
+
+  test('should forward selected events to the child', async () => {
+    const machine = createMachine(checkoutConfig);
+
+    await machine.send('CHECKOUT');
+    await machine.send('DECLINE');
+    await waitFor();
+
+    expect(machine.children.payment.state).toBe('declined');
+    expect(machine.context.declined).toBe(true);
+    expect(machine.state).toBe('paying');
+  });
+
+  test('should not forward events outside the forward list', async () => {
+    const machine = createMachine(checkoutConfig);
+    await machine.send('CHECKOUT');
+    const child = machine.children.payment;
+    const sendSpy = jest.spyOn(child, 'send');
+
+    await machine.send('PAYMENT_DECLINED');
+
+    expect(sendSpy).not.toHaveBeenCalled();
+  });
+
+  test('should take onDone with the child output when the child completes', async () => {
+    const machine = createMachine(checkoutConfig);
+
+    await machine.send('CHECKOUT');
+    await machine.send('AUTHORIZE');
+    await waitFor();
+
+    expect(machine.state).toBe('complete');
+    expect(machine.context.receipt).toEqual({ paid: 25 });
+    expect(machine.children).toEqual({});
+  });
+
+  test('should stop the child when the invoking state is exited', async () => {
+    const machine = createMachine(checkoutConfig);
+
+    await machine.send('CHECKOUT');
+    const child = machine.children.payment;
+    await machine.send('BACK');
+
+    expect(machine.state).toBe('cart');
+    expect(child.status).toBe('stopped');
+    expect(machine.children).toEqual({});
+    await expect(child.send('AUTHORIZE')).rejects.toThrow('Machine "payment" is stopped');
+  });
+
+  test('should forward every event with forward: true', async () => {
+    const received = [];
+    const machine = createMachine({
+      id: 'parent',
+      initial: 'active',
+      states: {
+        active: {
+          invoke: {
+            id: 'logger',
+            src: {
+              id: 'child',
+              initial: 'listening',
+              states: {
+                listening: {
+                  on: { '*': { actions: [({ event }) => received.push(event)] } }
+                }
+              }
+            },
+            forward: true
+          },
+          on: { PING: {} }
+        }
+      }
+    });
+
+    await machine.send('PING', { count: 1 });
+
+    expect(Object.keys(machine.children)).toEqual(['logger']);
+    expect(received).toEqual([{ type: 'PING', count: 1 }]);
+  });
+
+  test('should resolve child machines and options from the services registry', async () => {
+    const machine = createMachine({
+      id: 'parent',
+      initial: 'running',
+      context: { result: null },
+      states: {
+        running: {
+          invoke: {
+            src: 'worker',
+            options: { actions: { report: sendParent('REPORT', { ok: true }) } },
+            onDone: 'finished'
+          },
+          on: {
+            REPORT: { actions: [assign(({ event }) => ({ result: event.ok }))] }
+          }
+        },
+        finished: {}
+      }
+    }, {
+      services: {
+        worker: {
+          id: 'worker',
+          initial: 'working',
+          states: {
+            working: { entry: ['report'] }
+          }
+        }
+      }
+    });
+    machine.start();
+
+    await waitFor();
+
+    expect(machine.context.result).toBe(true);
+    expect(machine.children['parent.running:invocation[0]'].state).toBe('working');
+  });
+
+  test('should take onError when the child machine cannot be created', async () => {
+    const machine = createMachine({
+      id: 'parent',
+      initial: 'running',
+      context: { error: null },
+      states: {
+        running: {
+          invoke: {
+            src: { id: 'broken', initial: 'missing', states: {} },
+            onError: {
+              target: 'failed',
+              actions: [assign(({ event }) => ({ error: event.error.message }))]
+            }
+          }
+        },
+        failed: {}
+      }
+    });
+    machine.start();
+
+    await waitFor();
+
+    expect(machine.state).toBe('failed');
+    expect(machine.context.error).toBe('Initial state "missing" not found in states');
+  });
+
+  test('should warn when sendParent is used without a parent', async () => {
+    const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    createMachine({
+      id: 'orphan',
+      initial: 'idle',
+      states: {
+        idle: { entry: [sendParent('HELLO')] }
+      }
+    }).start();
+
+    expect(warnSpy).toHaveBeenCalledWith("sendParent('HELLO') called on machine without a parent");
+    warnSpy.mockRestore();
+  });
+});
@@ -0,0 +1,334 @@
+import { createMachine, assign } from '../src/index.js';
+
+const deferred = () => {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+};
+
+const userConfig = {
+  id: 'user',
+  initial: 'idle',
+  context: { user: null, error: null },
+  states: {
+    idle: {
+      on: { LOAD: 'loading' }
+    },
+    loading: {
+      invoke: {
+        src: 'fetchUser',
+        input: ({ event }) => ({ userId: event.userId }),
+        onDone: {
+          target: 'loaded',
+          actions: [assign(({ event }) => ({ user: event.output }))]
+        },
+        onError: {
+          target: 'failed',
+          actions: [assign(({ event }) => ({ error: event.error.message }))]
+        }
+      },
+      on: { CANCEL: 'idle' }
+    },
+    loaded: {},
+    failed: {}
+  }
+};
+
+describe('Invoked Promise Services', () => {
+  test('should start the service on entry without blocking the machine', async () => {
+    const request = deferred();
+    const fetchUser = jest.fn(() => request.promise);
+    const machine = createMachine(userConfig, { services: { fetchUser } });
+
+    const result = await machine.send('LOAD', { userId: 7 });
+
+    expect(result.state).toBe('loading');
+    expect(fetchUser).toHaveBeenCalledTimes(1);
+    expect(fetchUser.mock.calls[0][0].input).toEqual({ userId: 7 });
+    expect(fetchUser.mock.calls[0][0].event.type).toBe('LOAD');
+  });
+
+  test('should take onDone with the resolved output', async () => {
+    const request = deferred();
+    const machine = createMachine(userConfig, { services: { fetchUser: () => request.promise } });
+
+    await machine.send('LOAD', { userId: 7 });
+    request.resolve({ id: 7, name: 'Ada' });
+    await waitFor();
+
+    expect(machine.state).toBe('loaded');
+    expect(machine.context.user).toEqual({ id: 7, name: 'Ada' });
+  });
+
+  test('should take onError with the rejection reason', async () => {
+    const request = deferred();
+    const machine = createMachine(userConfig, { services: { fetchUser: () => request.promise } });
+
+    await machine.send('LOAD', { userId: 7 });
+    request.reject(new Error('Not found'));
+    await waitFor();
+
+    expect(machine.state).toBe('failed');
+    expect(machine.context.error).toBe('Not found');
+  });
+
+  test('should treat a throwing service as a rejection', async () => {
+    const machine = createMachine(userConfig, {
+      services: {
+        fetchUser: () => {
+          throw new Error('Bad request');
+        }
+      }
+    });
+
+    await machine.send('LOAD', { userId: 7 });
+    await waitFor();
+
+    expect(machine.state).toBe('failed');
+    expect(machine.context.error).toBe('Bad request');
+  });
+
+  test('should ignore results settling after the state is exited', async () => {
+    const request = deferred();
+    const machine = createMachine(userConfig, { services: { fetchUser: () => request.promise } });
+
+    await machine.send('LOAD', { userId: 7 });
+    await machine.send('CANCEL');
+    request.resolve({ id: 7 });
+    await waitFor();
+
+    expect(machine.state).toBe('idle');
+    expect(machine.context.user).toBeNull();
+  });
+
+  test('should start a new invocation when the state is re-entered', async () => {
+    const requests = [deferred(), deferred()];
+    let calls = 0;
+    const machine = createMachine(userConfig, { services: { fetchUser: () => requests[calls++].promise } });
+
+    await machine.send('LOAD', { userId: 1 });
+    await machine.send('CANCEL');
+    await machine.send('LOAD', { userId: 2 });
+
+    requests[0].resolve({ id: 1 });
+    await waitFor();
+    expect(machine.state).toBe('loading');
+
+    requests[1].resolve({ id: 2 });
+    await waitFor();
+    expect(machine.context.user).toEqual({ id: 2 });
+  });
+
+  test('should support inline services and static input', async () => {
+    const machine = createMachine({
+      id: 'test',
+      initial: 'loading',
+      context: { total: 0 },
+      states: {
+        loading: {
+          invoke: {
+            src: async ({ input, context }) => input.base + context.total,
+            input: { base: 40 },
+            onDone: {
+              target: 'done',
+              actions: [assign(({ event }) => ({ total: event.output + 2 }))]
+            }
+          }
+        },
+        done: {}
+      }
+    });
+    machine.start();
+
+    await waitFor();
+
+    expect(machine.state).toBe('done');
+    expect(machine.context.total).toBe(42);
+  });
+
+  test('should run several invocations of a state independently', async () => {
+    const machine = createMachine({
+      id: 'test',
+      initial: 'loading',
+      context: { profile: null, settings: null },
+      states: {
+        loading: {
+          invoke: [
+            {
+              id: 'profile',
+              src: async () => 'profile',
+              onDone: { actions: [assign(({ event }) => ({ profile: event.output }))] }
+            },
+            {
+              id: 'settings',
+              src: async () => 'settings',
+              onDone: { actions: [assign(({ event }) => ({ settings: event.output }))] }
+            }
+          ]
+        }
+      }
+    });
+    machine.start();
+
+    await waitFor();
+
+    expect(machine.context).toEqual({ profile: 'profile', settings: 'settings' });
+  });
+
+  test('should deliver results as done.invoke and error.platform events', async () => {
+    const events = [];
+    const machine = createMachine({
+      id: 'test',
+      initial: 'loading',
+      states: {
+        loading: {
+          invoke: [
+            { id: 'ok', src: async () => 1 },
+            { id: 'broken', src: async () => { throw new Error('boom'); } }
+          ],
+          on: {
+            '*': { actions: [({ event }) => events.push(event.type)] }
+          }
+        }
+      }
+    });
+    machine.start();
+
+    await waitFor();
+
+    expect(machine.state).toBe('loading');
+    expect(events).toEqual(['done.invoke.ok', 'error.platform.broken']);
+  });
+
+  test('should name inline invocations after their state', async () => {
+    const machine = createMachine({
+      id: 'test',
+      initial: 'loading',
+      context: { handled: false },
+      states: {
+        loading: {
+          invoke: { src: async () => 'ok' },
+          on: {
+            'done.invoke.test.loading:invocation[0]': {
+              actions: [assign({ handled: true })]
+            }
+          }
+        }
+      }
+    });
+    machine.start();
+
+    await waitFor();
+
+    expect(machine.context.handled).toBe(true);
+  });
+
+  test('should give invocations of the same service in different states their own ids', async () => {
+    const loadRegion = (key) => ({
+      initial: 'loading',
+      states: {
+        loading: {
+          invoke: {
+            src: 'load',
+            input: key,
+            onDone: { target: 'loaded', actions: [assign(({ event }) => ({ [key]: event.output }))] }
+          }
+        },
+        loaded: {}
+      }
+    });
+    const machine = createMachine({
+      id: 'test',
+      type: 'parallel',
+      context: { profile: null, settings: null },
+      states: {
+        profile: loadRegion('profile'),
+        settings: loadRegion('settings')
+      }
+    }, {
+      services: {
+        load: async ({ input }) => {
+          await waitFor(input === 'profile' ? 10 : 1);
+          return `${input} data`;
+        }
+      }
+    });
+    machine.start();
+
+    await waitFor(20);
+
+    expect(machine.context).toEqual({ profile: 'profile data', settings: 'settings data' });
+  });
+
+  test('should abandon invocations of descendants when an ancestor is exited', async () => {
+    const request = deferred();
+    const machine = createMachine({
+      id: 'test',
+      initial: 'working',
+      states: {
+        working: {
+          type: 'parallel',
+          states: {
+            task: {
+              initial: 'running',
+              states: {
+                running: {
+                  invoke: { src: () => request.promise, onDone: 'finished' }
+                },
+                finished: {}
+              }
+            }
+          },
+          on: { ABORT: 'aborted' }
+        },
+        aborted: { type: 'final' }
+      }
+    });
+
+    await machine.send('ABORT');
+    request.resolve('late');
+    await waitFor();
+
+    expect(machine.status).toBe('done');
+    expect(machine.state).toBe('aborted');
+  });
+
+  test('should warn about unknown services and report them in validate()', () => {
+    const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const machine = createMachine({
+      id: 'test',
+      initial: 'loading',
+      states: {
+        loading: {
+          invoke: { src: 'missingService', onDone: 'done' }
+        },
+        done: {}
+      }
+    });
+    machine.start();
+
+    expect(warnSpy).toHaveBeenCalledWith("Service 'missingService' not found in registry");
+    warnSpy.mockRestore();
+
+    const result = machine.validate();
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual([
+      { type: 'MISSING_SERVICE', service: 'missingService', state: 'loading' }
+    ]);
+  });
+
+  test('should label invoke transitions in diagrams', () => {
+    const machine = createMachine(userConfig, { services: { fetchUser: async () => null } });
+
+    const mermaid = machine.visualize();
+    expect(mermaid).toContain('loading --> loaded : onDone (fetchUser)');
+    expect(mermaid).toContain('loading --> failed : onError (fetchUser)');
+
+    const plantuml = machine.visualize({ type: 'plantuml' });
+    expect(plantuml).toContain('loading --> loaded : onDone (fetchUser)');
+  });
+});
@@ -0,0 +1,238 @@
+import { createMachine, assign } from '../src/index.js';
+
+let log;
+
+const editorConfig = {
+  id: 'editor',
+  initial: 'editing',
+  context: { drafts: 0 },
+  states: {
+    editing: {
+      initial: 'idle',
+      entry: [() => log.push('enter editing')],
+      exit: [() => log.push('exit editing')],
+      states: {
+        idle: {
+          entry: [() => log.push('enter idle')],
+          exit: [() => log.push('exit idle')],
+          after: { 1000: 'saving' },
+          on: { SAVE: 'saving' }
+        },
+        saving: {}
+      }
+    }
+  }
+};
+
+describe('Machine Lifecycle', () => {
+  beforeEach(() => {
+    log = [];
+  });
+
+  test('should be created not-started without running entry actions', () => {
+    const machine = createMachine(editorConfig);
+
+    expect(machine.status).toBe('not-started');
+    expect(machine.state).toBe('editing.idle');
+    expect(log).toEqual([]);
+  });
+
+  test('should enter the initial state on start()', async () => {
+    const machine = createMachine(editorConfig);
+
+    const result = await machine.start();
+
+    expect(machine.status).toBe('active');
+    expect(result).toEqual({ state: 'editing.idle', context: { drafts: 0 } });
+    expect(log).toEqual(['enter editing', 'enter idle']);
+  });
+
+  test('should return the same promise when started again', async () => {
+    const machine = createMachine(editorConfig);
+
+    const starting = machine.start();
+
+    expect(machine.start()).toBe(starting);
+    await starting;
+    expect(log).toEqual(['enter editing', 'enter idle']);
+  });
+
+  test('should settle start() once async initial entry actions complete', async () => {
+    const machine = createMachine({
+      id: 'session',
+      initial: 'loading',
+      context: { user: null },
+      states: {
+        loading: {
+          entry: [assign(async () => {
+            await waitFor(10);
+            return { user: 'Ada' };
+          })],
+          on: { LOGOUT: 'loggedOut' }
+        },
+        loggedOut: {}
+      }
+    });
+
+    const starting = machine.start();
+    const loggingOut = machine.send('LOGOUT');
+
+    expect(machine.context.user).toBe(null);
+    expect(await starting).toEqual({ state: 'loading', context: { user: 'Ada' } });
+    expect((await loggingOut).state).toBe('loggedOut');
+  });
+
+  test('should reject start() when an initial entry action throws', async () => {
+    const machine = createMachine({
+      id: 'test',
+      initial: 'idle',
+      states: {
+        idle: {
+          entry: [() => {
+            throw new Error('Boot failed');
+          }]
+        }
+      }
+    });
+
+    await expect(machine.start()).rejects.toThrow('Boot failed');
+    expect(machine.status).toBe('stopped');
+    await expect(machine.send('GO')).rejects.toThrow('Machine "test" is stopped and cannot accept event "GO"');
+  });
+
+  test('should reject the first send() when the machine fails to start', async () => {
+    const boot = (fails) => createMachine({
+      id: 'test',
+      initial: 'idle',
+      states: {
+        idle: {
+          entry: [fails],
+          on: { GO: 'running' }
+        },
+        running: {}
+      }
+    });
+
+    await expect(boot(() => { throw new Error('Boot failed'); }).send('GO')).rejects.toThrow('Boot failed');
+
+    const machine = boot(async () => {
+      await waitFor(5);
+      throw new Error('Async boot failed');
+    });
+    await expect(machine.send('GO')).rejects.toThrow('Async boot failed');
+    expect(machine.status).toBe('stopped');
+  });
+
+  test('should start the machine on the first send()', async () => {
+    const machine = createMachine(editorConfig);
+
+    const result = await machine.send('SAVE');
+
+    expect(result.state).toBe('editing.saving');
+    expect(log).toEqual(['enter editing', 'enter idle', 'exit idle']);
+  });
+
+  test('should run exit actions, innermost first, when stopped', async () => {
+    const machine = createMachine(editorConfig);
+    await machine.start();
+    log.length = 0;
+
+    machine.stop();
+
+    expect(machine.status).toBe('stopped');
+    expect(log).toEqual(['exit idle', 'exit editing']);
+  });
+
+  test('should cancel delayed transitions and invocations when stopped', async () => {
+    jest.useFakeTimers();
+    try {
+      const cleanup = jest.fn();
+      const machine = createMachine({
+        id: 'test',
+        initial: 'watching',
+        states: {
+          watching: {
+            invoke: { src: ({ sendBack }) => cleanup },
+            after: { 1000: 'timedOut' }
+          },
+          timedOut: {}
+        }
+      });
+      machine.start();
+
+      machine.stop();
+      jest.advanceTimersByTime(1000);
+
+      expect(machine.state).toBe('watching');
+      expect(cleanup).toHaveBeenCalledTimes(1);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test('should reject queued events and refuse further events once stopped', async () => {
+    const machine = createMachine({
+      id: 'test',
+      initial: 'idle',
+      states: {
+        idle: {
+          on: { SAVE: { target: 'saved', actions: [async () => waitFor(10)] } }
+        },
+        saved: {}
+      }
+    });
+    await machine.start();
+
+    const saving = machine.send('SAVE');
+    const queued = machine.send('SAVE');
+    machine.stop();
+
+    await expect(queued).rejects.toThrow('Event was cancelled due to queue being cleared');
+    await expect(saving).rejects.toThrow('Transition was aborted');
+    expect(machine.state).toBe('idle');
+    await expect(machine.send('SAVE')).rejects.toThrow('Machine "test" is stopped and cannot accept event "SAVE"');
+  });
+
+  test('should abort an async transition without committing it when stopped', async () => {
+    const service = jest.fn(() => new Promise(() => {}));
+    const machine = createMachine({
+      id: 'test',
+      initial: 'idle',
+      context: { saves: 0 },
+      states: {
+        idle: {
+          on: {
+            SAVE: {
+              target: 'saving',
+              actions: [assign(({ context }) => ({ saves: context.saves + 1 })), async () => waitFor(10)]
+            }
+          }
+        },
+        saving: {
+          entry: [assign({ entered: true })],
+          invoke: { src: service },
+          after: { 1000: 'idle' }
+        }
+      }
+    });
+    await machine.start();
+
+    const saving = machine.send('SAVE').catch(error => error);
+    machine.stop();
+
+    expect((await saving).name).toBe('TransitionAbortedError');
+    expect(machine.state).toBe('idle');
+    expect(machine.context).toEqual({ saves: 0 });
+    expect(service).not.toHaveBeenCalled();
+    expect(machine.getPersistedSnapshot().delayedEvents).toEqual([]);
+  });
+
+  test('should stop a machine that was not started without running exit actions', () => {
+    const machine = createMachine(editorConfig);
+
+    machine.stop();
+
+    expect(machine.status).toBe('stopped');
+    expect(log).toEqual([]);
+  });
+});
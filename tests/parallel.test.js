@@ -0,0 +1,432 @@
+import { createMachine, assign } from '../src/index.js';
+
+const playerConfig = {
+  id: 'media',
+  initial: 'player',
+  context: { log: [] },
+  states: {
+    player: {
+      type: 'parallel',
+      states: {
+        playback: {
+          initial: 'paused',
+          states: {
+            paused: {
+              on: { PLAY: 'playing' }
+            },
+            playing: {
+              on: { PAUSE: 'paused' }
+            }
+          }
+        },
+        volume: {
+          initial: 'normal',
+          states: {
+            normal: {
+              on: { MUTE: 'muted' }
+            },
+            muted: {
+              on: { UNMUTE: 'normal' }
+            }
+          }
+        }
+      },
+      on: { EJECT: 'stopped' }
+    },
+    stopped: {
+      on: {
+        INSERT: 'player',
+        INSERT_MUTED: 'player.volume.muted'
+      }
+    }
+  }
+};
+
+describe('Parallel States', () => {
+  describe('Initial configuration', () => {
+    test('should activate every region of a parallel state', () => {
+      const machine = createMachine(playerConfig);
+
+      expect(machine.state).toBe('player.playback.paused,player.volume.normal');
+      expect(machine.value).toEqual({
+        player: { playback: 'paused', volume: 'normal' }
+      });
+    });
+
+    test('should run entry actions for every initial region leaf', () => {
+      const order = [];
+
+      const machine = createMachine({
+        id: 'test',
+        initial: 'both',
+        states: {
+          both: {
+            type: 'parallel',
+            states: {
+              left: {
+                initial: 'a',
+                states: { a: { entry: [() => order.push('left.a')] } }
+              },
+              right: {
+                initial: 'b',
+                states: { b: { entry: [() => order.push('right.b')] } }
+              }
+            }
+          }
+        }
+      });
+      machine.start();
+
+      expect(order).toEqual(['left.a', 'right.b']);
+    });
+
+    test('should accept a parallel root without an initial state', async () => {
+      const machine = createMachine({
+        id: 'editor',
+        type: 'parallel',
+        states: {
+          bold: {
+            initial: 'off',
+            states: { off: { on: { TOGGLE_BOLD: 'on' } }, on: {} }
+          },
+          italic: {
+            initial: 'off',
+            states: { off: {}, on: {} }
+          }
+        }
+      });
+      await machine.start();
+
+      expect(machine.value).toEqual({ bold: 'off', italic: 'off' });
+
+      await machine.send('TOGGLE_BOLD');
+
+      expect(machine.value).toEqual({ bold: 'on', italic: 'off' });
+      expect(machine.validate().warnings.filter(({ type }) => type === 'UNREACHABLE_STATE')).toEqual([]);
+      expect(machine.visualize()).toMatch(/state bold \{[\s\S]*\n {4}--\n {4}state italic \{/);
+      expect(machine.visualize()).not.toContain('[*] --> undefined');
+    });
+
+    test('should keep the string value for machines without parallel states', () => {
+      const machine = createMachine({
+        id: 'test',
+        initial: 'parent',
+        states: {
+          parent: {
+            initial: 'child',
+            states: { child: {} }
+          }
+        }
+      });
+
+      expect(machine.state).toBe('parent.child');
+      expect(machine.value).toEqual({ parent: 'child' });
+    });
+  });
+
+  describe('Transitions within regions', () => {
+    test('should transition one region without affecting the other', async () => {
+      const machine = createMachine(playerConfig);
+
+      await machine.send('PLAY');
+      expect(machine.value).toEqual({
+        player: { playback: 'playing', volume: 'normal' }
+      });
+
+      await machine.send('MUTE');
+      expect(machine.value).toEqual({
+        player: { playback: 'playing', volume: 'muted' }
+      });
+      expect(machine.state).toBe('player.playback.playing,player.volume.muted');
+    });
+
+    test('should take a transition in every region that handles the event', () => {
+      const machine = createMachine({
+        id: 'test',
+        initial: 'p',
+        states: {
+          p: {
+            type: 'parallel',
+            states: {
+              a: {
+                initial: 'off',
+                states: {
+                  off: { on: { TOGGLE: 'on' } },
+                  on: {}
+                }
+              },
+              b: {
+                initial: 'off',
+                states: {
+                  off: { on: { TOGGLE: 'on' } },
+                  on: {}
+                }
+              }
+            }
+          }
+        }
+      });
+
+      machine.send('TOGGLE');
+      expect(machine.value).toEqual({ p: { a: 'on', b: 'on' } });
+    });
+
+    test('should run transition actions of every region in document order', async () => {
+      const machine = createMachine({
+        id: 'test',
+        initial: 'p',
+        context: { order: [] },
+        states: {
+          p: {
+            type: 'parallel',
+            states: {
+              a: {
+                initial: 'idle',
+                states: {
+                  idle: {
+                    on: {
+                      GO: {
+                        target: 'done',
+                        actions: [assign(({ context }) => ({ order: [...context.order, 'a'] }))]
+                      }
+                    }
+                  },
+                  done: {}
+                }
+              },
+              b: {
+                initial: 'idle',
+                states: {
+                  idle: {
+                    on: {
+                      GO: {
+                        target: 'done',
+                        actions: [assign(({ context }) => ({ order: [...context.order, 'b'] }))]
+                      }
+                    }
+                  },
+                  done: {}
+                }
+              }
+            }
+          }
+        }
+      });
+
+      await machine.send('GO');
+      expect(machine.context.order).toEqual(['a', 'b']);
+    });
+  });
+
+  describe('Leaving and entering parallel states', () => {
+    test('should exit every region when leaving the parallel state', async () => {
+      const exits = [];
+      const machine = createMachine({
+        id: 'test',
+        initial: 'p',
+        states: {
+          p: {
+            type: 'parallel',
+            on: { LEAVE: 'outside' },
+            states: {
+              a: {
+                initial: 'x',
+                states: { x: { exit: [() => exits.push('a.x')] } }
+              },
+              b: {
+                initial: 'y',
+                states: { y: { exit: [() => exits.push('b.y')] } }
+              }
+            }
+          },
+          outside: {}
+        }
+      });
+
+      await machine.send('LEAVE');
+
+      expect(machine.state).toBe('outside');
+      expect(exits).toEqual(['b.y', 'a.x']);
+    });
+
+    test('should leave the parallel state from a transition inside a region', async () => {
+      const machine = createMachine({
+        id: 'test',
+        initial: 'p',
+        states: {
+          p: {
+            type: 'parallel',
+            states: {
+              a: {
+                initial: 'x',
+                states: { x: { on: { QUIT: '#test.outside' } } }
+              },
+              b: {
+                initial: 'y',
+                states: { y: {} }
+              }
+            }
+          },
+          outside: {}
+        }
+      });
+
+      await machine.send('QUIT');
+      expect(machine.state).toBe('outside');
+    });
+
+    test('should enter default regions when targeting a state inside one region', async () => {
+      const machine = createMachine(playerConfig);
+
+      await machine.send('EJECT');
+      expect(machine.state).toBe('stopped');
+
+      await machine.send('INSERT_MUTED');
+      expect(machine.value).toEqual({
+        player: { playback: 'paused', volume: 'muted' }
+      });
+    });
+
+    test('should enter all regions when targeting the parallel state', async () => {
+      const machine = createMachine(playerConfig);
+
+      await machine.send('PLAY');
+      await machine.send('EJECT');
+      await machine.send('INSERT');
+
+      expect(machine.value).toEqual({
+        player: { playback: 'paused', volume: 'normal' }
+      });
+    });
+
+    test('should handle async actions across regions', async () => {
+      const order = [];
+      const machine = createMachine({
+        id: 'test',
+        initial: 'p',
+        states: {
+          p: {
+            type: 'parallel',
+            states: {
+              a: {
+                initial: 'idle',
+                states: {
+                  idle: {
+                    on: {
+                      GO: {
+                        target: 'done',
+                        actions: [async () => {
+                          await new Promise(resolve => setTimeout(resolve, 5));
+                          order.push('a');
+                        }]
+                      }
+                    }
+                  },
+                  done: {}
+                }
+              },
+              b: {
+                initial: 'idle',
+                states: {
+                  idle: { on: { GO: 'done' } },
+                  done: { entry: [() => order.push('b.done')] }
+                }
+              }
+            }
+          }
+        }
+      });
+
+      const result = await machine.send('GO');
+
+      expect(result.state).toBe('p.a.done,p.b.done');
+      expect(order).toEqual(['a', 'b.done']);
+    });
+  });
+
+  describe('matches()', () => {
+    test('should match paths in any active region', async () => {
+      const machine = createMachine(playerConfig);
+      await machine.send('MUTE');
+
+      expect(machine.matches('player')).toBe(true);
+      expect(machine.matches('player.playback')).toBe(true);
+      expect(machine.matches('player.playback.paused')).toBe(true);
+      expect(machine.matches('player.volume.muted')).toBe(true);
+      expect(machine.matches('player.volume.normal')).toBe(false);
+      expect(machine.matches('stopped')).toBe(false);
+    });
+
+    test('should match state value objects against every region', async () => {
+      const machine = createMachine(playerConfig);
+      await machine.send('PLAY');
+
+      expect(machine.matches({ player: { playback: 'playing' } })).toBe(true);
+      expect(machine.matches({ player: { playback: 'playing', volume: 'normal' } })).toBe(true);
+      expect(machine.matches({ player: { playback: 'playing', volume: 'muted' } })).toBe(false);
+    });
+  });
+
+  describe('History and restore', () => {
+    test('should record the flat state in history', async () => {
+      const machine = createMachine(playerConfig);
+      await machine.send('PLAY');
+
+      expect(machine.history.map(entry => entry.state)).toEqual([
+        'player.playback.paused,player.volume.normal',
+        'player.playback.playing,player.volume.normal'
+      ]);
+    });
+
+    test('should restore from a history entry', async () => {
+      const machine = createMachine(playerConfig);
+      await machine.send('PLAY');
+      const snapshot = machine.snapshot;
+      await machine.send('EJECT');
+
+      await machine.restore(snapshot);
+      expect(machine.value).toEqual({
+        player: { playback: 'playing', volume: 'normal' }
+      });
+    });
+
+    test('should restore from a state value object', async () => {
+      const machine = createMachine(playerConfig);
+
+      const result = await machine.restore({
+        state: { player: { playback: 'playing', volume: 'muted' } },
+        context: { log: [] }
+      });
+
+      expect(result.state).toBe('player.playback.playing,player.volume.muted');
+      expect(machine.matches('player.volume.muted')).toBe(true);
+    });
+
+    test('should reject configurations with two children of a compound state', async () => {
+      const machine = createMachine(playerConfig);
+
+      await expect(machine.restore({
+        state: 'player.playback.playing,player.playback.paused',
+        context: {}
+      })).rejects.toThrow('Invalid state in snapshot');
+    });
+  });
+
+  describe('Visualization', () => {
+    test('should render regions separated by -- in Mermaid', () => {
+      const diagram = createMachine(playerConfig).visualize();
+
+      expect(diagram).toContain('state player {');
+      expect(diagram).toContain('state playback {');
+      expect(diagram).toContain('state volume {');
+      expect(diagram).toMatch(/state playback \{[\s\S]*\n\s+--\n\s+state volume \{/);
+      expect(diagram).not.toContain('[*] --> undefined');
+    });
+
+    test('should render regions separated by -- in PlantUML', () => {
+      const diagram = createMachine(playerConfig).visualize({ type: 'plantuml' });
+
+      expect(diagram).toMatch(/state playback \{[\s\S]*\n\s+--\n\s+state volume \{/);
+    });
+  });
+});
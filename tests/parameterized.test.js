@@ -0,0 +1,140 @@
+import { createMachine, assign, not } from '../src/index.js';
+
+const counterConfig = {
+  id: 'counter',
+  initial: 'counting',
+  context: { count: 0, step: 3, log: [] },
+  states: {
+    counting: {
+      entry: [{ type: 'record', params: { message: 'started' } }],
+      on: {
+        ADD: { actions: [{ type: 'incrementBy', params: { amount: 5 } }] },
+        STEP: { actions: [{ type: 'incrementBy', params: ({ context }) => ({ amount: context.step }) }] },
+        ADD_EVENT: { actions: [{ type: 'incrementBy', params: ({ event }) => ({ amount: event.amount }) }] },
+        FINISH: [
+          {
+            target: 'done',
+            cond: { type: 'isAtLeast', params: { limit: 10 } },
+            actions: [{ type: 'record', params: { message: 'finished' } }]
+          },
+          { actions: [{ type: 'record', params: { message: 'too early' } }] }
+        ]
+      }
+    },
+    done: {}
+  }
+};
+
+const counterOptions = {
+  actions: {
+    incrementBy: assign(({ context, params }) => ({ count: context.count + params.amount })),
+    record: assign(({ context, params }) => ({ log: [...context.log, params.message] }))
+  },
+  guards: {
+    isAtLeast: ({ context, params }) => context.count >= params.limit
+  }
+};
+
+describe('Parameterized Actions and Guards', () => {
+  test('should pass static params to actions', async () => {
+    const machine = createMachine(counterConfig, counterOptions);
+
+    await machine.send('ADD');
+
+    expect(machine.context.count).toBe(5);
+    expect(machine.context.log).toEqual(['started']);
+  });
+
+  test('should compute params from context and event', async () => {
+    const machine = createMachine(counterConfig, counterOptions);
+
+    await machine.send('STEP');
+    await machine.send('ADD_EVENT', { amount: 2 });
+
+    expect(machine.context.count).toBe(5);
+  });
+
+  test('should pass params to plain and async action implementations', async () => {
+    const notify = jest.fn();
+    const save = jest.fn(async () => {});
+    const machine = createMachine({
+      id: 'test',
+      initial: 'idle',
+      states: {
+        idle: {
+          on: {
+            NOTIFY: { actions: [{ type: 'notify', params: { channel: 'email' } }] },
+            SAVE: { actions: [{ type: 'save', params: ({ event }) => ({ id: event.id }) }] }
+          }
+        }
+      }
+    }, {
+      actions: { notify, save }
+    });
+
+    await machine.send('NOTIFY');
+    await machine.send('SAVE', { id: 7 });
+
+    expect(notify).toHaveBeenCalledWith(expect.objectContaining({ params: { channel: 'email' } }));
+    expect(save).toHaveBeenCalledWith(expect.objectContaining({ params: { id: 7 } }));
+  });
+
+  test('should pass params to guards', async () => {
+    const machine = createMachine(counterConfig, counterOptions);
+
+    await machine.send('FINISH');
+    expect(machine.state).toBe('counting');
+    expect(machine.context.log).toEqual(['started', 'too early']);
+
+    await machine.send('ADD');
+    await machine.send('ADD');
+    await machine.send('FINISH');
+    expect(machine.state).toBe('done');
+  });
+
+  test('should support parameterized guards in combinators and async guards', async () => {
+    const machine = createMachine({
+      id: 'test',
+      initial: 'idle',
+      context: { role: 'viewer' },
+      states: {
+        idle: {
+          on: {
+            EDIT: [
+              { target: 'editing', cond: not({ type: 'hasRole', params: { role: 'viewer' } }) },
+              { target: 'checking', cond: { type: 'isAllowed', params: { permission: 'comment' } } }
+            ]
+          }
+        },
+        editing: {},
+        checking: {}
+      }
+    }, {
+      guards: {
+        hasRole: ({ context, params }) => context.role === params.role,
+        isAllowed: async ({ params }) => params.permission === 'comment'
+      }
+    });
+
+    const result = await machine.send('EDIT');
+
+    expect(result.state).toBe('checking');
+  });
+
+  test('should report missing parameterized references in validate()', () => {
+    const machine = createMachine(counterConfig);
+
+    const result = machine.validate();
+
+    expect(result.errors).toContainEqual({ type: 'MISSING_ACTION', action: 'record', state: 'counting', actionType: 'entry' });
+    expect(result.errors).toContainEqual({ type: 'MISSING_ACTION', action: 'incrementBy', state: 'counting', event: 'ADD' });
+    expect(result.errors).toContainEqual({ type: 'MISSING_GUARD', guard: 'isAtLeast', state: 'counting', event: 'FINISH' });
+  });
+
+  test('should show static params in diagram labels', () => {
+    const machine = createMachine(counterConfig, counterOptions);
+
+    expect(machine.visualize()).toContain('counting --> done : FINISH [isAtLeast(limit=10)] / record(message="finished")');
+    expect(machine.visualize({ type: 'plantuml' })).toContain('FINISH [isAtLeast(limit=10)] / record(message="finished")');
+  });
+});
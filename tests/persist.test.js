@@ -0,0 +1,178 @@
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import {
+  createMachine,
+  assign,
+  persist,
+  createMemoryAdapter,
+  createWebStorageAdapter,
+  createFileSystemAdapter
+} from '../src/index.js';
+
+const todoConfig = {
+  id: 'todos',
+  initial: 'editing',
+  context: { items: [], draft: '' },
+  states: {
+    editing: {
+      entry: [assign({ draft: 'entered' })],
+      on: {
+        ADD: { actions: [assign(({ context, event }) => ({ items: [...context.items, event.text] }))] },
+        TYPE: { actions: [assign(({ event }) => ({ draft: event.text }))] },
+        DONE: 'done'
+      }
+    },
+    done: { on: { EDIT: 'editing' } }
+  }
+};
+
+// Minimal Web Storage implementation
+const createStorage = () => {
+  const items = new Map();
+  return {
+    getItem: (key) => items.has(key) ? items.get(key) : null,
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key)
+  };
+};
+
+describe('persist()', () => {
+  test('should start the machine when nothing is stored and save after transitions', async () => {
+    const adapter = createMemoryAdapter();
+    const machine = createMachine(todoConfig);
+
+    const persistence = persist(machine, { adapter });
+    await persistence.ready;
+
+    expect(machine.status).toBe('active');
+    expect(adapter.load('todos')).toBe(null);
+
+    await machine.send('ADD', { text: 'milk' });
+    await waitFor(10);
+
+    expect(adapter.load('todos')).toMatchObject({ id: 'todos', state: 'editing', context: { items: ['milk'] } });
+    persistence.stop();
+  });
+
+  test('should restore the stored snapshot without running entry actions', async () => {
+    const adapter = createMemoryAdapter();
+    const first = createMachine(todoConfig);
+    const firstPersistence = persist(first, { adapter });
+    await firstPersistence.ready;
+    await first.send('TYPE', { text: 'bread' });
+    await first.send('DONE');
+    await firstPersistence.flush();
+    firstPersistence.stop();
+
+    const machine = createMachine(todoConfig);
+    const snapshot = await persist(machine, { adapter }).ready;
+
+    expect(snapshot).toMatchObject({ state: 'done', context: { draft: 'bread' } });
+    expect(machine.status).toBe('active');
+  });
+
+  test('should debounce and coalesce saves', async () => {
+    const store = new Map();
+    const adapter = { ...createMemoryAdapter(store), save: jest.fn((key, value) => waitFor(50).then(() => store.set(key, value))) };
+    const machine = createMachine(todoConfig);
+    const persistence = persist(machine, { adapter, debounce: 10 });
+    await persistence.ready;
+
+    await machine.send('ADD', { text: 'a' });
+    await machine.send('ADD', { text: 'b' });
+    await waitFor(20);
+
+    // The first save is in progress; later saves wait for it and share one write
+    await machine.send('ADD', { text: 'c' });
+    const flushing = persistence.flush();
+    await machine.send('ADD', { text: 'd' });
+    await waitFor(20);
+    await flushing;
+    await waitFor(20);
+
+    expect(adapter.save).toHaveBeenCalledTimes(2);
+    expect(adapter.save.mock.calls[0][1].context.items).toEqual(['a', 'b']);
+    expect(store.get('todos').context.items).toEqual(['a', 'b', 'c', 'd']);
+    persistence.stop();
+  });
+
+  test('should only persist the included context keys', async () => {
+    const adapter = createMemoryAdapter();
+    const first = createMachine(todoConfig);
+    const firstPersistence = persist(first, { adapter, key: 'list', include: ['items'] });
+    await firstPersistence.ready;
+    await first.send('ADD', { text: 'milk' });
+    await first.send('TYPE', { text: 'unsaved' });
+    await firstPersistence.flush();
+
+    expect(adapter.load('list').context).toEqual({ items: ['milk'] });
+
+    const machine = createMachine(todoConfig);
+    await persist(machine, { adapter, key: 'list', include: ['items'] }).ready;
+
+    expect(machine.context).toEqual({ items: ['milk'], draft: '' });
+  });
+
+  test('should validate and migrate the stored snapshot like restore()', async () => {
+    const adapter = createMemoryAdapter();
+    const machine = createMachine(todoConfig);
+    await machine.start();
+    adapter.save('todos', { ...machine.getPersistedSnapshot(), state: 'archived' });
+
+    await expect(persist(createMachine(todoConfig), { adapter }).ready).rejects.toThrow('Invalid state in snapshot: archived');
+
+    adapter.save('todos', { ...machine.getPersistedSnapshot(), version: 0, definitionHash: 'outdated' });
+    const migrated = createMachine({ ...machine.config, version: 1 }, {
+      migrations: { 1: (snapshot) => ({ ...snapshot, state: 'done' }) }
+    });
+    await persist(migrated, { adapter }).ready;
+
+    expect(migrated.state).toBe('done');
+  });
+
+  test('should clear the stored snapshot and reject incomplete adapters', async () => {
+    const adapter = createMemoryAdapter();
+    const machine = createMachine(todoConfig);
+    const persistence = persist(machine, { adapter });
+    await persistence.ready;
+    await persistence.flush();
+
+    await persistence.clear();
+
+    expect(adapter.load('todos')).toBe(null);
+    expect(() => persist(machine, { adapter: { load: () => null } }))
+      .toThrow('Persistence adapter must implement load(), save() and remove()');
+  });
+
+  describe('adapters', () => {
+    test('should store JSON in Web Storage', () => {
+      const storage = createStorage();
+      const adapter = createWebStorageAdapter(storage);
+
+      adapter.save('key', { state: 'done' });
+
+      expect(storage.getItem('key')).toBe('{"state":"done"}');
+      expect(adapter.load('key')).toEqual({ state: 'done' });
+      adapter.remove('key');
+      expect(adapter.load('key')).toBe(null);
+    });
+
+    test('should store JSON files in a directory', async () => {
+      const directory = await mkdtemp(join(tmpdir(), 'hsmjs-'));
+      try {
+        const adapter = createFileSystemAdapter(join(directory, 'snapshots'));
+
+        expect(await adapter.load('app/main')).toBe(null);
+        await adapter.save('app/main', { state: 'done' });
+
+        expect(JSON.parse(await readFile(join(directory, 'snapshots', 'app%2Fmain.json'), 'utf8'))).toEqual({ state: 'done' });
+        expect(await adapter.load('app/main')).toEqual({ state: 'done' });
+        await adapter.remove('app/main');
+        expect(await adapter.load('app/main')).toBe(null);
+      } finally {
+        await rm(directory, { recursive: true, force: true });
+      }
+    });
+  });
+});
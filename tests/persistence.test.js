@@ -0,0 +1,163 @@
+import { createMachine, assign } from '../src/index.js';
+
+const createPlayerConfig = (overrides = {}) => ({
+  id: 'player',
+  initial: 'on',
+  context: { track: 1 },
+  states: {
+    on: {
+      initial: 'playing',
+      states: {
+        playing: {
+          after: { 5000: 'paused' },
+          on: {
+            PAUSE: 'paused',
+            NEXT: { actions: [assign(({ context }) => ({ track: context.track + 1 }))] }
+          }
+        },
+        paused: { on: { PLAY: 'playing' } },
+        hist: { type: 'history' }
+      },
+      on: { OFF: 'off' }
+    },
+    off: { on: { ON: 'on.hist' } }
+  },
+  ...overrides
+});
+
+describe('Persisted Snapshots', () => {
+  test('should produce a JSON-safe, versioned snapshot', async () => {
+    const machine = createMachine(createPlayerConfig({ version: 2 }));
+    await machine.start();
+    await machine.send('PAUSE');
+    await machine.send('OFF');
+
+    const snapshot = machine.getPersistedSnapshot();
+
+    expect(JSON.parse(JSON.stringify(snapshot))).toEqual(snapshot);
+    expect(snapshot).toEqual({
+      id: 'player',
+      version: 2,
+      definitionHash: expect.stringMatching(/^[0-9a-f]{8}$/),
+      state: 'off',
+      context: { track: 1 },
+      historyValue: { 'player.on.hist': ['on.paused'] },
+      delayedEvents: []
+    });
+  });
+
+  test('should rehydrate state, context and history without running entry actions', async () => {
+    const entry = jest.fn();
+    const config = createPlayerConfig();
+    config.states.off.entry = [entry];
+    const machine = createMachine(config);
+    await machine.start();
+    await machine.send('NEXT');
+    await machine.send('PAUSE');
+    await machine.send('OFF');
+    entry.mockClear();
+
+    const rehydrated = createMachine(config, { snapshot: JSON.parse(JSON.stringify(machine.getPersistedSnapshot())) });
+    await rehydrated.start();
+
+    expect(rehydrated.state).toBe('off');
+    expect(rehydrated.context).toEqual({ track: 2 });
+    expect(entry).not.toHaveBeenCalled();
+
+    await rehydrated.send('ON');
+    expect(rehydrated.state).toBe('on.paused');
+  });
+
+  test('should resume pending delayed events with their remaining time', async () => {
+    jest.useFakeTimers();
+    try {
+      const machine = createMachine(createPlayerConfig());
+      machine.start();
+      jest.advanceTimersByTime(3000);
+
+      const snapshot = machine.getPersistedSnapshot();
+      machine.stop();
+
+      expect(snapshot.delayedEvents).toEqual([{ event: 'after.5000.player.on.playing', delay: 5000, remaining: 2000 }]);
+
+      const rehydrated = createMachine(createPlayerConfig(), { snapshot });
+      rehydrated.start();
+
+      jest.advanceTimersByTime(1999);
+      expect(rehydrated.state).toBe('on.playing');
+
+      jest.advanceTimersByTime(1);
+      await Promise.resolve();
+      expect(rehydrated.state).toBe('on.paused');
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test('should run the migrations newer than the snapshot in order', async () => {
+    const machine = createMachine(createPlayerConfig({ version: 1 }));
+    await machine.start();
+    const snapshot = machine.getPersistedSnapshot();
+
+    const config = createPlayerConfig({ version: 3, context: { trackId: 't1' } });
+    const migrations = {
+      3: jest.fn(persisted => ({ ...persisted, state: persisted.state === 'on.playing' ? 'on.paused' : persisted.state })),
+      2: jest.fn(persisted => ({ ...persisted, context: { trackId: `t${persisted.context.track}` } })),
+      1: jest.fn()
+    };
+
+    const rehydrated = createMachine(config, { snapshot, migrations });
+    await rehydrated.start();
+
+    expect(migrations[1]).not.toHaveBeenCalled();
+    expect(migrations[2]).toHaveBeenCalledWith(expect.objectContaining({ version: 1, context: { track: 1 } }));
+    expect(migrations[3]).toHaveBeenCalledWith(expect.objectContaining({ version: 2, context: { trackId: 't1' } }));
+    expect(rehydrated.state).toBe('on.paused');
+    expect(rehydrated.context).toEqual({ trackId: 't1' });
+    expect(rehydrated.getPersistedSnapshot()).toMatchObject({ version: 3, definitionHash: expect.any(String) });
+    machine.stop();
+    rehydrated.stop();
+  });
+
+  test('should accept persisted snapshots in restore()', async () => {
+    const machine = createMachine(createPlayerConfig());
+    await machine.start();
+    await machine.send('PAUSE');
+    await machine.send('OFF');
+
+    const restored = createMachine(createPlayerConfig());
+    await restored.restore(machine.getPersistedSnapshot());
+    await restored.send('ON');
+
+    expect(restored.state).toBe('on.paused');
+    await expect(restored.restore({ ...machine.getPersistedSnapshot(), version: 1 }))
+      .rejects.toThrow('Persisted snapshot version 1 is newer than machine "player" version 0');
+  });
+
+  test('should ignore context, meta and inline functions in the definition hash', () => {
+    const base = createMachine(createPlayerConfig()).getPersistedSnapshot().definitionHash;
+    const config = createPlayerConfig({ context: { track: 9 }, meta: { title: 'Player' } });
+    config.states.on.states.playing.on.NEXT = { actions: [assign(({ context }) => ({ track: context.track + 2 }))] };
+
+    expect(createMachine(config).getPersistedSnapshot().definitionHash).toBe(base);
+
+    config.states.on.states.paused.on.STOP = 'playing';
+    expect(createMachine(config).getPersistedSnapshot().definitionHash).not.toBe(base);
+  });
+
+  test('should reject snapshots it cannot rehydrate', async () => {
+    const machine = createMachine(createPlayerConfig({ version: 2 }));
+    const snapshot = machine.getPersistedSnapshot();
+    const changed = createPlayerConfig({ version: 2 });
+    changed.states.off.on.RESET = 'on';
+
+    expect(() => createMachine(createPlayerConfig({ version: 1 }), { snapshot }))
+      .toThrow('Persisted snapshot version 2 is newer than machine "player" version 1');
+    expect(() => createMachine(changed, { snapshot }))
+      .toThrow('Persisted snapshot of machine "player" was created from a different definition of version 2; increase the version and add a migration');
+    expect(() => createMachine(createPlayerConfig({ id: 'radio', version: 2 }), { snapshot }))
+      .toThrow('Persisted snapshot of machine "player" cannot be restored into machine "radio"');
+    expect(() => createMachine(createPlayerConfig({ version: 2 }), { snapshot: { ...snapshot, state: 'missing' } }))
+      .toThrow('Invalid state in snapshot: missing');
+  });
+});
@@ -355,7 +355,7 @@ describe('PlantUML Visualizer', () => {
   });
 
   describe('Edge Cases', () => {
-    test('should skip wildcard events', () => {
+    test('should draw wildcard events', () => {
       const wildcardMachine = {
         id: 'wildcard',
         initial: 'idle',
@@ -374,7 +374,7 @@ describe('PlantUML Visualizer', () => {
       const machine = createMachine(wildcardMachine);
       const diagram = machine.visualize({ type: 'plantuml' });
 
-      expect(diagram).not.toContain('idle --> any : *');
+      expect(diagram).toContain('idle --> any : *');
       expect(diagram).toContain('idle --> specific : SPECIFIC');
     });
 
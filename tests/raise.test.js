@@ -0,0 +1,236 @@
+import { createMachine, assign, raise } from '../src/index.js';
+
+describe('raise() Action', () => {
+  test('should process raised events before send resolves', async () => {
+    const machine = createMachine({
+      id: 'test',
+      initial: 'idle',
+      states: {
+        idle: {
+          on: { SUBMIT: { target: 'validating', actions: [raise('VALIDATE')] } }
+        },
+        validating: {
+          on: { VALIDATE: 'valid' }
+        },
+        valid: {}
+      }
+    });
+
+    const result = await machine.send('SUBMIT');
+
+    expect(result.state).toBe('valid');
+  });
+
+  test('should notify subscribers only after raised events are handled', async () => {
+    const machine = createMachine({
+      id: 'test',
+      initial: 'closed',
+      states: {
+        closed: {
+          on: { OPEN: { target: 'opening', actions: [raise('OPENED')] } }
+        },
+        opening: {
+          on: { OPENED: 'open' }
+        },
+        open: {}
+      }
+    });
+    const states = [];
+    machine.subscribe(({ nextState }) => states.push(nextState.state));
+
+    await machine.send('OPEN');
+
+    expect(states).toEqual(['open']);
+  });
+
+  test('should handle raised events before external events sent during the transition', async () => {
+    const order = [];
+    const machine = createMachine({
+      id: 'test',
+      initial: 'idle',
+      states: {
+        idle: {
+          on: {
+            START: {
+              target: 'running',
+              actions: [
+                ({ machine }) => {
+                  machine.send('EXTERNAL');
+                },
+                raise('INTERNAL')
+              ]
+            }
+          }
+        },
+        running: {
+          on: {
+            INTERNAL: { actions: [() => order.push('INTERNAL')] },
+            EXTERNAL: { actions: [() => order.push('EXTERNAL')] }
+          }
+        }
+      }
+    });
+
+    await machine.send('START');
+    expect(order).toEqual(['INTERNAL']);
+
+    await new Promise(resolve => setTimeout(resolve, 10));
+    expect(order).toEqual(['INTERNAL', 'EXTERNAL']);
+  });
+
+  test('should process raised events in order', async () => {
+    const machine = createMachine({
+      id: 'test',
+      initial: 'idle',
+      context: { log: [] },
+      states: {
+        idle: {
+          on: {
+            GO: { actions: [raise('FIRST'), raise('SECOND')] },
+            FIRST: { actions: [assign(({ context }) => ({ log: [...context.log, 'first'] }))] },
+            SECOND: { actions: [assign(({ context }) => ({ log: [...context.log, 'second'] }))] }
+          }
+        }
+      }
+    });
+
+    await machine.send('GO');
+
+    expect(machine.context.log).toEqual(['first', 'second']);
+  });
+
+  test('should raise event objects and computed events', async () => {
+    const machine = createMachine({
+      id: 'test',
+      initial: 'idle',
+      context: { id: 42, received: [] },
+      states: {
+        idle: {
+          on: {
+            GO: {
+              actions: [
+                raise({ type: 'LOG', level: 'info' }),
+                raise(({ context, event }) => ({ type: 'TRACK', id: context.id, source: event.type }))
+              ]
+            },
+            LOG: { actions: [assign(({ context, event }) => ({ received: [...context.received, event] }))] },
+            TRACK: { actions: [assign(({ context, event }) => ({ received: [...context.received, event] }))] }
+          }
+        }
+      }
+    });
+
+    await machine.send('GO');
+
+    expect(machine.context.received).toEqual([
+      { type: 'LOG', level: 'info' },
+      { type: 'TRACK', id: 42, source: 'GO' }
+    ]);
+  });
+
+  test('should raise from entry and exit actions', async () => {
+    const machine = createMachine({
+      id: 'test',
+      initial: 'a',
+      context: { exitedA: false },
+      states: {
+        a: {
+          exit: [raise('LEFT_A')],
+          on: { NEXT: 'b' }
+        },
+        b: {
+          entry: [raise('ARRIVED')],
+          on: {
+            LEFT_A: { actions: [assign({ exitedA: true })] },
+            ARRIVED: 'c'
+          }
+        },
+        c: {}
+      }
+    });
+
+    await machine.send('NEXT');
+
+    expect(machine.context.exitedA).toBe(true);
+    expect(machine.state).toBe('c');
+  });
+
+  test('should process events raised by initial entry actions on start', () => {
+    const machine = createMachine({
+      id: 'test',
+      initial: 'booting',
+      states: {
+        booting: {
+          entry: [raise('BOOTED')],
+          on: { BOOTED: 'ready' }
+        },
+        ready: {}
+      }
+    });
+    machine.start();
+
+    expect(machine.state).toBe('ready');
+    expect(machine.history.map(entry => entry.state)).toEqual(['ready']);
+  });
+
+  test('should support raise actions from the action registry', async () => {
+    const machine = createMachine({
+      id: 'test',
+      initial: 'idle',
+      states: {
+        idle: { on: { GO: { target: 'working', actions: ['finish'] } } },
+        working: { on: { FINISH: 'done' } },
+        done: {}
+      }
+    }, {
+      actions: { finish: raise('FINISH') }
+    });
+
+    const result = await machine.send('GO');
+
+    expect(result.state).toBe('done');
+    expect(result.results).toContainEqual({ name: 'finish', value: undefined });
+  });
+
+  test('should process raised events after async actions', async () => {
+    const machine = createMachine({
+      id: 'test',
+      initial: 'idle',
+      states: {
+        idle: {
+          on: {
+            LOAD: {
+              target: 'loading',
+              actions: [
+                async () => {
+                  await new Promise(resolve => setTimeout(resolve, 5));
+                },
+                raise('LOADED')
+              ]
+            }
+          }
+        },
+        loading: { on: { LOADED: 'ready' } },
+        ready: {}
+      }
+    });
+
+    const result = await machine.send('LOAD');
+
+    expect(result.state).toBe('ready');
+  });
+
+  test('should label raise actions in diagrams', () => {
+    const machine = createMachine({
+      id: 'test',
+      initial: 'idle',
+      states: {
+        idle: { on: { GO: { target: 'done', actions: [raise('FINISH')] } } },
+        done: {}
+      }
+    });
+
+    expect(machine.visualize()).toContain('idle --> done : GO / raise FINISH');
+    expect(machine.visualize({ type: 'plantuml' })).toContain('raise FINISH');
+  });
+});
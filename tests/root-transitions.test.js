@@ -0,0 +1,146 @@
+import { createMachine, assign } from '../src/index.js';
+
+describe('Root-Level Transitions', () => {
+  test('should handle events no state handles', async () => {
+    const clearSession = jest.fn();
+    const machine = createMachine({
+      id: 'session',
+      initial: 'loggedIn',
+      context: { logouts: 0 },
+      on: {
+        LOGOUT: {
+          target: 'loggedOut',
+          actions: [assign(({ context }) => ({ logouts: context.logouts + 1 }))]
+        }
+      },
+      states: {
+        loggedIn: { exit: [clearSession] },
+        loggedOut: {}
+      }
+    });
+
+    await machine.send('LOGOUT');
+
+    expect(machine.state).toBe('loggedOut');
+    expect(machine.context.logouts).toBe(1);
+    expect(clearSession).toHaveBeenCalledTimes(1);
+  });
+
+  test('should let descendant handlers take precedence', async () => {
+    const machine = createMachine({
+      id: 'session',
+      initial: 'loggedIn',
+      context: { logouts: 0, unhandled: [] },
+      on: {
+        LOGOUT: {
+          target: 'loggedOut',
+          actions: [assign(({ context }) => ({ logouts: context.logouts + 1 }))]
+        }
+      },
+      states: {
+        loggedIn: {
+          initial: 'browsing',
+          states: {
+            browsing: { on: { EDIT: 'editing' } },
+            editing: {
+              on: { LOGOUT: { actions: [assign(({ context }) => ({ unhandled: [...context.unhandled, 'LOGOUT'] }))] } }
+            }
+          }
+        },
+        loggedOut: {}
+      }
+    });
+
+    await machine.send('EDIT');
+    await machine.send('LOGOUT');
+
+    expect(machine.state).toBe('loggedIn.editing');
+    expect(machine.context.unhandled).toEqual(['LOGOUT']);
+    expect(machine.context.logouts).toBe(0);
+  });
+
+  test('should support targetless handlers and wildcards', async () => {
+    const seen = [];
+    const machine = createMachine({
+      id: 'test',
+      initial: 'idle',
+      on: {
+        '*': { actions: [({ event }) => seen.push(event.type)] }
+      },
+      states: {
+        idle: { on: { START: 'running' } },
+        running: {}
+      }
+    });
+
+    await machine.send('START');
+    await machine.send('PING');
+
+    expect(machine.state).toBe('running');
+    expect(seen).toEqual(['PING']);
+  });
+
+  test('should take a machine-wide transition once in parallel states', async () => {
+    const onReset = jest.fn();
+    const machine = createMachine({
+      id: 'test',
+      initial: 'active',
+      on: { RESET: { target: 'active', actions: [onReset] } },
+      states: {
+        active: {
+          type: 'parallel',
+          states: {
+            left: { initial: 'a', states: { a: { on: { NEXT: 'b' } }, b: {} } },
+            right: { initial: 'c', states: { c: { on: { NEXT: 'd' } }, d: {} } }
+          }
+        }
+      }
+    });
+
+    await machine.send('NEXT');
+    await machine.send('RESET');
+
+    expect(onReset).toHaveBeenCalledTimes(1);
+    expect(machine.state).toBe('active.left.a,active.right.c');
+  });
+
+  test('should validate root-level transitions', () => {
+    const machine = createMachine({
+      id: 'test',
+      initial: 'idle',
+      on: {
+        RESET: { target: 'missing', actions: ['track'] },
+        ERROR: 'failed'
+      },
+      states: {
+        idle: { on: { GO: 'idle' } },
+        failed: { on: { RETRY: 'idle' } }
+      }
+    });
+
+    const result = machine.validate();
+
+    expect(result.errors).toContainEqual({ type: 'INVALID_TARGET', state: '', event: 'RESET', target: 'missing' });
+    expect(result.errors).toContainEqual({ type: 'MISSING_ACTION', action: 'track', state: '', event: 'RESET' });
+    expect(result.warnings).not.toContainEqual({ type: 'UNREACHABLE_STATE', state: 'failed' });
+  });
+
+  test('should draw root-level transitions from every top-level state', () => {
+    const machine = createMachine({
+      id: 'session',
+      initial: 'loggedIn',
+      on: { LOGOUT: { target: 'loggedOut', actions: [assign({ loggedIn: false })] } },
+      states: {
+        loggedIn: {},
+        loggedOut: {}
+      }
+    });
+
+    const mermaid = machine.visualize();
+    expect(mermaid).toContain('loggedIn --> loggedOut : LOGOUT / assign');
+    expect(mermaid).toContain('loggedOut --> loggedOut : LOGOUT / assign');
+
+    const plantuml = machine.visualize({ type: 'plantuml' });
+    expect(plantuml).toContain('loggedIn --> loggedOut : LOGOUT / assign');
+  });
+});
@@ -26,6 +26,7 @@ describe('Machine', () => {
           }
         }
       });
+      machine.start();
 
       expect(entryAction).toHaveBeenCalledTimes(1);
     });
@@ -47,6 +48,7 @@ describe('Machine', () => {
           }
         }
       });
+      machine.start();
 
       expect(machine.state).toBe('parent.child');
       expect(childEntryAction).toHaveBeenCalledTimes(1);
@@ -75,11 +77,15 @@ describe('Machine', () => {
       expect(subscriber).toHaveBeenCalledWith({
         previousState: {
           state: 'idle',
-          context: {}
+          context: {},
+          tags: [],
+          meta: {}
         },
         nextState: {
           state: 'active',
-          context: {}
+          context: {},
+          tags: [],
+          meta: {}
         },
         event: { type: 'START' }
       });
@@ -113,11 +119,15 @@ describe('Machine', () => {
       const expectedTransition = {
         previousState: {
           state: 'idle',
-          context: { count: 0 }
+          context: { count: 0 },
+          tags: [],
+          meta: {}
         },
         nextState: {
           state: 'idle',
-          context: { count: 1 }
+          context: { count: 1 },
+          tags: [],
+          meta: {}
         },
         event: { type: 'INCREMENT' }
       };
@@ -226,11 +236,15 @@ describe('Machine', () => {
       expect(subscriber).toHaveBeenCalledWith({
         previousState: {
           state: 'idle',
-          context: { value: 'initial' }
+          context: { value: 'initial' },
+          tags: [],
+          meta: {}
         },
         nextState: {
           state: 'active',
-          context: { value: 'updated' }
+          context: { value: 'updated' },
+          tags: [],
+          meta: {}
         },
         event: { type: 'UPDATE', newValue: 'updated' }
       });
@@ -243,11 +257,15 @@ describe('Machine', () => {
       expect(subscriber).toHaveBeenCalledWith({
         previousState: {
           state: 'active',
-          context: { value: 'updated' }
+          context: { value: 'updated' },
+          tags: [],
+          meta: {}
         },
         nextState: {
           state: 'idle',
-          context: { value: 'reset' }
+          context: { value: 'reset' },
+          tags: [],
+          meta: {}
         },
         event: { type: 'RESET' }
       });
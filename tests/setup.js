@@ -3,6 +3,9 @@ import { jest } from '@jest/globals';
 // Make jest available globally for all tests
 globalThis.jest = jest;
 
+// Resolve after the given milliseconds, once pending timers and events have run
+globalThis.waitFor = (ms = 0) => new Promise(resolve => setTimeout(resolve, ms));
+
 // Mock console methods to suppress output during tests
 globalThis.console = {
   ...console,
@@ -0,0 +1,128 @@
+import { createMachine } from '../src/index.js';
+
+const checkoutConfig = {
+  id: 'checkout',
+  initial: 'shipping',
+  meta: { title: 'Checkout' },
+  tags: ['checkout'],
+  states: {
+    shipping: {
+      meta: { step: 1 },
+      description: 'Collect the shipping address',
+      on: { NEXT: 'payment' }
+    },
+    payment: {
+      initial: 'form',
+      tags: ['secure'],
+      meta: { title: 'Payment', step: 2 },
+      states: {
+        form: {
+          on: {
+            SUBMIT: {
+              target: 'authorizing',
+              description: 'Send the card to the payment provider\nfor authorization',
+              meta: { analytics: 'submit_card' }
+            }
+          }
+        },
+        authorizing: {
+          tags: ['loading', 'secure'],
+          meta: { title: 'Authorizing' }
+        }
+      }
+    }
+  }
+};
+
+describe('Tags, Meta and Descriptions', () => {
+  test('should merge the tags of the active configuration into the snapshot', async () => {
+    const machine = createMachine(checkoutConfig);
+    await machine.start();
+
+    expect(machine.snapshot.tags).toEqual(['checkout']);
+
+    await machine.send('NEXT');
+    await machine.send('SUBMIT');
+
+    expect(machine.snapshot.tags).toEqual(['checkout', 'secure', 'loading']);
+  });
+
+  test('should merge meta with nested states overriding their ancestors', async () => {
+    const machine = createMachine(checkoutConfig);
+    await machine.start();
+
+    expect(machine.snapshot.meta).toEqual({ title: 'Checkout', step: 1 });
+
+    await machine.send('NEXT');
+    expect(machine.snapshot.meta).toEqual({ title: 'Payment', step: 2 });
+
+    await machine.send('SUBMIT');
+    expect(machine.snapshot.meta).toEqual({ title: 'Authorizing', step: 2 });
+  });
+
+  test('should report tags to subscribers and in history', async () => {
+    const machine = createMachine(checkoutConfig);
+    const tags = [];
+    machine.subscribe(({ nextState }) => tags.push(nextState.tags));
+
+    await machine.send('NEXT');
+
+    expect(tags).toEqual([['checkout', 'secure']]);
+    expect(machine.history.map(entry => entry.tags)).toEqual([['checkout'], ['checkout', 'secure']]);
+  });
+
+  test('should report tags and meta of the previous state when history keeps one entry', async () => {
+    const machine = createMachine(checkoutConfig, { historySize: 1 });
+    const previousStates = [];
+    machine.subscribe(({ previousState }) => previousStates.push(previousState));
+
+    await machine.send('NEXT');
+
+    expect(previousStates).toEqual([
+      { state: 'shipping', context: {}, tags: ['checkout'], meta: { title: 'Checkout', step: 1 } }
+    ]);
+  });
+
+  test('should check active tags with hasTag()', async () => {
+    const machine = createMachine(checkoutConfig);
+    await machine.start();
+
+    expect(machine.hasTag('loading')).toBe(false);
+
+    await machine.send('NEXT');
+    await machine.send('SUBMIT');
+
+    expect(machine.hasTag('loading')).toBe(true);
+    expect(machine.hasTag('checkout')).toBe(true);
+  });
+
+  test('should preserve tags, meta and descriptions on state nodes and transitions', () => {
+    const machine = createMachine(checkoutConfig);
+    const payment = machine.rootNode.states.payment;
+
+    expect(payment.tags).toEqual(['secure']);
+    expect(payment.meta).toEqual({ title: 'Payment', step: 2 });
+    expect(machine.rootNode.states.shipping.description).toBe('Collect the shipping address');
+
+    expect(payment.states.form.on.SUBMIT).toMatchObject({ meta: { analytics: 'submit_card' } });
+    expect(machine.transition({ state: 'payment.form', context: {} }, 'SUBMIT').snapshot.tags).toEqual(['checkout', 'secure', 'loading']);
+  });
+
+  test('should render descriptions as notes', () => {
+    const machine = createMachine(checkoutConfig);
+
+    const mermaid = machine.visualize();
+    expect(mermaid).toContain('    note right of shipping : Collect the shipping address');
+    expect(mermaid).toContain('payment.form --> authorizing : SUBMIT<br/>Send the card to the payment provider for authorization');
+
+    const plantuml = machine.visualize({ type: 'plantuml' });
+    expect(plantuml).toContain('  note right of shipping : Collect the shipping address');
+    expect(plantuml).toContain([
+      '    payment.form --> authorizing : SUBMIT',
+      '    note on link',
+      '      Send the card to the payment provider',
+      '      for authorization',
+      '    end note'
+    ].join('\n'));
+  });
+});
@@ -0,0 +1,187 @@
+import { createMachine } from '../src/index.js';
+
+let log;
+
+const track = (label) => () => log.push(label);
+const node = (name, config = {}) => ({
+  entry: [track(`enter ${name}`)],
+  exit: [track(`exit ${name}`)],
+  ...config
+});
+
+const nestedConfig = {
+  id: 'm',
+  initial: 'a',
+  states: {
+    a: node('a', {
+      initial: 'b',
+      states: {
+        b: node('b', {
+          initial: 'c',
+          states: {
+            c: node('c', {
+              on: {
+                NEXT: { target: '#m.d.e', actions: [track('transition')] },
+                SIBLING: 'd2',
+                SELF: 'c',
+                REENTER: { target: 'c', reenter: true }
+              }
+            }),
+            d2: node('d2')
+          },
+          on: {
+            RESTART: { target: 'c', reenter: true },
+            RESET: 'c'
+          }
+        })
+      }
+    }),
+    d: node('d', {
+      initial: 'f',
+      states: {
+        e: node('e'),
+        f: node('f')
+      }
+    })
+  }
+};
+
+describe('Exit and Entry Order', () => {
+  beforeEach(() => {
+    log = [];
+  });
+
+  test('should run entry actions of every initial state from the outside in', () => {
+    createMachine(nestedConfig).start();
+
+    expect(log).toEqual(['enter a', 'enter b', 'enter c']);
+  });
+
+  test('should exit up to the least common ancestor and enter down to the target', async () => {
+    const machine = createMachine(nestedConfig);
+    machine.start();
+    log.length = 0;
+
+    await machine.send('NEXT');
+
+    expect(machine.state).toBe('d.e');
+    expect(log).toEqual([
+      'exit c',
+      'exit b',
+      'exit a',
+      'transition',
+      'enter d',
+      'enter e'
+    ]);
+  });
+
+  test('should leave the common ancestors active', async () => {
+    const machine = createMachine(nestedConfig);
+    machine.start();
+    log.length = 0;
+
+    await machine.send('SIBLING');
+
+    expect(machine.state).toBe('a.b.d2');
+    expect(log).toEqual(['exit c', 'enter d2']);
+  });
+
+  test('should treat self-transitions as internal by default', async () => {
+    const machine = createMachine(nestedConfig);
+    machine.start();
+    log.length = 0;
+
+    await machine.send('SELF');
+
+    expect(machine.state).toBe('a.b.c');
+    expect(log).toEqual([]);
+  });
+
+  test('should exit and re-enter the state with reenter: true', async () => {
+    const machine = createMachine(nestedConfig);
+    machine.start();
+    log.length = 0;
+
+    await machine.send('REENTER');
+
+    expect(machine.state).toBe('a.b.c');
+    expect(log).toEqual(['exit c', 'enter c']);
+  });
+
+  test('should re-enter the source when targeting a descendant with reenter: true', async () => {
+    const machine = createMachine(nestedConfig);
+    machine.start();
+    await machine.send('SIBLING');
+
+    log.length = 0;
+    await machine.send('RESTART');
+    expect(log).toEqual(['exit d2', 'exit b', 'enter b', 'enter c']);
+
+    await machine.send('SIBLING');
+    log.length = 0;
+    await machine.send('RESET');
+    expect(log).toEqual(['exit d2', 'enter c']);
+  });
+
+  test('should restart activities of re-entered states', async () => {
+    const starts = [];
+    const machine = createMachine({
+      id: 'test',
+      initial: 'polling',
+      states: {
+        polling: {
+          invoke: { src: () => new Promise(() => starts.push('start')) },
+          on: {
+            REFRESH: { target: 'polling', reenter: true },
+            PING: 'polling'
+          }
+        }
+      }
+    });
+
+    await machine.send('PING');
+    expect(starts).toEqual(['start']);
+
+    await machine.send('REFRESH');
+    expect(starts).toEqual(['start', 'start']);
+  });
+
+  test('should exit nested parallel regions before their parent', async () => {
+    const machine = createMachine({
+      id: 'editor',
+      initial: 'editing',
+      states: {
+        editing: {
+          type: 'parallel',
+          exit: [track('exit editing')],
+          states: {
+            text: {
+              exit: [track('exit text')],
+              initial: 'plain',
+              states: { plain: { exit: [track('exit plain')] } }
+            },
+            toolbar: {
+              exit: [track('exit toolbar')],
+              initial: 'hidden',
+              states: { hidden: { exit: [track('exit hidden')] } }
+            }
+          },
+          on: { CLOSE: 'closed' }
+        },
+        closed: { entry: [track('enter closed')] }
+      }
+    });
+
+    await machine.send('CLOSE');
+
+    expect(machine.state).toBe('closed');
+    expect(log).toEqual([
+      'exit hidden',
+      'exit toolbar',
+      'exit plain',
+      'exit text',
+      'exit editing',
+      'enter closed'
+    ]);
+  });
+});
@@ -0,0 +1,147 @@
+import { createMachine, assign, raise, stateIn } from '../src/index.js';
+
+const checkoutConfig = {
+  id: 'checkout',
+  initial: 'cart',
+  context: { items: 2, total: 0 },
+  states: {
+    cart: {
+      exit: ['trackCart'],
+      on: {
+        CHECKOUT: {
+          target: 'payment',
+          actions: [assign(({ context }) => ({ total: context.items * 10 })), { type: 'notify', params: ({ context }) => ({ total: context.total }) }]
+        }
+      }
+    },
+    payment: {
+      entry: ['chargeCard', raise('CHARGED')],
+      on: { CHARGED: 'confirmed' }
+    },
+    confirmed: {
+      always: { target: 'complete', cond: ({ context }) => context.total > 0 }
+    },
+    complete: { type: 'final' }
+  }
+};
+
+describe('Pure transition()', () => {
+  test('should compute the next snapshot and the actions that would run', () => {
+    const machine = createMachine(checkoutConfig);
+
+    const result = machine.transition({ state: 'cart', context: { items: 2, total: 0 } }, 'CHECKOUT');
+
+    expect(result.snapshot).toEqual({ state: 'complete', context: { items: 2, total: 20 }, tags: [], meta: {} });
+    expect(result.changed).toBe(true);
+    expect(result.actions.map(({ type, state, name }) => [type, state, name])).toEqual([
+      ['exit', 'cart', 'trackCart'],
+      ['transition', 'cart', undefined],
+      ['transition', 'cart', 'notify'],
+      ['entry', 'payment', 'chargeCard'],
+      ['entry', 'payment', undefined]
+    ]);
+  });
+
+  test('should not execute side effects or change the machine', () => {
+    const actions = { trackCart: jest.fn(), chargeCard: jest.fn(), notify: jest.fn() };
+    const machine = createMachine(checkoutConfig, { actions });
+    machine.start();
+
+    machine.transition(machine.snapshot, 'CHECKOUT');
+
+    expect(actions.trackCart).not.toHaveBeenCalled();
+    expect(actions.chargeCard).not.toHaveBeenCalled();
+    expect(actions.notify).not.toHaveBeenCalled();
+    expect(machine.state).toBe('cart');
+    expect(machine.context).toEqual({ items: 2, total: 0 });
+    expect(machine.historySize).toBe(1);
+  });
+
+  test('should resolve params with the context computed so far', () => {
+    const machine = createMachine(checkoutConfig);
+
+    const { actions } = machine.transition({ state: 'cart', context: { items: 3, total: 0 } }, { type: 'CHECKOUT' });
+
+    expect(actions[2]).toMatchObject({ name: 'notify', params: { total: 30 }, event: { type: 'CHECKOUT' } });
+  });
+
+  test('should return the snapshot unchanged when no transition is enabled', () => {
+    const machine = createMachine(checkoutConfig);
+    const snapshot = { state: 'payment', context: { items: 1, total: 10 } };
+
+    const result = machine.transition(snapshot, 'CHECKOUT');
+
+    expect(result).toEqual({ snapshot: { ...snapshot, tags: [], meta: {} }, actions: [], changed: false });
+  });
+
+  test('should accept state values and keep recorded history', () => {
+    const machine = createMachine({
+      id: 'player',
+      initial: 'on',
+      states: {
+        on: {
+          initial: 'playing',
+          states: {
+            playing: { on: { PAUSE: 'paused' } },
+            paused: {},
+            hist: { type: 'history' }
+          },
+          on: { OFF: 'off' }
+        },
+        off: { on: { ON: 'on.hist' } }
+      }
+    });
+
+    const off = machine.transition({ state: { on: 'paused' }, context: {} }, 'OFF');
+    const on = machine.transition(off.snapshot, 'ON');
+
+    expect(off.snapshot.historyValue).toEqual({ 'player.on.hist': ['on.paused'] });
+    expect(on.snapshot.state).toBe('on.paused');
+  });
+
+  test('should resolve stateIn guards and matches() against the planned snapshot', () => {
+    const machine = createMachine({
+      id: 'test',
+      initial: 'p',
+      states: {
+        p: {
+          type: 'parallel',
+          states: {
+            a: {
+              initial: 'x',
+              states: {
+                x: { on: { GO: { target: 'y', cond: stateIn('p.b.on') } } },
+                y: { always: { target: 'z', cond: ({ machine }) => machine.matches('p.a.y') && machine.hasTag('lit') } },
+                z: {}
+              }
+            },
+            b: {
+              initial: 'off',
+              states: { off: {}, on: { tags: ['lit'] } }
+            }
+          }
+        }
+      }
+    });
+
+    const result = machine.transition({ state: { p: { a: 'x', b: 'on' } }, context: {} }, 'GO');
+
+    expect(machine.value).toEqual({ p: { a: 'x', b: 'off' } });
+    expect(result.changed).toBe(true);
+    expect(result.snapshot.state).toBe('p.a.z,p.b.on');
+  });
+
+  test('should reject invalid snapshots and async guards', () => {
+    const machine = createMachine({
+      id: 'test',
+      initial: 'idle',
+      states: {
+        idle: { on: { GO: { target: 'done', cond: async () => true } } },
+        done: {}
+      }
+    });
+
+    expect(() => machine.transition({ state: 'missing', context: {} }, 'GO')).toThrow('Invalid state in snapshot: missing');
+    expect(() => machine.transition({ state: 'idle', context: {} }, 'GO')).toThrow('transition() cannot evaluate async guards (event "GO")');
+  });
+});
@@ -204,7 +204,7 @@ describe('Machine Visualizer', () => {
   });
 
   describe('Edge Cases', () => {
-    test('should skip wildcard events', () => {
+    test('should draw wildcard events', () => {
       const wildcardMachine = {
         id: 'wildcard',
         initial: 'idle',
@@ -223,7 +223,7 @@ describe('Machine Visualizer', () => {
       const machine = createMachine(wildcardMachine);
       const diagram = machine.visualize();
 
-      expect(diagram).not.toContain('idle --> any : *');
+      expect(diagram).toContain('idle --> any : *');
       expect(diagram).toContain('idle --> specific : SPECIFIC');
     });
 
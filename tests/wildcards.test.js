@@ -0,0 +1,140 @@
+import { createMachine, assign } from '../src/index.js';
+
+const record = (label) => assign(({ context, event }) => ({ log: [...context.log, `${label}:${event.type}`] }));
+
+const appConfig = {
+  id: 'app',
+  initial: 'active',
+  context: { log: [] },
+  states: {
+    active: {
+      on: {
+        'user.login': { actions: [record('exact')] },
+        'user.*': { actions: [record('user')] },
+        'cart.*': { actions: [record('cart')] },
+        'cart.item.*': { actions: [record('item')] },
+        '*': { actions: [record('any')] }
+      }
+    }
+  }
+};
+
+describe('Partial Wildcard Events', () => {
+  test('should prefer an exact match over wildcards', async () => {
+    const machine = createMachine(appConfig);
+
+    await machine.send('user.login');
+
+    expect(machine.context.log).toEqual(['exact:user.login']);
+  });
+
+  test('should match events by namespace prefix', async () => {
+    const machine = createMachine(appConfig);
+
+    await machine.send('user.logout');
+    await machine.send('user.profile.update');
+
+    expect(machine.context.log).toEqual(['user:user.logout', 'user:user.profile.update']);
+  });
+
+  test('should prefer the most specific prefix', async () => {
+    const machine = createMachine(appConfig);
+
+    await machine.send('cart.item.add');
+    await machine.send('cart.checkout');
+
+    expect(machine.context.log).toEqual(['item:cart.item.add', 'cart:cart.checkout']);
+  });
+
+  test('should fall back to the catch-all wildcard', async () => {
+    const machine = createMachine(appConfig);
+
+    await machine.send('user');
+    await machine.send('admin.login');
+
+    expect(machine.context.log).toEqual(['any:user', 'any:admin.login']);
+  });
+
+  test('should try less specific descriptors when guards reject the event', async () => {
+    const machine = createMachine({
+      id: 'test',
+      initial: 'idle',
+      context: { allowed: false },
+      states: {
+        idle: {
+          on: {
+            'file.open': { target: 'editing', cond: ({ context }) => context.allowed },
+            'file.*': 'denied'
+          }
+        },
+        editing: {},
+        denied: {}
+      }
+    });
+
+    await machine.send('file.open');
+
+    expect(machine.state).toBe('denied');
+  });
+
+  test('should let a child wildcard take precedence over a parent exact match', async () => {
+    const machine = createMachine({
+      id: 'test',
+      initial: 'parent',
+      states: {
+        parent: {
+          initial: 'child',
+          on: { 'user.login': 'loggedIn' },
+          states: {
+            child: { on: { 'user.*': 'handled' } },
+            handled: {}
+          }
+        },
+        loggedIn: {}
+      }
+    });
+
+    await machine.send('user.login');
+
+    expect(machine.state).toBe('parent.handled');
+  });
+
+  test('should report invalid event descriptors in validate()', () => {
+    const machine = createMachine({
+      id: 'test',
+      initial: 'idle',
+      states: {
+        idle: {
+          defer: ['upload*'],
+          on: {
+            'user.*.save': 'idle',
+            'user.*': 'idle'
+          }
+        }
+      }
+    });
+
+    const result = machine.validate();
+
+    expect(result.errors).toEqual([
+      { type: 'INVALID_EVENT_DESCRIPTOR', descriptor: 'user.*.save', state: 'idle' },
+      { type: 'INVALID_EVENT_DESCRIPTOR', descriptor: 'upload*', state: 'idle' }
+    ]);
+  });
+
+  test('should draw wildcard transitions in diagrams', () => {
+    const machine = createMachine({
+      id: 'test',
+      initial: 'idle',
+      states: {
+        idle: { on: { 'user.*': 'busy', '*': 'error' } },
+        busy: {},
+        error: {}
+      }
+    });
+
+    expect(machine.visualize()).toContain('idle --> busy : user.*');
+    expect(machine.visualize()).toContain('idle --> error : *');
+    expect(machine.visualize({ type: 'plantuml' })).toContain('idle --> busy : user.*');
+  });
+});
@@ -1,3 +1,5 @@
+/// <reference lib="es2018.asynciterable" />
+
 export interface Context {
   [key: string]: any;
 }
@@ -9,7 +11,11 @@ export interface Event {
 
 export interface ActionResult {
   name?: string;
-  value: any;
+  value?: any;
+  /** Attempts made for an action with a timeout or retry policy */
+  attempts?: number;
+  /** Error of the last attempt when such an action failed */
+  error?: any;
 }
 
 export interface SendResult {
@@ -21,17 +27,96 @@ export interface SendResult {
 export type Action<TContext = Context, TEvent = Event> =
   | string
   | ((context: TContext, event: TEvent) => any | Promise<any>)
-  | AssignAction<TContext, TEvent>;
+  | AssignAction<TContext, TEvent>
+  | RaiseAction<TContext, TEvent>
+  | ParameterizedReference<TContext, TEvent>
+  | ActionReference<TContext, TEvent>;
+
+/** Named action or guard whose implementation receives `params` */
+export interface ParameterizedReference<TContext = Context, TEvent = Event, TParams = any> {
+  type: string;
+  params?: TParams | ((args: { context: TContext; event: TEvent }) => TParams);
+}
+
+export interface RetryPolicy {
+  /** Total attempts, including the first */
+  attempts: number;
+  /** Milliseconds between attempts (default: 0) */
+  delay?: number;
+  /** 'exponential' doubles the delay after every attempt (default: 'fixed') */
+  backoff?: 'fixed' | 'exponential';
+}
+
+/** Named action run on the async path with a per-attempt timeout and retries */
+export interface ActionReference<TContext = Context, TEvent = Event, TParams = any>
+  extends ParameterizedReference<TContext, TEvent, TParams> {
+  /** Milliseconds an attempt may take before it fails */
+  timeout?: number;
+  retry?: RetryPolicy;
+}
 
 export interface AssignAction<TContext = Context, TEvent = Event> {
   _isAssign: true;
   assigner: ((context: TContext, event: TEvent) => Partial<TContext>) | Partial<TContext>;
 }
 
+export interface RaiseAction<TContext = Context, TEvent = Event> {
+  _isRaise: true;
+  event: string | Event | ((args: { context: TContext; event: TEvent }) => string | Event);
+}
+
+export type GuardFunction<TContext = Context, TEvent = Event> = (args: {
+  context: TContext;
+  event: TEvent;
+  machine: MachineService<TContext, TEvent>;
+  params?: any;
+}) => boolean | Promise<boolean>;
+
+/** Guard rejecting when it does not settle within `timeout` milliseconds */
+export interface TimedGuard<TContext = Context, TEvent = Event> {
+  guard: GuardFunction<TContext, TEvent> | string;
+  timeout?: number;
+}
+
+export interface AndGuard<TContext = Context, TEvent = Event> {
+  type: 'and';
+  guards: Guard<TContext, TEvent>[];
+}
+
+export interface OrGuard<TContext = Context, TEvent = Event> {
+  type: 'or';
+  guards: Guard<TContext, TEvent>[];
+}
+
+export interface NotGuard<TContext = Context, TEvent = Event> {
+  type: 'not';
+  guard: Guard<TContext, TEvent>;
+}
+
+/** Passes while the machine matches the state path or state value */
+export interface StateInGuard {
+  type: 'stateIn';
+  state: StateValue;
+}
+
+export type Guard<TContext = Context, TEvent = Event> =
+  | string
+  | GuardFunction<TContext, TEvent>
+  | TimedGuard<TContext, TEvent>
+  | AndGuard<TContext, TEvent>
+  | OrGuard<TContext, TEvent>
+  | NotGuard<TContext, TEvent>
+  | StateInGuard
+  | ParameterizedReference<TContext, TEvent>;
+
 export interface TransitionConfig<TContext = Context, TEvent = Event> {
   target: string;
-  cond?: (context: TContext, event: TEvent) => boolean;
+  cond?: Guard<TContext, TEvent>;
   actions?: Action<TContext, TEvent>[];
+  reenter?: boolean;
+  /** Rendered as a note by the visualizers */
+  description?: string;
+  meta?: { [key: string]: any };
 }
 
 export type Transition<TContext = Context, TEvent = Event> =
@@ -39,7 +124,77 @@ export type Transition<TContext = Context, TEvent = Event> =
   | TransitionConfig<TContext, TEvent>
   | TransitionConfig<TContext, TEvent>[];
 
+export interface Subscribable<T = any> {
+  subscribe(observer: {
+    next: (value: T) => void;
+    error: (error: any) => void;
+    complete: () => void;
+  }): { unsubscribe(): void } | (() => void);
+}
+
+/** Events emitted by callback services and event sources */
+export type InvokeEvent = string | { type: string; [key: string]: any };
+
+/**
+ * Promise service when it returns a promise, callback service when it returns
+ * a cleanup function or nothing (it runs until its state is exited), or a
+ * factory of an event source
+ */
+export type ServiceSource<TContext = Context, TEvent = Event> = (args: {
+  context: TContext;
+  event: TEvent;
+  input: any;
+  sendBack: (event: InvokeEvent) => void;
+  receive: (listener: (event: TEvent) => void) => void;
+}) => any | Promise<any> | (() => void) | Subscribable<InvokeEvent> | AsyncIterable<InvokeEvent>;
+
+export interface InvokeConfig<TContext = Context, TEvent = Event> {
+  /** Identifies the done.invoke.<id> / error.platform.<id> result events (default: `<stateId>:invocation[<index>]`) */
+  id?: string;
+  /** Service, child machine config, event source or the name of one in `services` */
+  src: string | ServiceSource<TContext, TEvent> | MachineConfig | Subscribable<InvokeEvent> | AsyncIterable<InvokeEvent>;
+  /** Service input; object input is merged into a child machine's context */
+  input?: any | ((args: { context: TContext; event: TEvent }) => any);
+  /** Events forwarded to a child machine or callback service: `true` for all, or a list of event types */
+  forward?: boolean | string[];
+  /** Options used to create a child machine */
+  options?: MachineOptions;
+  /** Taken when the service resolves; the event carries `output` */
+  onDone?: Transition<TContext, TEvent>;
+  /** Taken when the service rejects; the event carries `error` */
+  onError?: Transition<TContext, TEvent>;
+}
+
+export type StateValue = string | { [key: string]: StateValue };
+
 export interface StateConfig<TContext = Context, TEvent = Event> {
+  type?: 'compound' | 'parallel' | 'history' | 'final';
+  /** History depth for `type: 'history'` states */
+  history?: 'shallow' | 'deep';
+  /** Default target of a history state when nothing has been recorded */
+  target?: string;
+  /** Output of a final state, carried by the done event */
+  output?: any | ((args: { context: TContext; event: TEvent }) => any);
+  /** Transition taken when a final child (or every parallel region) is reached */
+  onDone?: Transition<TContext, TEvent>;
+  /** Delayed transitions keyed by milliseconds or a named delay */
+  after?: {
+    [delay: string]: Transition<TContext, TEvent>;
+  };
+  /** Services started on entry and abandoned on exit */
+  invoke?: InvokeConfig<TContext, TEvent> | InvokeConfig<TContext, TEvent>[];
+  /** Eventless transitions, checked after every transition until none is enabled */
+  always?: Transition<TContext, TEvent>;
+  /** Events held while the state is active and replayed once it is left, e.g. 'CANCEL' or 'upload.*' */
+  defer?: string[];
+  /** Taken when an action of the state or a descendant throws; the event is an ErrorExecutionEvent */
+  onError?: Transition<TContext, TEvent>;
+  /** Merged into the snapshot's tags while the state is active */
+  tags?: string[];
+  /** Merged into the snapshot's meta while the state is active; nested states override their ancestors */
+  meta?: { [key: string]: any };
+  /** Rendered as a note by the visualizers */
+  description?: string;
   entry?: Action<TContext, TEvent>[];
   exit?: Action<TContext, TEvent>[];
   on?: {
@@ -53,37 +208,165 @@ export interface StateConfig<TContext = Context, TEvent = Event> {
 
 export interface MachineConfig<TContext = Context, TEvent = Event> {
   id: string;
-  initial: string;
+  /** Required unless the root is parallel */
+  initial?: string;
+  /** Every top-level state of a parallel root is an active region */
+  type?: 'parallel';
+  /** Definition version stored in persisted snapshots (0 when not set) */
+  version?: number;
   context?: TContext;
+  /** Tags reported in every snapshot */
+  tags?: string[];
+  /** Meta reported in every snapshot, overridden by the active states */
+  meta?: { [key: string]: any };
+  description?: string;
+  on?: {
+    [eventType: string]: Transition<TContext, TEvent>;
+  };
+  /** Taken when an action no state handles throws */
+  onError?: Transition<TContext, TEvent>;
   states: {
     [key: string]: StateConfig<TContext, TEvent>;
   };
 }
 
+/** Raised when an action throws or rejects, or a guard throws, rejects or times out */
+export interface ErrorExecutionEvent extends Event {
+  type: 'error.execution';
+  error: any;
+  /** Path of the state the failing action or guarded transition belongs to ('' for the machine root) */
+  state: string;
+  /** Name of a failed action with a timeout or retry policy */
+  action?: string;
+  /** Attempts made by that action */
+  attempts?: number;
+  /** Errors of those attempts, in order */
+  errors?: any[];
+}
+
 export interface MachineOptions<TContext = Context, TEvent = Event> {
   actions?: {
     [key: string]: Action<TContext, TEvent>;
   };
   guards?: {
-    [key: string]: (context: TContext, event: TEvent) => boolean;
+    [key: string]: GuardFunction<TContext, TEvent> | TimedGuard<TContext, TEvent>;
+  };
+  /** Milliseconds an async guard may take before it rejects (no limit by default) */
+  guardTimeout?: number;
+  delays?: {
+    [key: string]: number | ((args: { context: TContext; event: TEvent }) => number);
+  };
+  services?: {
+    [key: string]: ServiceSource<TContext, TEvent> | MachineConfig | Subscribable<InvokeEvent> | AsyncIterable<InvokeEvent>;
   };
   historySize?: number;
+  /** Persisted snapshot the machine resumes from when started */
+  snapshot?: PersistedSnapshot<TContext>;
+  /** Migrations keyed by the version they migrate to, run in ascending order for older snapshots */
+  migrations?: {
+    [version: number]: (snapshot: PersistedSnapshot<any>) => PersistedSnapshot<any>;
+  };
+  /** Eventless transitions taken in a row before the machine reports a loop (default 100) */
+  maxAlwaysIterations?: number;
 }
 
 export interface Snapshot<TContext = Context> {
   state: string;
   context: TContext;
+  /** Tags of the root and the active states, in document order */
+  tags: string[];
+  /** Meta of the root and the active states merged, innermost last */
+  meta: { [key: string]: any };
+}
+
+export interface TransitionSnapshot<TContext = Context> {
+  state: StateValue;
+  context: TContext;
+  /** Configurations recorded by history states, keyed by history node id */
+  historyValue?: { [historyNodeId: string]: string[] };
+}
+
+export interface PersistedDelayedEvent {
+  event: string;
+  /** Resolved delay in milliseconds */
+  delay: number;
+  /** Milliseconds left when the snapshot was taken */
+  remaining: number;
+}
+
+export interface PersistedSnapshot<TContext = Context> {
+  id: string;
+  version: number;
+  /** Hash of the definition's structure, checked when the versions match */
+  definitionHash: string;
+  state: StateValue;
+  context: TContext;
+  /** Configurations recorded by history states, keyed by history node id */
+  historyValue: { [historyNodeId: string]: string[] };
+  /** Delayed transitions that had not fired */
+  delayedEvents: PersistedDelayedEvent[];
+}
+
+export interface PlannedAction<TContext = Context, TEvent = Event> {
+  type: 'exit' | 'transition' | 'entry';
+  /** Path of the state the action belongs to; '' for the root */
+  state: string;
+  event: TEvent;
+  action: Action<TContext, TEvent>;
+  /** Registry name of string and parameterized references */
+  name?: string;
+  params?: any;
+}
+
+export interface TransitionPlan<TContext = Context, TEvent = Event> {
+  snapshot: Snapshot<TContext> & { historyValue?: { [historyNodeId: string]: string[] } };
+  actions: Array<PlannedAction<TContext, TEvent>>;
+  /** Whether any transition was taken */
+  changed: boolean;
+}
+
+export interface QueuedEvent<TEvent = Event> {
+  event: TEvent;
+  /** Held by a `defer` list of an active state */
+  deferred: boolean;
 }
 
 export interface MachineService<TContext = Context, TEvent = Event> {
   state: string;
+  readonly value: StateValue;
+  readonly status: 'not-started' | 'active' | 'done' | 'stopped';
+  readonly output: any;
+  readonly completion: Promise<any>;
+  /** Machine that invoked this one, if any */
+  readonly parent: MachineService | null;
+  /** Child machines of running invocations keyed by invocation id */
+  readonly children: { [id: string]: MachineService };
   context: TContext;
   historySize: number;
+  /** Events waiting to be processed, including deferred ones */
+  readonly eventQueue: Array<QueuedEvent<TEvent>>;
   readonly history: Array<Snapshot<TContext>>;
   readonly snapshot: Snapshot<TContext>;
+  /** Event descriptors handled by the active states and their ancestors, including wildcards */
+  readonly nextEvents: string[];
   send(event: string | TEvent, payload?: any): Promise<SendResult>;
   subscribe(callback: (snapshot: { state: string; context: TContext }) => void): () => void;
-  restore(snapshot: Snapshot<TContext>): Promise<Snapshot<TContext>>;
+  matches(stateValue: StateValue): boolean;
+  /** Whether the event would be handled in the current state; guards are evaluated, actions are not run */
+  can(eventType: string, payload?: any): boolean;
+  /** Whether the root or an active state has the tag */
+  hasTag(tag: string): boolean;
+  /** Also accepts a persisted snapshot, which is migrated and restores history state memory and delayed events */
+  restore(snapshot: { state: StateValue; context: TContext } | PersistedSnapshot<TContext>): Promise<Pick<Snapshot<TContext>, 'state' | 'context'>>;
+  /** JSON-safe snapshot that createMachine(config, { snapshot }) resumes from */
+  getPersistedSnapshot(): PersistedSnapshot<TContext>;
+  /** Compute the result of an event without side effects; assign and raise actions are applied */
+  transition(snapshot: TransitionSnapshot<TContext>, event: string | TEvent): TransitionPlan<TContext, TEvent>;
+  /** Enter the initial state; settles once async initial entry actions complete */
+  start(): Promise<Pick<Snapshot<TContext>, 'state' | 'context'>>;
+  stop(): void;
+  /** Abort the signal of the async actions in progress and cancel their transition; returns whether a transition was in progress */
+  abort(): boolean;
 }
 
 export function createMachine<TContext = Context, TEvent = Event>(
@@ -93,4 +376,88 @@ export function createMachine<TContext = Context, TEvent = Event>(
 
 export function assign<TContext = Context, TEvent = Event>(
   assigner: ((context: TContext, event: TEvent) => Partial<TContext>) | Partial<TContext>
-): AssignAction<TContext, TEvent>;
\ No newline at end of file
+): AssignAction<TContext, TEvent>;
+
+export function sendParent<TContext = Context, TEvent = Event>(
+  eventType: string,
+  payload?: any | ((args: { context: TContext; event: TEvent }) => any)
+): Action<TContext, TEvent>;
+
+export function raise<TContext = Context, TEvent = Event>(
+  event: string | Event | ((args: { context: TContext; event: TEvent }) => string | Event)
+): RaiseAction<TContext, TEvent>;
+
+export function and<TContext = Context, TEvent = Event>(
+  guards: Guard<TContext, TEvent>[]
+): AndGuard<TContext, TEvent>;
+
+export function or<TContext = Context, TEvent = Event>(
+  guards: Guard<TContext, TEvent>[]
+): OrGuard<TContext, TEvent>;
+
+export function not<TContext = Context, TEvent = Event>(
+  guard: Guard<TContext, TEvent>
+): NotGuard<TContext, TEvent>;
+
+export function stateIn(state: StateValue): StateInGuard;
+
+/** Error rejecting events cleared from the queue */
+export function QueueClearedError(message?: string): Error;
+
+/** Error rejecting a transition cancelled through its abort signal */
+export function TransitionAbortedError(message?: string): Error;
+
+/** Storage backend of persist(); methods may return promises */
+export interface PersistenceAdapter {
+  /** Stored value, or null when nothing is stored under the key */
+  load(key: string): PersistedSnapshot<any> | null | Promise<PersistedSnapshot<any> | null>;
+  save(key: string, value: PersistedSnapshot<any>): void | Promise<void>;
+  remove(key: string): void | Promise<void>;
+}
+
+export interface PersistOptions<TContext = Context> {
+  adapter: PersistenceAdapter;
+  /** Storage key (default: the machine id) */
+  key?: string;
+  /** Milliseconds without transitions before saving (default: 0) */
+  debounce?: number;
+  /** Context keys to persist (default: all); the others keep their initial values when loaded */
+  include?: Array<keyof TContext & string>;
+}
+
+export interface Persistence<TContext = Context> {
+  /** Settles once the stored snapshot is restored, or the machine started when nothing is stored */
+  ready: Promise<Snapshot<TContext>>;
+  /** Save now instead of waiting for the debounce */
+  flush(): Promise<void>;
+  /** Remove the stored snapshot once the saves in progress complete */
+  clear(): Promise<void>;
+  /** Stop autosaving; a scheduled save is dropped */
+  stop(): void;
+}
+
+/** Restore a machine from an adapter and save it after every transition */
+export function persist<TContext = Context, TEvent = Event>(
+  machine: MachineService<TContext, TEvent>,
+  options: PersistOptions<TContext>
+): Persistence<TContext>;
+
+/** Key-value store of a memory adapter, such as a `Map` */
+export interface MemoryStore {
+  has(key: string): boolean;
+  get(key: string): any;
+  set(key: string, value: any): any;
+  delete(key: string): any;
+}
+
+export function createMemoryAdapter(store?: MemoryStore): PersistenceAdapter;
+
+/** Stores JSON in localStorage, or the given Storage */
+export function createWebStorageAdapter(storage?: {
+  getItem(key: string): string | null;
+  setItem(key: string, value: string): void;
+  removeItem(key: string): void;
+}): PersistenceAdapter;
+
+/** Stores each key as a JSON file in the directory (Node.js) */
+export function createFileSystemAdapter(directory: string): PersistenceAdapter;
\ No newline at end of file